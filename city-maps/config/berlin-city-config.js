@@ -21,6 +21,12 @@ const BerlinCityConfig = {
     transportation: "../shared/data/geojson/berlin_routes.geojson",
     // District statistics - Google Sheets (external source)
     districtStats: null, // Will be set by helper function if API key is configured
+    // Sheet the statistics are read from through the Sheets proxy (run
+    // node scripts/cities.js sync after changing it)
+    districtStatsSheet: {
+      sheetId: "16j8VuT1ziwtkP-M5uuhFg7Z0AWqkxlLDTCwmdTwIEVA",
+      range: "Berlin!A:F",
+    },
   },
 
   // Transportation routes to display
@@ -51,24 +57,84 @@ const BerlinCityConfig = {
     },
   },
 
-  // UI text and labels (German)
-  ui: {
-    title: "Berlin City Map - Districts & Transportation",
-    transportToggleText: "Öffentliche Verkehrsmittel",
-    zoomInstructionText: "Strg + Mausrad zum Zoomen",
-    districtSelectPrompt: "Bezirk auswählen",
-    districtSelectHint: "Wähle einen Bezirk auf der Karte, um Details anzuzeigen.",
-    loadingText: "Lade Kartendaten...",
-    errorText: "Fehler beim Laden der Daten",
-    dataSource: "Datenquelle: Bezirksamt / interne Erhebung",
+  // Choropleth - colour districts by a statistic from districtStats
+  choropleth: {
+    defaultMetric: "populationDensity",
+    classification: "quantile", // "quantile" or "equalInterval"
+    classes: 5,
+    colorRamp: ["#eff3ff", "#bdd7e7", "#6baed6", "#3182bd", "#08519c"],
+    fillOpacity: 0.6,
+    metrics: {
+      population: {
+        label: { de: "Einwohner", en: "Population" },
+        field: "population",
+        decimals: 0,
+      },
+      area: { label: { de: "Fläche (km²)", en: "Area (km²)" }, field: "area" },
+      adCount: {
+        label: { de: "Werbeträger", en: "Advertising spaces" },
+        field: "adCount",
+        decimals: 0,
+      },
+      populationDensity: {
+        label: { de: "Einwohner je km²", en: "Residents per km²" },
+        numerator: "population",
+        denominator: "area",
+        decimals: 0,
+      },
+      adsPerResidents: {
+        label: {
+          de: "Werbeträger je 10.000 Einwohner",
+          en: "Advertising spaces per 10,000 residents",
+        },
+        numerator: "adCount",
+        denominator: "population",
+        scale: 10000,
+        decimals: 2,
+      },
+    },
+  },
+
+  // Languages - German by default, English via the language switch.
+  // Texts not listed here come from shared/js/locales.
+  i18n: {
+    defaultLocale: "de",
+    locales: ["de", "en"],
+    messages: {
+      de: {
+        title: "Berlin Stadtkarte - Bezirke & Verkehr",
+        dataSource: "Datenquelle: Bezirksamt / interne Erhebung",
+        transitSubwayLabel: "U-Bahn",
+        transitRailLabel: "S-Bahn",
+      },
+      en: {
+        title: "Berlin City Map - Districts & Transportation",
+        dataSource: "Data source: district offices / internal survey",
+        transitSubwayLabel: "U-Bahn",
+        transitRailLabel: "S-Bahn",
+      },
+    },
   },
 
   // Feature flags
   features: {
     showTransportation: true,
     showDistrictStats: true,
+    showChoropleth: true,
     enableScrollZoom: true,
     showDistrictInfo: true,
+    showLanguageSwitch: true,
+    showTransitLegend: true,
+    showPrint: true,
+  },
+
+  // Sites allowed to control the map when embedding it (keep in sync with
+  // the frame-ancestors CSP in netlify.toml)
+  embed: {
+    allowedOrigins: [
+      "https://wtm-aussenwerbung.de",
+      "https://wtm-aussenwerbung-berlin.de",
+    ],
   },
 
   // Performance settings
@@ -76,28 +142,20 @@ const BerlinCityConfig = {
     debounceTime: 250,
     throttleTime: 100,
   },
-
-  // Legacy Google Sheets configuration (for backward compatibility)
-  _legacyGoogleSheets: {
-    apiKey: "YOUR_GOOGLE_SHEETS_API_KEY_HERE",
-    sheetId: "16j8VuT1ziwtkP-M5uuhFg7Z0AWqkxlLDTCwmdTwIEVA",
-    range: "Berlin!A:F",
-  }
 };
 
-// Simple helper to get Google Sheets URL
+// Simple helper to get the Sheets proxy URL for district stats
 BerlinCityConfig.setupGoogleSheets = async function () {
   await EnvLoader.load();
   
-  const sheetId = "16j8VuT1ziwtkP-M5uuhFg7Z0AWqkxlLDTCwmdTwIEVA";
-  const range = "Berlin!A:F";
+  const { sheetId, range } = this.dataSources.districtStatsSheet;
   
   const url = EnvLoader.buildSheetsUrl(sheetId, range);
   if (url) {
     this.dataSources.districtStats = url;
     console.log("Google Sheets configured for Berlin district stats");
   } else {
-    console.info("Google Sheets API key not configured - district stats disabled");
+    console.info("Google Sheets proxy not configured - district stats disabled");
   }
   
   return url;
@@ -0,0 +1,110 @@
+/**
+ * Choropleth helpers for city maps
+ *
+ * Pure functions for deriving district metrics, classifying values into
+ * classes and picking colours. Used by InteractiveMap's choropleth mode.
+ */
+
+const Choropleth = {
+  /**
+   * Supported classification methods
+   * Each returns the upper bound of every class (ascending)
+   */
+  classifiers: {
+    quantile(values, classes) {
+      const sorted = [...values].sort((a, b) => a - b);
+      const breaks = [];
+      for (let i = 1; i <= classes; i++) {
+        const index = Math.min(sorted.length - 1, Math.ceil((i / classes) * sorted.length) - 1);
+        breaks.push(sorted[Math.max(0, index)]);
+      }
+      return breaks;
+    },
+
+    equalInterval(values, classes) {
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      const step = (max - min) / classes;
+      const breaks = [];
+      for (let i = 1; i <= classes; i++) {
+        breaks.push(i === classes ? max : min + step * i);
+      }
+      return breaks;
+    }
+  },
+
+  /**
+   * Get the value of a metric for one district's statistics
+   *
+   * Metric definitions:
+   * - { field: 'population' } reads a statistic directly
+   * - { numerator: 'adCount', denominator: 'population', scale: 10000 }
+   *   derives a ratio (e.g. ad displays per 10,000 residents)
+   * - { value: (stats) => number } computes a custom value
+   *
+   * @param {Object} stats - District statistics (population, area, adCount, ...)
+   * @param {Object} metric - Metric definition
+   * @returns {number|null} Metric value, or null if it cannot be computed
+   */
+  getMetricValue(stats, metric) {
+    if (!stats || !metric) return null;
+
+    let value;
+    if (typeof metric.value === 'function') {
+      value = metric.value(stats);
+    } else if (metric.numerator) {
+      const numerator = Number(stats[metric.numerator]);
+      const denominator = Number(stats[metric.denominator]);
+      value = denominator ? (numerator / denominator) * (metric.scale || 1) : null;
+    } else {
+      value = Number(stats[metric.field]);
+    }
+
+    return Number.isFinite(value) ? value : null;
+  },
+
+  /**
+   * Compute class breaks for a set of values
+   *
+   * @param {Array<number>} values - Metric values
+   * @param {string} method - Classification method name (see classifiers)
+   * @param {number} classes - Number of classes
+   * @returns {Array<number>} Upper bound of each class
+   */
+  computeBreaks(values, method = 'quantile', classes = 5) {
+    const finite = values.filter(Number.isFinite);
+    if (finite.length === 0) return [];
+
+    const classify = this.classifiers[method];
+    if (!classify) {
+      throw new Error(`Unknown classification method: ${method}`);
+    }
+
+    // Never use more classes than distinct values, and drop repeated bounds
+    const distinct = new Set(finite).size;
+    const breaks = classify(finite, Math.max(1, Math.min(classes, distinct)));
+    return [...new Set(breaks)];
+  },
+
+  /**
+   * Find the class index of a value
+   */
+  getClassIndex(value, breaks) {
+    if (!Number.isFinite(value) || breaks.length === 0) return -1;
+    const index = breaks.findIndex((upper) => value <= upper);
+    return index === -1 ? breaks.length - 1 : index;
+  },
+
+  /**
+   * Pick evenly spread colours from a ramp for the given class count
+   */
+  getColors(colorRamp, classCount) {
+    if (classCount <= 1) return [colorRamp[colorRamp.length - 1]];
+    return Array.from({ length: classCount }, (_, i) =>
+      colorRamp[Math.round((i * (colorRamp.length - 1)) / (classCount - 1))]
+    );
+  }
+};
+
+// Export for use in other modules
+window.Choropleth = Choropleth;
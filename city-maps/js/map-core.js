@@ -29,27 +29,53 @@ class InteractiveMap {
       // Transportation settings
       transportation: {
         routesToDisplay: [],
-        routeColors: {}
+        routeColors: {},
+        routeGroups: TransitLines.defaultGroups // Legend groups by GTFS route_type
       },
       
-      // UI configuration
-      ui: {
-        title: 'Interactive Map',
-        transportToggleText: 'Transportation',
-        zoomInstructionText: 'Ctrl + Mouse Wheel to Zoom',
-        districtSelectPrompt: 'Select District',
-        districtSelectHint: 'Choose a district on the map to view details.',
-        loadingText: 'Loading map data...',
-        errorText: 'Error loading data',
-        dataSource: 'Data source: Local government'
+      // Print layout (see MapPrint)
+      print: {
+        paperSize: 'A4', // 'A4' or 'A3'
+        orientation: 'landscape', // or 'portrait'
+        position: 'topleft'
       },
       
+      // Choropleth settings - colour districts by a statistic
+      choropleth: {
+        defaultMetric: null, // Key of `metrics`, null to start with outlines only
+        classification: 'quantile', // 'quantile' or 'equalInterval'
+        classes: 5,
+        colorRamp: ['#eff3ff', '#bdd7e7', '#6baed6', '#3182bd', '#08519c'],
+        fillOpacity: 0.6,
+        metrics: {}
+      },
+      
+      // Embedding: parent origins allowed to send commands (see EmbedApi)
+      embed: {
+        allowedOrigins: []
+      },
+      
+      // Languages - texts come from the bundles in shared/js/locales,
+      // messages[locale] overrides them per city (see I18n)
+      i18n: {
+        defaultLocale: 'en',
+        locales: ['en'],
+        messages: {}
+      },
+      
+      // UI text overrides that apply in every language
+      ui: {},
+      
       // Feature flags - allows easy customization per city
       features: {
         showTransportation: false,
         showDistrictStats: false,
+        showChoropleth: false,
         enableScrollZoom: true,
-        showDistrictInfo: true
+        showDistrictInfo: true,
+        showLanguageSwitch: true,
+        showTransitLegend: true,
+        showPrint: false
       },
       
       // Performance settings
@@ -69,15 +95,33 @@ class InteractiveMap {
     };
     
     this.controls = {
-      districtInfo: null
+      districtInfo: null,
+      choropleth: null,
+      languageSwitch: null,
+      transit: null,
+      print: null
     };
     
     this.state = {
       isTransportationVisible: false,
-      currentDistrict: null
+      hiddenRoutes: new Set(),
+      currentDistrict: null,
+      choroplethMetric: null
     };
     
+    this.districtStats = null;
+    this.districtIndex = null; // GeoUtils feature index for district lookups
+    this.choropleth = null; // { metric, breaks, colors } while active
+    this.routeFeatures = []; // Displayed route features (see TransitLines)
+    this.routeLayers = {}; // route_name → GeoJSON layer of that line
+    
+    // Resolve UI texts for the current language before anything renders
+    this.uiOverrides = this.config.ui;
+    I18n.configure(this.config.i18n);
+    this.config.ui = this.resolveUiTexts();
+    
     this.init();
+    I18n.onChange(() => this.applyLocale());
   }
 
   /**
@@ -102,11 +146,54 @@ class InteractiveMap {
     this.map = mapSetup.map;
     this.baseSetup = mapSetup;
     
+    if (this.config.features.showLanguageSwitch) {
+      this.controls.languageSwitch = I18n.createSwitcher('topright');
+      if (this.controls.languageSwitch) this.controls.languageSwitch.addTo(this.map);
+    }
+    
     if (this.config.features.showDistrictInfo) {
       this.setupDistrictInfoControl();
     }
   }
 
+  /**
+   * UI texts for the current language (bundles, then config overrides)
+   */
+  resolveUiTexts() {
+    return I18n.getMessages('city', { ui: this.uiOverrides, i18n: this.config.i18n });
+  }
+
+  /**
+   * Re-render all texts after the language changed
+   */
+  applyLocale() {
+    this.config.ui = this.resolveUiTexts();
+    const { ui } = this.config;
+    
+    if (this.baseSetup.scrollZoom) {
+      this.baseSetup.scrollZoom.setText(ui.zoomInstructionText);
+    }
+    
+    const toggleButton = document.getElementById('transportToggle');
+    if (toggleButton) toggleButton.textContent = ui.transportToggleText;
+    
+    if (this.controls.districtInfo) this.controls.districtInfo.relocalize();
+    if (this.controls.choropleth) {
+      // Rebuilt so the select shows the new labels
+      this.controls.choropleth.remove();
+      this.controls.choropleth.addTo(this.map);
+    }
+    if (this.controls.transit && this.state.isTransportationVisible) {
+      this.controls.transit.remove();
+      this.controls.transit.addTo(this.map);
+    }
+    if (this.controls.print) {
+      this.controls.print.remove();
+      this.controls.print.addTo(this.map);
+    }
+    if (this.controls.languageSwitch) this.controls.languageSwitch.update();
+  }
+
 
   /**
    * Set up the district information control panel
@@ -144,6 +231,7 @@ class InteractiveMap {
       if (!this._els) {
         this._createElements();
       }
+      this._properties = districtProperties;
       
       const id = districtProperties?.cartodb_id;
       const statsById = window.statsById;
@@ -153,17 +241,37 @@ class InteractiveMap {
         return;
       }
       
+      this._updateTimestamp();
+      
       const { name = '', area, population, adCount, notes } = statsById[id];
       this._updateContent(name, area, population, adCount, notes);
     };
     
+    // Build the panel again in the current language
+    districtInfoControl.relocalize = function() {
+      if (!this._div) return;
+      this._div.replaceChildren();
+      this._els = null;
+      this.update(this._properties);
+    };
+    
+    districtInfoControl._updateTimestamp = function() {
+      const timestamp = this._getLastUpdated();
+      if (!timestamp) {
+        this._els.updatedEl.textContent = '';
+        return;
+      }
+      
+      this._els.updatedEl.textContent = `${this._mapConfig.ui.lastUpdatedText}: ${I18n.formatDateTime(timestamp)}`;
+    };
+    
     districtInfoControl._createElements = function() {
       const root = this._div;
       const panel = L.DomUtil.create('section', 'district-panel', root);
       panel.id = 'district-info';
       panel.setAttribute('role', 'region');
       panel.setAttribute('aria-labelledby', 'district-title');
-      panel.setAttribute('lang', 'de');
+      panel.setAttribute('lang', I18n.getLocale());
       panel.setAttribute('aria-live', 'polite');
       
       // Header
@@ -175,19 +283,20 @@ class InteractiveMap {
       const body = L.DomUtil.create('div', 'district-panel__body', panel);
       const meta = L.DomUtil.create('div', 'district-panel__meta', body);
       const notesSection = L.DomUtil.create('section', 'district-panel__notes', body);
-      notesSection.setAttribute('aria-label', 'Hinweise');
+      notesSection.setAttribute('aria-label', this._mapConfig.ui.notesLabel);
       const notesP = L.DomUtil.create('p', '', notesSection);
       
       // Footer
       const footer = L.DomUtil.create('footer', 'district-panel__footer', panel);
       const small = L.DomUtil.create('small', 'source', footer);
       small.textContent = this._mapConfig.ui.dataSource;
+      const updatedEl = L.DomUtil.create('small', 'source district-panel__updated', footer);
       const logo = L.DomUtil.create('img', 'logo', footer);
       logo.src = 'https://wtm-aussenwerbung-berlin.de/wp-content/uploads/2024/01/wtm-logo-neu.png';
       logo.alt = 'WTM Logo';
       
       // Cache references
-      this._els = { titleEl, meta, notesP };
+      this._els = { titleEl, meta, notesP, updatedEl };
     };
     
     districtInfoControl._showEmptyState = function() {
@@ -203,20 +312,18 @@ class InteractiveMap {
       
       // Create chips
       const chipsFrag = document.createDocumentFragment();
-      const fmtInt = new Intl.NumberFormat('de-DE');
-      const fmtArea = new Intl.NumberFormat('de-DE', { maximumFractionDigits: 1 });
+      const { ui } = this._mapConfig;
       
       if (Number.isFinite(area)) {
-        const areaStr = `${fmtArea.format(area)} km²`;
-        chipsFrag.appendChild(this._createChip('Fläche:', areaStr));
+        chipsFrag.appendChild(this._createChip(`${ui.areaLabel}:`, I18n.formatArea(area)));
       }
       
       if (Number.isFinite(population)) {
-        chipsFrag.appendChild(this._createChip('Einwohner:', fmtInt.format(population)));
+        chipsFrag.appendChild(this._createChip(`${ui.populationLabel}:`, I18n.formatNumber(population)));
       }
       
       if (Number.isFinite(adCount)) {
-        chipsFrag.appendChild(this._createChip('Werbeträger:', fmtInt.format(adCount)));
+        chipsFrag.appendChild(this._createChip(`${ui.adsLabel}:`, I18n.formatNumber(adCount)));
       }
       
       this._els.meta.replaceChildren(chipsFrag);
@@ -236,6 +343,7 @@ class InteractiveMap {
     
     // Pass the map config to the control for access to UI text
     districtInfoControl._mapConfig = this.config;
+    districtInfoControl._getLastUpdated = () => this.getStatsLastUpdated();
     
     districtInfoControl.addTo(this.map);
     this.controls.districtInfo = districtInfoControl;
@@ -249,6 +357,7 @@ class InteractiveMap {
       const response = await fetch(geoJsonUrl);
       const geoJsonData = await response.json();
       
+      this.districtIndex = GeoUtils.createFeatureIndex(geoJsonData.features || []);
       this.layers.districts = this.createDistrictLayer(geoJsonData);
       this.layers.districts.addTo(this.map);
       
@@ -264,13 +373,7 @@ class InteractiveMap {
    */
   createDistrictLayer(geoJsonData) {
     return new L.geoJSON(geoJsonData, {
-      style: () => ({
-        color: '#13538a',
-        opacity: 1,
-        fillOpacity: 0,
-        weight: 2,
-        dashArray: '10',
-      }),
+      style: (feature) => this.getDistrictStyle(feature),
       pane: 'districtPane',
       onEachFeature: (feature, layer) => {
         layer.on({
@@ -291,6 +394,167 @@ class InteractiveMap {
     });
   }
 
+  /**
+   * Base style of a district, including its choropleth fill if active
+   */
+  getDistrictStyle(feature) {
+    const style = {
+      color: '#13538a',
+      opacity: this.state.isTransportationVisible ? 0.2 : 1,
+      fillColor: '#13538a',
+      fillOpacity: 0,
+      weight: 2,
+      dashArray: '10',
+    };
+    
+    if (!this.choropleth) return style;
+    
+    const value = this.getDistrictMetricValue(feature, this.choropleth.metric);
+    const classIndex = Choropleth.getClassIndex(value, this.choropleth.breaks);
+    if (classIndex === -1) return style;
+    
+    return {
+      ...style,
+      fillColor: this.choropleth.colors[classIndex],
+      fillOpacity: this.config.choropleth.fillOpacity
+    };
+  }
+
+  /**
+   * Get a metric value for a district feature from the loaded statistics
+   */
+  getDistrictMetricValue(feature, metric) {
+    const id = feature?.properties?.cartodb_id;
+    if (!this.districtStats || !id) return null;
+    return Choropleth.getMetricValue(this.districtStats[id], metric);
+  }
+
+  /**
+   * Switch the choropleth to another metric, or back to outlines with null
+   */
+  setChoroplethMetric(metricKey) {
+    const { metrics, classification, classes, colorRamp } = this.config.choropleth;
+    const metric = metricKey ? metrics[metricKey] : null;
+    
+    if (metric && this.layers.districts) {
+      const values = this.layers.districts.getLayers()
+        .map((layer) => this.getDistrictMetricValue(layer.feature, metric));
+      const breaks = Choropleth.computeBreaks(values, classification, classes);
+      
+      this.choropleth = {
+        metric,
+        breaks,
+        colors: Choropleth.getColors(colorRamp, breaks.length)
+      };
+      this.state.choroplethMetric = metricKey;
+    } else {
+      this.choropleth = null;
+      this.state.choroplethMetric = null;
+    }
+    
+    if (this.layers.districts) {
+      this.layers.districts.eachLayer((layer) => {
+        layer.setStyle(this.getDistrictStyle(layer.feature));
+      });
+    }
+    
+    if (this.controls.choropleth) {
+      this.controls.choropleth.update();
+    }
+    
+    this.notifyFilterChange();
+    this.notifyStateChange();
+  }
+
+  /**
+   * Set up the choropleth control with metric switch and legend
+   */
+  setupChoroplethControl() {
+    const choroplethControl = L.control({ position: 'bottomleft' });
+    const cityMap = this;
+    
+    choroplethControl.onAdd = function() {
+      const { ui, choropleth } = cityMap.config;
+      const container = L.DomUtil.create('div', 'info choropleth-control');
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+      
+      const label = L.DomUtil.create('label', 'choropleth-control__label', container);
+      label.textContent = ui.choroplethTitle;
+      
+      const select = L.DomUtil.create('select', 'choropleth-control__select', label);
+      const noneOption = L.DomUtil.create('option', '', select);
+      noneOption.value = '';
+      noneOption.textContent = ui.choroplethNoneText;
+      
+      Object.entries(choropleth.metrics).forEach(([key, metric]) => {
+        const option = L.DomUtil.create('option', '', select);
+        option.value = key;
+        option.textContent = I18n.localize(metric.label) || key;
+      });
+      
+      L.DomEvent.on(select, 'change', () => {
+        cityMap.setChoroplethMetric(select.value || null);
+      });
+      
+      this._select = select;
+      this._legend = L.DomUtil.create('ul', 'choropleth-legend', container);
+      this.update();
+      return container;
+    };
+    
+    choroplethControl.update = function() {
+      if (!this._legend) return;
+      
+      this._select.value = cityMap.state.choroplethMetric || '';
+      this._legend.replaceChildren();
+      
+      cityMap.getChoroplethLegend().forEach(({ label, color }) => {
+        const item = L.DomUtil.create('li', 'choropleth-legend__item', this._legend);
+        const swatch = L.DomUtil.create('span', 'choropleth-legend__swatch', item);
+        if (color) {
+          swatch.style.backgroundColor = color;
+        } else {
+          swatch.classList.add('choropleth-legend__swatch--empty');
+        }
+        item.append(label);
+      });
+    };
+    
+    choroplethControl.addTo(this.map);
+    this.controls.choropleth = choroplethControl;
+  }
+
+  /**
+   * Legend of the active choropleth: one value range per class, plus
+   * "no data" (color null) if some districts have no value
+   * @returns {Array<{label: string, color: string|null}>} Empty when off
+   */
+  getChoroplethLegend() {
+    const active = this.choropleth;
+    if (!active) return [];
+    
+    const fmt = new Intl.NumberFormat(I18n.getIntlLocale(), {
+      maximumFractionDigits: active.metric.decimals ?? 1
+    });
+    const values = this.layers.districts.getLayers()
+      .map((layer) => this.getDistrictMetricValue(layer.feature, active.metric))
+      .filter(Number.isFinite);
+    let lower = Math.min(...values);
+    
+    const items = active.breaks.map((upper, i) => {
+      const item = { label: `${fmt.format(lower)} – ${fmt.format(upper)}`, color: active.colors[i] };
+      lower = upper;
+      return item;
+    });
+    
+    if (values.length < this.layers.districts.getLayers().length) {
+      items.push({ label: this.config.ui.legendNoDataText, color: null });
+    }
+    
+    return items;
+  }
+
   /**
    * Load and display transportation routes
    */
@@ -317,17 +581,141 @@ class InteractiveMap {
 
   /**
    * Create transportation layer with route styling
+   * One GeoJSON layer per line, so lines can be hidden and highlighted
    */
   createTransportationLayer(geoJsonData) {
-    return new L.geoJSON(geoJsonData, {
-      style: (feature) => ({
-        color: this.getTransportationColor(feature.properties.route_name),
-        opacity: 0.6,
-        fillOpacity: 0,
-        weight: 2,
-      }),
-      pane: 'transportationPane',
+    const featuresByRoute = {};
+    geoJsonData.features.forEach((feature) => {
+      const routeName = feature.properties.route_name;
+      (featuresByRoute[routeName] = featuresByRoute[routeName] || []).push(feature);
+    });
+    
+    this.routeFeatures = geoJsonData.features;
+    this.routeLayers = {};
+    const transportationLayer = L.layerGroup();
+    
+    Object.entries(featuresByRoute).forEach(([routeName, features]) => {
+      const routeLayer = L.geoJSON(features, {
+        style: () => ({
+          color: this.getTransportationColor(routeName),
+          opacity: 0.6,
+          fillOpacity: 0,
+          weight: 2,
+        }),
+        pane: 'transportationPane',
+      });
+      
+      routeLayer.bindTooltip(routeName, { sticky: true, className: 'transit-tooltip' });
+      routeLayer.on('mouseover', () => this.highlightRoute(routeName));
+      routeLayer.on('mouseout', () => this.resetRouteHighlight(routeName));
+      
+      this.routeLayers[routeName] = routeLayer;
+      if (!this.state.hiddenRoutes.has(routeName)) {
+        transportationLayer.addLayer(routeLayer);
+      }
+    });
+    
+    return transportationLayer;
+  }
+
+  /**
+   * Displayed lines grouped for the legend (see TransitLines)
+   */
+  getRouteGroups() {
+    const { routeGroups } = this.config.transportation;
+    return TransitLines.groupRoutes(this.routeFeatures, routeGroups || TransitLines.defaultGroups);
+  }
+
+  /**
+   * Print layout content (see MapPrint): choropleth and visible transit
+   * lines as legend, the district panel while a district is selected
+   */
+  getPrintContent() {
+    const { ui } = this.config;
+    const legend = [];
+    
+    if (this.choropleth) {
+      legend.push({ title: I18n.localize(this.choropleth.metric.label), items: this.getChoroplethLegend() });
+    }
+    
+    if (this.state.isTransportationVisible) {
+      this.getRouteGroups().forEach(({ group, routes }) => {
+        legend.push({
+          title: TransitLines.getGroupLabel(group, ui),
+          items: routes
+            .filter((route) => this.isRouteVisible(route))
+            .map((route) => ({ label: route, color: this.getTransportationColor(route) }))
+        });
+      });
+    }
+    
+    return {
+      title: ui.title,
+      subtitle: this.state.currentDistrict,
+      legend,
+      info: this.state.currentDistrict ? this.controls.districtInfo?._div : null,
+      locations: null
+    };
+  }
+
+  /**
+   * Names of the displayed lines that are not switched off
+   */
+  getVisibleRoutes() {
+    return Object.keys(this.routeLayers).filter((routeName) => this.isRouteVisible(routeName));
+  }
+
+  isRouteVisible(routeName) {
+    return Boolean(this.routeLayers[routeName]) && !this.state.hiddenRoutes.has(routeName);
+  }
+
+  /**
+   * Show or hide a single line
+   */
+  setRouteVisible(routeName, visible) {
+    if (!this.routeLayers[routeName]) return;
+    
+    const others = this.getVisibleRoutes().filter((name) => name !== routeName);
+    this.setVisibleRoutes(visible ? [...others, routeName] : others);
+  }
+
+  /**
+   * Show exactly the given lines (unknown names are ignored)
+   */
+  setVisibleRoutes(routeNames) {
+    const visible = new Set(routeNames);
+    const hiddenRoutes = new Set(Object.keys(this.routeLayers).filter((routeName) => !visible.has(routeName)));
+    
+    const unchanged = hiddenRoutes.size === this.state.hiddenRoutes.size &&
+      [...hiddenRoutes].every((routeName) => this.state.hiddenRoutes.has(routeName));
+    if (unchanged) return;
+    
+    this.state.hiddenRoutes = hiddenRoutes;
+    Object.entries(this.routeLayers).forEach(([routeName, routeLayer]) => {
+      if (hiddenRoutes.has(routeName)) this.layers.transportation.removeLayer(routeLayer);
+      else this.layers.transportation.addLayer(routeLayer);
     });
+    
+    if (this.controls.transit) this.controls.transit.refresh();
+    
+    this.notifyFilterChange();
+    this.notifyStateChange();
+  }
+
+  /**
+   * Emphasise a line while it is hovered (on the map or in the legend)
+   */
+  highlightRoute(routeName) {
+    const routeLayer = this.routeLayers[routeName];
+    if (!routeLayer || !this.isRouteVisible(routeName)) return;
+    
+    routeLayer.setStyle({ opacity: 1, weight: 5 });
+    routeLayer.bringToFront();
+  }
+
+  resetRouteHighlight(routeName) {
+    const routeLayer = this.routeLayers[routeName];
+    if (routeLayer) routeLayer.resetStyle();
   }
 
   /**
@@ -345,6 +733,8 @@ class InteractiveMap {
     const toggleButton = document.getElementById(buttonId);
     if (!toggleButton) return;
     
+    toggleButton.textContent = this.config.ui.transportToggleText;
+    
     // Prevent map interactions on the button
     L.DomEvent.disableClickPropagation(toggleButton);
     
@@ -362,14 +752,23 @@ class InteractiveMap {
    * Toggle transportation layer visibility
    */
   toggleTransportation() {
+    this.setTransportationVisible(!this.state.isTransportationVisible);
+  }
+
+  /**
+   * Show or hide the transportation layer
+   */
+  setTransportationVisible(visible) {
     if (!this.layers.transportation || !this.layers.districts) return;
+    if (visible === this.state.isTransportationVisible) return;
     
     const toggleButton = document.getElementById('transportToggle');
     
-    if (this.state.isTransportationVisible) {
+    if (!visible) {
       // Hide transportation layer
       this.map.removeLayer(this.layers.transportation);
       this.layers.districts.setStyle({ opacity: 1 });
+      if (this.controls.transit) this.controls.transit.remove();
       
       if (toggleButton) {
         L.DomUtil.removeClass(toggleButton, 'active');
@@ -380,6 +779,7 @@ class InteractiveMap {
       // Show transportation layer
       this.map.addLayer(this.layers.transportation);
       this.layers.districts.setStyle({ opacity: 0.2 });
+      if (this.controls.transit) this.controls.transit.addTo(this.map);
       
       if (toggleButton) {
         L.DomUtil.addClass(toggleButton, 'active');
@@ -387,6 +787,9 @@ class InteractiveMap {
       
       this.state.isTransportationVisible = true;
     }
+    
+    this.notifyFilterChange();
+    this.notifyStateChange();
   }
 
   /**
@@ -411,12 +814,7 @@ class InteractiveMap {
    * Reset district highlight
    */
   resetDistrictHighlight(event) {
-    event.target.setStyle({
-      opacity: this.state.isTransportationVisible ? 0.2 : 1,
-      fillOpacity: 0,
-      weight: 2,
-      dashArray: '10',
-    });
+    event.target.setStyle(this.getDistrictStyle(event.target.feature));
     
     this.controls.districtInfo.close();
   }
@@ -425,46 +823,167 @@ class InteractiveMap {
    * Zoom to district bounds
    */
   zoomToDistrict(event) {
+    this.state.currentDistrict = event.target.feature.properties.name;
+    this.map.fire('districtselect', { name: this.state.currentDistrict });
+    // Before moving the map, so the new view lands in the new history entry
+    this.notifyStateChange();
+    
     this.map.fitBounds(event.target.getBounds());
     this.controls.districtInfo.open();
   }
 
+  /**
+   * Select a district by name, optionally zooming to it
+   */
+  selectDistrict(districtName, { fitBounds = true } = {}) {
+    if (!this.layers.districts) return;
+    
+    const layer = this.layers.districts.getLayers()
+      .find((districtLayer) => districtLayer.feature.properties.name === districtName);
+    if (!layer) return;
+    
+    this.state.currentDistrict = districtName;
+    this.map.fire('districtselect', { name: districtName });
+    this.notifyStateChange();
+    
+    if (fitBounds) {
+      this.map.fitBounds(layer.getBounds());
+    }
+    if (this.controls.districtInfo) {
+      this.controls.districtInfo.update(layer.feature.properties);
+      this.controls.districtInfo.open();
+    }
+  }
+
+  /**
+   * Deselect the current district: district styles reset, info panel closed
+   */
+  clearDistrict() {
+    const hadDistrict = this.state.currentDistrict !== null;
+    this.state.currentDistrict = null;
+    
+    if (this.layers.districts) {
+      this.layers.districts.eachLayer((layer) => {
+        layer.setStyle(this.getDistrictStyle(layer.feature));
+      });
+    }
+    if (this.controls.districtInfo) {
+      this.controls.districtInfo.close();
+    }
+    
+    if (hadDistrict) {
+      this.map.fire('districtselect', { name: null });
+      this.notifyStateChange();
+    }
+  }
+
+  /**
+   * Find the name of the district containing a point
+   */
+  findDistrictForLatLng(latlng) {
+    if (!latlng || !this.districtIndex) return null;
+    const feature = this.districtIndex.findFeature(GeoUtils.toPoint(latlng));
+    return feature?.properties?.name ?? null;
+  }
+
+  /**
+   * Signal a user-visible state change (see UrlState)
+   */
+  notifyStateChange() {
+    if (this.map) this.map.fire('mapstatechange');
+  }
+
+  /**
+   * Report the transport overlay, its lines and the choropleth metric (see EmbedApi)
+   */
+  notifyFilterChange() {
+    if (!this.map) return;
+    this.map.fire('filterchange', {
+      transport: this.state.isTransportationVisible,
+      routes: this.getVisibleRoutes(),
+      metric: this.state.choroplethMetric
+    });
+  }
+
   /**
    * Load district statistics from external source
    */
   async loadDistrictStats(url) {
     try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      
-      const data = await response.json();
-      const [headers, ...rows] = data.values;
-      const colIndex = Object.fromEntries(
-        headers.map((h, i) => [h.trim().toLowerCase(), i])
+      // Cached stats render immediately; stale ones are refreshed in the background
+      const entry = await DataCache.fetch(
+        this.getStatsCacheKey(url),
+        async () => {
+          const response = await fetch(url);
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          
+          const data = await response.json();
+          return data.values;
+        },
+        {
+          onUpdate: (values) => this.applyDistrictStats(this.parseDistrictStats(values))
+        }
       );
       
-      const statsById = Object.create(null);
-      for (const row of rows) {
-        const id = row[colIndex['cartodb_id']];
-        if (!id) continue;
-        
-        statsById[id] = {
-          name: row[colIndex['name']],
-          population: Number(row[colIndex['population']] || 0),
-          area: Number(row[colIndex['area']] || 0),
-          adCount: Number(row[colIndex['adcount']] || 0),
-          notes: row[colIndex['notes']] || '',
-        };
-      }
-      
-      window.statsById = statsById;
-      return statsById;
+      return this.applyDistrictStats(this.parseDistrictStats(entry.data));
     } catch (error) {
       console.error('Error loading district stats:', error);
       throw error;
     }
   }
 
+  /**
+   * Parse sheet values (header row first) into statistics keyed by cartodb_id
+   */
+  parseDistrictStats(values) {
+    const [headers, ...rows] = values;
+    const colIndex = Object.fromEntries(
+      headers.map((h, i) => [h.trim().toLowerCase(), i])
+    );
+    
+    const statsById = Object.create(null);
+    for (const row of rows) {
+      const id = row[colIndex['cartodb_id']];
+      if (!id) continue;
+      
+      statsById[id] = {
+        name: row[colIndex['name']],
+        population: Number(row[colIndex['population']] || 0),
+        area: Number(row[colIndex['area']] || 0),
+        adCount: Number(row[colIndex['adcount']] || 0),
+        notes: row[colIndex['notes']] || '',
+      };
+    }
+    
+    return statsById;
+  }
+
+  /**
+   * Make statistics current and refresh everything derived from them
+   */
+  applyDistrictStats(statsById) {
+    window.statsById = statsById;
+    this.districtStats = statsById;
+    
+    if (this.state.choroplethMetric) {
+      this.setChoroplethMetric(this.state.choroplethMetric);
+    }
+    
+    return statsById;
+  }
+
+  getStatsCacheKey(url) {
+    return `stats:${url}`;
+  }
+
+  /**
+   * Time the displayed district statistics were fetched, or null
+   */
+  getStatsLastUpdated() {
+    const url = this.config.dataSources.districtStats;
+    return url ? DataCache.getLastUpdated(this.getStatsCacheKey(url)) : null;
+  }
+
   /**
    * Get the map instance
    */
@@ -486,6 +1005,107 @@ class InteractiveMap {
     return this.controls;
   }
 
+  /**
+   * Commands available to a parent page (see EmbedApi)
+   */
+  getEmbedCommands() {
+    return {
+      setView: ({ center, zoom }) => {
+        if (!UrlState.parseLatLng(String(center))) {
+          throw new Error('center must be [lat, lng]');
+        }
+        this.map.setView(center, Number.isFinite(zoom) ? zoom : this.map.getZoom());
+      },
+      selectDistrict: ({ name }) => {
+        if (!name) {
+          this.clearDistrict();
+          return;
+        }
+        const exists = this.layers.districts?.getLayers()
+          .some((layer) => layer.feature.properties.name === name);
+        if (!exists) throw new Error(`Unknown district: ${name}`);
+        this.selectDistrict(name);
+      },
+      getDistrict: ({ center }) => {
+        const latlng = UrlState.parseLatLng(String(center));
+        if (!latlng) throw new Error('center must be [lat, lng]');
+        return this.findDistrictForLatLng(L.latLng(latlng));
+      },
+      setTransport: ({ visible }) => {
+        if (!this.layers.transportation) throw new Error('No transportation layer loaded');
+        this.setTransportationVisible(visible !== false);
+      },
+      setRoutes: ({ visible }) => {
+        if (!Array.isArray(visible)) throw new Error('visible must be a list of line names');
+        const unknown = visible.find((routeName) => !this.routeLayers[routeName]);
+        if (unknown) throw new Error(`Unknown line: ${unknown}`);
+        this.setVisibleRoutes(visible);
+        return this.getVisibleRoutes();
+      },
+      setRoute: ({ name, visible }) => {
+        if (!this.routeLayers[name]) throw new Error(`Unknown line: ${name}`);
+        this.setRouteVisible(name, visible !== false);
+        return this.getVisibleRoutes();
+      },
+      setChoroplethMetric: ({ metric }) => {
+        if (metric && !this.config.choropleth.metrics[metric]) {
+          throw new Error(`Unknown metric: ${metric}`);
+        }
+        this.setChoroplethMetric(metric || null);
+      }
+    };
+  }
+
+  /**
+   * Current view for shareable links (see UrlState)
+   */
+  getUrlState() {
+    const { defaultMetric } = this.config.choropleth;
+    const metric = this.state.choroplethMetric;
+    const visibleRoutes = this.getVisibleRoutes();
+    
+    return {
+      c: UrlState.formatLatLng(this.map.getCenter()),
+      z: this.map.getZoom(),
+      d: this.state.currentDistrict,
+      t: this.state.isTransportationVisible ? 1 : null,
+      // Only listed when some lines are switched off
+      line: visibleRoutes.length === Object.keys(this.routeLayers).length ? null : visibleRoutes,
+      // Only listed when it differs from the configured default
+      m: this.controls.choropleth && metric !== defaultMetric ? metric || 'none' : null
+    };
+  }
+
+  /**
+   * Restore a view from link parameters (see UrlState)
+   */
+  applyUrlState(params) {
+    this.setVisibleRoutes(params.has('line')
+      ? params.getAll('line').filter(Boolean)
+      : Object.keys(this.routeLayers));
+    this.setTransportationVisible(params.get('t') === '1');
+    
+    if (this.controls.choropleth) {
+      const metric = params.has('m') ? params.get('m') : this.config.choropleth.defaultMetric;
+      this.setChoroplethMetric(this.config.choropleth.metrics[metric] ? metric : null);
+    }
+    
+    const center = UrlState.parseLatLng(params.get('c'));
+    const zoom = Number(params.get('z'));
+    const hasView = center && params.has('z') && Number.isFinite(zoom);
+    
+    const district = params.get('d');
+    if (district) {
+      this.selectDistrict(district, { fitBounds: !hasView });
+    } else {
+      this.clearDistrict();
+    }
+    
+    if (hasView) {
+      this.map.setView(center, zoom, { animate: false });
+    }
+  }
+
   /**
    * High-level initialization method that loads all configured data sources
    * Makes creating a complete city map as simple as calling one method
@@ -494,19 +1114,25 @@ class InteractiveMap {
     try {
       // Load district statistics if configured and feature is enabled
       if (this.config.features.showDistrictStats && this.config.dataSources.districtStats) {
-        if (showLoadingCallback) showLoadingCallback('Loading district statistics...');
+        if (showLoadingCallback) showLoadingCallback(this.config.ui.loadingStatsText);
         await this.loadDistrictStats(this.config.dataSources.districtStats);
       }
 
       // Load district boundaries if configured
       if (this.config.dataSources.districts) {
-        if (showLoadingCallback) showLoadingCallback('Loading district boundaries...');
+        if (showLoadingCallback) showLoadingCallback(this.config.ui.loadingDistrictsText);
         await this.loadDistrictBoundaries(this.config.dataSources.districts);
       }
 
+      // Colour districts by a statistic once both stats and boundaries are there
+      if (this.config.features.showChoropleth && this.districtStats && this.layers.districts) {
+        this.setupChoroplethControl();
+        this.setChoroplethMetric(this.config.choropleth.defaultMetric);
+      }
+
       // Load transportation routes if configured and feature is enabled
       if (this.config.features.showTransportation && this.config.dataSources.transportation) {
-        if (showLoadingCallback) showLoadingCallback('Loading transportation data...');
+        if (showLoadingCallback) showLoadingCallback(this.config.ui.loadingTransportText);
         await this.loadTransportationRoutes(
           this.config.dataSources.transportation,
           this.config.transportation.routesToDisplay
@@ -514,6 +1140,16 @@ class InteractiveMap {
 
         // Setup transportation toggle
         this.setupTransportationToggle('transportToggle');
+        
+        // Line legend, shown together with the transportation layer
+        if (this.config.features.showTransitLegend) {
+          this.controls.transit = TransitLines.createControl(this);
+        }
+      }
+
+      if (this.config.features.showPrint) {
+        this.controls.print = MapPrint.createControl(this, this.config.print);
+        this.controls.print.addTo(this.map);
       }
 
       if (hideLoadingCallback) hideLoadingCallback();
@@ -0,0 +1,147 @@
+/**
+ * Transit lines for city maps
+ *
+ * Groups the displayed routes by their GTFS route_type (U-Bahn, S-Bahn,
+ * tram, bus, ...) and builds the transportation control: a legend with the
+ * line colours in which single lines and whole groups can be switched off.
+ * Used by InteractiveMap while the transportation layer is shown.
+ */
+
+const TransitLines = {
+  /**
+   * Groups used when a config does not list transportation.routeGroups.
+   * routeTypes are GTFS route types (basic and extended); the label comes
+   * from the locale bundles (message key).
+   */
+  defaultGroups: [
+    { id: 'subway', routeTypes: [1, 400, 401, 402], message: 'transitSubwayLabel' },
+    { id: 'rail', routeTypes: [2, 100, 106, 109], message: 'transitRailLabel' },
+    { id: 'tram', routeTypes: [0, 900], message: 'transitTramLabel' },
+    { id: 'bus', routeTypes: [3, 700, 702], message: 'transitBusLabel' },
+    { id: 'ferry', routeTypes: [4, 1000, 1200], message: 'transitFerryLabel' }
+  ],
+
+  /**
+   * Sort the routes of a GeoJSON collection into groups
+   * @param {Array} features - Route features (route_name, route_type)
+   * @param {Array} groups - Group definitions ({ id, label, routeTypes })
+   * @returns {Array<{group: Object, routes: Array<string>}>} Non-empty
+   *   groups in configured order, lines in natural order (S5 before S41);
+   *   routes of other types end up in an "other" group
+   */
+  groupRoutes(features, groups) {
+    // A line can have segments of another type (e.g. a replacement bus),
+    // so it goes by the type most of its segments have
+    const typeCounts = new Map();
+    features.forEach(({ properties = {} }) => {
+      if (!properties.route_name) return;
+      const counts = typeCounts.get(properties.route_name) || new Map();
+      const type = Number(properties.route_type);
+      counts.set(type, (counts.get(type) || 0) + 1);
+      typeCounts.set(properties.route_name, counts);
+    });
+
+    const other = { id: 'other', routeTypes: [], message: 'transitOtherLabel' };
+    const grouped = new Map([...groups, other].map((group) => [group, []]));
+
+    typeCounts.forEach((counts, route) => {
+      const [type] = [...counts].reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+      const group = groups.find((candidate) => candidate.routeTypes.includes(type)) || other;
+      grouped.get(group).push(route);
+    });
+
+    return [...grouped]
+      .filter(([, routes]) => routes.length > 0)
+      .map(([group, routes]) => ({
+        group,
+        routes: routes.sort((a, b) => a.localeCompare(b, 'de', { numeric: true }))
+      }));
+  },
+
+  /**
+   * Display name of a group in the current language
+   */
+  getGroupLabel(group, ui) {
+    return I18n.localize(group.label) || ui[group.message] || group.id;
+  },
+
+  /**
+   * Create the transportation control for an InteractiveMap
+   * @param {InteractiveMap} cityMap - Map with a loaded transportation layer
+   * @returns {L.Control} Control with refresh()
+   */
+  createControl(cityMap) {
+    const control = L.control({ position: 'bottomright' });
+    const transitLines = this;
+
+    control.onAdd = function() {
+      const { ui } = cityMap.config;
+      const container = L.DomUtil.create('div', 'info transit-control');
+      container.setAttribute('role', 'group');
+      container.setAttribute('aria-label', ui.transitLegendTitle);
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+
+      const title = L.DomUtil.create('b', 'transit-control__title', container);
+      title.textContent = ui.transitLegendTitle;
+
+      this._lineInputs = {};
+      this._groupInputs = [];
+
+      cityMap.getRouteGroups().forEach(({ group, routes }) => {
+        const section = L.DomUtil.create('div', 'transit-control__group', container);
+
+        const groupLabel = L.DomUtil.create('label', 'transit-control__group-label', section);
+        const groupInput = L.DomUtil.create('input', '', groupLabel);
+        groupInput.type = 'checkbox';
+        groupLabel.append(transitLines.getGroupLabel(group, ui));
+        L.DomEvent.on(groupInput, 'change', () => {
+          const others = cityMap.getVisibleRoutes().filter((route) => !routes.includes(route));
+          cityMap.setVisibleRoutes(groupInput.checked ? [...others, ...routes] : others);
+        });
+        this._groupInputs.push({ input: groupInput, routes });
+
+        const list = L.DomUtil.create('ul', 'transit-control__lines', section);
+        routes.forEach((route) => {
+          const item = L.DomUtil.create('li', 'transit-control__line', list);
+          const label = L.DomUtil.create('label', '', item);
+          const input = L.DomUtil.create('input', '', label);
+          input.type = 'checkbox';
+          input.value = route;
+
+          const swatch = L.DomUtil.create('span', 'transit-control__swatch', label);
+          swatch.style.backgroundColor = cityMap.getTransportationColor(route);
+          label.append(route);
+
+          L.DomEvent.on(input, 'change', () => cityMap.setRouteVisible(route, input.checked));
+          L.DomEvent.on(item, 'mouseenter', () => cityMap.highlightRoute(route));
+          L.DomEvent.on(item, 'mouseleave', () => cityMap.resetRouteHighlight(route));
+          this._lineInputs[route] = input;
+        });
+      });
+
+      this.refresh();
+      return container;
+    };
+
+    // Mirror the visible lines in the checkboxes
+    control.refresh = function() {
+      if (!this._lineInputs) return;
+
+      Object.entries(this._lineInputs).forEach(([route, input]) => {
+        input.checked = cityMap.isRouteVisible(route);
+      });
+
+      this._groupInputs.forEach(({ input, routes }) => {
+        const visible = routes.filter((route) => cityMap.isRouteVisible(route)).length;
+        input.checked = visible === routes.length;
+        input.indeterminate = visible > 0 && visible < routes.length;
+      });
+    };
+
+    return control;
+  }
+};
+
+// Export for use in other modules
+window.TransitLines = TransitLines;
@@ -23,13 +23,77 @@ const BerlinMediaConfig = {
       googleSheets: {
         sheetId: "1ltHBwFfhnMvTEh1qzpZ6WFvMKBG9Q1v0358kyKSrLcg",
         range: "Tabellenblatt1!A:K", // Includes all columns from Name to Bild2
+        // Column mapping: feature property → sheet header (order-independent)
+        columns: {
+          name: { header: "Name", type: "string", required: true },
+          category: { header: "Werbeträger", type: "string", required: true },
+          coordinates: {
+            header: "Koordinaten",
+            type: "coordinates",
+            order: "lnglat",
+            required: true,
+          },
+          location: { header: "Ort", type: "string" },
+          site: { header: "Standort", type: "string" },
+          dimensions: { header: "Maße", type: "string" },
+          lighting: { header: "Beleuchtung", type: "string" },
+          illuminated: {
+            header: "Beleuchtung",
+            type: "boolean",
+            trueValues: ["ja", "indirekt"],
+            falseValues: ["nein"],
+          },
+          bookingInterval: { header: "Buchungsintervall", type: "string" },
+          leadTime: { header: "Vorlaufzeit", type: "string" },
+          image1: { header: "Bild1", type: "url" },
+          image2: { header: "Bild2", type: "url" },
+        },
       },
       // Local JSON fallback
       fallback: "../shared/data/geojson/standort_daten.json",
     },
     // District boundaries - local server source
     districts: "../shared/data/geojson/berlin_districts.geojson",
+    // Transit lines for corridors - the routes of the city map
+    transportation: "../shared/data/geojson/berlin_routes.geojson",
   },
+
+  // Advertising categories (keys must match the Werbeträger values in the data)
+  advertisingTypes: {
+    Brückenwerbung: { color: "#1f77b4", visible: true },
+    "City Light Poster": { color: "#ff7f0e", visible: true },
+    "City Light Säule": { color: "#2ca02c", visible: true },
+    Fassadenwerbung: { color: "#d62728", visible: true },
+    Großfläche: { color: "#9467bd", visible: true },
+    "Kreide Stencil": { color: "#8c564b", visible: true },
+    Leuchtkasten: { color: "#e377c2", visible: true },
+    Litfaßsäule: { color: "#7f7f7f", visible: true },
+    Mastenschild: { color: "#bcbd22", visible: true },
+    Plakatwerbung: { color: "#17becf", visible: true },
+    Stromkasten: { color: "#e41a1c", visible: true },
+    Uhrenwerbung: { color: "#4daf4a", visible: true },
+    "Div. Supermarktwerbung": { color: "#333333", visible: true },
+  },
+
+  // District selector shown above the map (names must match the GeoJSON)
+  districtSelection: {
+    containerId: "district-selector",
+    districts: [
+      "Friedrichshain-Kreuzberg",
+      "Charlottenburg-Wilmersdorf",
+      "Marzahn-Hellersdorf",
+      "Neukölln",
+      "Pankow",
+      "Tempelhof-Schöneberg",
+      "Mitte",
+      "Spandau",
+      "Steglitz-Zehlendorf",
+      "Treptow-Köpenick",
+      "Lichtenberg",
+      "Reinickendorf",
+    ],
+  },
+
   // District statistics (number of advertising displays per district)
   districtStatistics: {
     "Friedrichshain-Kreuzberg": 27,
@@ -41,24 +105,160 @@ const BerlinMediaConfig = {
     "Tempelhof-Schöneberg": 22,
   },
 
-  // UI text and labels (German)
-  ui: {
-    title: "Berlin Media Locations",
-    loadingText: "Lade Medienstandorte...",
-    errorText: "Fehler beim Laden der Medienstandorte",
-    noDataText: "Keine Medienstandorte gefunden",
-    districtSelectPrompt: "Bezirk auswählen",
-    zoomInstructionText: "Strg + Mausrad zum Zoomen",
+  // Languages - German by default, English via the language switch.
+  // Texts not listed here come from shared/js/locales.
+  i18n: {
+    defaultLocale: "de",
+    locales: ["de", "en"],
+    messages: {
+      de: { title: "Berliner Werbestandorte" },
+      en: { title: "Berlin Media Locations" },
+    },
+  },
+
+  // Location popup template (values are escaped, image URLs sanitised)
+  popup: {
+    titleField: "name",
+    fields: [
+      { field: "category", label: { de: "Werbeträger", en: "Category" } },
+      { field: "location", label: { de: "Ort", en: "Location" } },
+      { field: "site", label: { de: "Standort", en: "Site" } },
+      { field: "dimensions", label: { de: "Maße", en: "Dimensions" } },
+      { field: "lighting", label: { de: "Beleuchtung", en: "Lighting" } },
+      {
+        field: "bookingInterval",
+        label: { de: "Buchungsintervall", en: "Booking interval" },
+      },
+      { field: "leadTime", label: { de: "Vorlaufzeit", en: "Lead time" } },
+    ],
+    imageFields: ["image1", "image2"],
+    logo: {
+      src: "https://www.wtm-aussenwerbung.de/wp-content/uploads/wtm-aussenwerbung.webp",
+      alt: "WTM Außenwerbung",
+    },
+    booleanLabels: {
+      true: { de: "ja", en: "yes" },
+      false: { de: "nein", en: "no" },
+    },
+  },
+
+  // Attribute filters (combined with the category checkboxes)
+  filters: {
+    fields: [
+      { field: "lighting", label: { de: "Beleuchtung", en: "Lighting" } },
+      {
+        field: "bookingInterval",
+        label: { de: "Buchungsintervall", en: "Booking interval" },
+      },
+      { field: "leadTime", label: { de: "Vorlaufzeit", en: "Lead time" } },
+      { field: "dimensions", label: { de: "Maße", en: "Dimensions" } },
+      { field: "site", label: { de: "Standort", en: "Site" } },
+      { field: "district", label: { de: "Bezirk", en: "District" } },
+    ],
+    position: "topright",
+  },
+
+  // Export of the shown locations (semicolons for German spreadsheet apps)
+  export: {
+    formats: ["csv", "geojson", "kml"],
+    fileName: "berlin-werbestandorte",
+    csvDelimiter: ";",
+    position: "topleft",
+  },
+
+  // Locations along a U-Bahn or S-Bahn line ("everything along the U8")
+  corridor: {
+    lines: [
+      "U1",
+      "U2",
+      "U3",
+      "U4",
+      "U5",
+      "U55",
+      "U6",
+      "U7",
+      "U8",
+      "U9",
+      "S1",
+      "S2",
+      "S25",
+      "S3",
+      "S41",
+      "S42",
+      "S45",
+      "S46",
+      "S47",
+      "S5",
+      "S7",
+      "S75",
+      "S8",
+      "S85",
+      "S9",
+    ],
+    distances: [100, 300, 500, 1000],
+    defaultDistance: 300,
+    color: "#13538a",
+    position: "topleft",
+  },
+
+  // Custom areas ("everything around Alexanderplatz"), summarised per
+  // category and lighting
+  area: {
+    summaryFields: ["lighting"],
+    color: "#c2410c",
+    fileName: "berlin-flaechenauswahl",
+    position: "topleft",
+  },
+
+  // Campaign shortlist ("Merkliste"), kept in the browser and shareable
+  shortlist: {
+    summaryFields: ["district"],
+    storageKey: "berlin-merkliste",
+    position: "topright",
+  },
+
+  // Booking inquiries for the shortlisted locations; period rules from the
+  // sheet columns Buchungsintervall and Vorlaufzeit
+  inquiry: {
+    city: "berlin",
+    endpoint: "/api/inquiry",
+    intervalField: "bookingInterval",
+    leadTimeField: "leadTime",
+  },
+
+  // Density view of the shown locations; markers again from markerZoom on
+  heatmap: {
+    weights: {}, // e.g. { "Großfläche": 2 } to weigh large formats more
+    radius: 25,
+    blur: 15,
+    minOpacity: 0.3,
+    markerZoom: 15,
+    position: "topleft",
+  },
+
+  // Clusters drawn as donut charts of their categories
+  clustering: {
+    maxClusterRadius: 40,
+    disableClusteringAtZoom: 16,
+    chart: "donut",
+    showBreakdown: true,
+  },
+
+  // Print layout for campaign areas (A4/A3, switchable in the preview)
+  print: {
+    paperSize: "A4",
+    orientation: "landscape",
+    position: "topleft",
   },
 
   // Marker styling for media locations
   markers: {
     color: "black",
-    radius: 6,
-    weight: 2,
+    radius: 8,
+    weight: 1,
     opacity: 1,
     interactive: true,
-    fillOpacity: 0.8,
+    fillOpacity: 1,
   },
 
   // Feature flags
@@ -67,10 +267,21 @@ const BerlinMediaConfig = {
     enableScrollZoom: true,
     showLoadingIndicator: true,
     showPopups: true,
-    enableClustering: false, // Set to true for large datasets
+    enableClustering: true,
+    showSearch: true,
+    showFilters: true,
+    showExport: true,
+    showLanguageSwitch: true,
+    showCorridor: true,
+    showAreaSelection: true,
+    showHeatmap: true,
+    showPrint: true,
+    showShortlist: true,
+    showInquiry: true,
   },
 
   // Map style configurations
+  defaultMapStyle: "carto-base",
   mapStyles: {
     osmhd: {
       name: "OSM HD (Original)",
@@ -112,6 +323,15 @@ const BerlinMediaConfig = {
     },
   },
 
+  // Sites allowed to control the map when embedding it (keep in sync with
+  // the frame-ancestors CSP in netlify.toml)
+  embed: {
+    allowedOrigins: [
+      "https://wtm-aussenwerbung.de",
+      "https://wtm-aussenwerbung-berlin.de",
+    ],
+  },
+
   // Performance settings
   performance: {
     debounceTime: 250,
@@ -0,0 +1,541 @@
+/**
+ * Area Selection for Media Maps
+ *
+ * Draw tools for selecting the locations in a custom area ("everything
+ * around Alexanderplatz"): a polygon clicked point by point, a rectangle or
+ * a circle around a centre. The locations inside are counted per category
+ * and per configured attribute (e.g. lighting), and the area can be saved
+ * together with the selected locations as GeoJSON.
+ *
+ * Areas are plain objects, so they fit into links and embed commands:
+ *   { type: "polygon", latlngs: [[lat, lng], ...] }
+ *   { type: "rectangle", bounds: [[south, west], [north, east]] }
+ *   { type: "circle", center: [lat, lng], radius } (radius in metres)
+ */
+
+const AreaSelection = {
+  types: ["polygon", "rectangle", "circle"],
+
+  // Decimal places of coordinates in links (about 1 m)
+  precision: 5,
+
+  // Pixels within which a click hits the first polygon point, and below
+  // which a drag counts as a click
+  clickTolerance: 8,
+
+  // Points of the polygon approximating a circle in GeoJSON
+  circleSteps: 64,
+
+  /**
+   * Check an area and bring it into its canonical form (rectangle bounds
+   * ordered south-west, north-east)
+   * @throws {Error} If the area is incomplete or has invalid coordinates
+   */
+  normalize(area) {
+    const isLatLng = (value) =>
+      Array.isArray(value) &&
+      value.length === 2 &&
+      value.every(Number.isFinite) &&
+      Math.abs(value[0]) <= 90 &&
+      Math.abs(value[1]) <= 180;
+    const toLatLng = (value) =>
+      Array.isArray(value) ? value.map(Number) : [value?.lat, value?.lng];
+
+    switch (area?.type) {
+      case "polygon": {
+        const latlngs = (area.latlngs || []).map(toLatLng);
+        if (latlngs.length < 3 || !latlngs.every(isLatLng)) {
+          throw new Error("polygon needs at least three [lat, lng] points");
+        }
+        return { type: "polygon", latlngs };
+      }
+      case "rectangle": {
+        const corners = (area.bounds || []).map(toLatLng);
+        if (corners.length !== 2 || !corners.every(isLatLng)) {
+          throw new Error("rectangle bounds must be two [lat, lng] corners");
+        }
+        const [[lat1, lng1], [lat2, lng2]] = corners;
+        return {
+          type: "rectangle",
+          bounds: [
+            [Math.min(lat1, lat2), Math.min(lng1, lng2)],
+            [Math.max(lat1, lat2), Math.max(lng1, lng2)],
+          ],
+        };
+      }
+      case "circle": {
+        const center = toLatLng(area.center);
+        const radius = Number(area.radius);
+        if (!isLatLng(center) || !(radius > 0)) {
+          throw new Error("circle needs a [lat, lng] center and a radius");
+        }
+        return { type: "circle", center, radius };
+      }
+      default:
+        throw new Error(`Unknown area type: ${area?.type}`);
+    }
+  },
+
+  /**
+   * Markers inside an area
+   */
+  findMarkers(markers, area) {
+    let contains;
+
+    if (area.type === "circle") {
+      const [lat, lng] = area.center;
+      contains = (point) =>
+        GeoUtils.getDistance(point, [lng, lat]) <= area.radius;
+    } else if (area.type === "rectangle") {
+      const [[south, west], [north, east]] = area.bounds;
+      contains = (point) =>
+        GeoUtils.boundsContain([west, south, east, north], point);
+    } else {
+      const ring = area.latlngs.map(([lat, lng]) => [lng, lat]);
+      const bounds = GeoUtils.getBounds(ring);
+      const isInRing = GeoUtils.createRingTest(ring);
+      contains = (point) =>
+        GeoUtils.boundsContain(bounds, point) && isInRing(point);
+    }
+
+    return markers.filter((marker) =>
+      contains(GeoUtils.toPoint(marker.getLatLng())),
+    );
+  },
+
+  /**
+   * Leaflet layer drawing an area
+   */
+  createLayer(area, style = {}) {
+    switch (area.type) {
+      case "circle":
+        return L.circle(area.center, { ...style, radius: area.radius });
+      case "rectangle":
+        return L.rectangle(area.bounds, style);
+      default:
+        return L.polygon(area.latlngs, style);
+    }
+  },
+
+  /**
+   * Bounds of an area (L.Circle has bounds only once it is on a map)
+   */
+  getBounds(area) {
+    if (area.type === "circle") {
+      return L.latLng(area.center).toBounds(2 * area.radius);
+    }
+    return this.createLayer(area).getBounds();
+  },
+
+  /**
+   * Outer ring of an area as [lng, lat], closed; circles are approximated
+   */
+  getRing(area) {
+    let ring;
+
+    if (area.type === "circle") {
+      const [lat, lng] = area.center;
+      const projection = GeoUtils.createProjection(lat);
+      const [x, y] = projection.toXY([lng, lat]);
+      ring = Array.from({ length: this.circleSteps }, (_, step) => {
+        const angle = (2 * Math.PI * step) / this.circleSteps;
+        return projection.toLngLat([
+          x + area.radius * Math.cos(angle),
+          y + area.radius * Math.sin(angle),
+        ]);
+      });
+    } else if (area.type === "rectangle") {
+      const [[south, west], [north, east]] = area.bounds;
+      ring = [
+        [west, south],
+        [east, south],
+        [east, north],
+        [west, north],
+      ];
+    } else {
+      ring = area.latlngs.map(([lat, lng]) => [lng, lat]);
+    }
+
+    return [...ring, ring[0]];
+  },
+
+  /**
+   * GeoJSON polygon feature of an area. The shape is kept in the
+   * properties, with centre and radius for circles.
+   */
+  toFeature(area, properties = {}) {
+    return {
+      type: "Feature",
+      geometry: { type: "Polygon", coordinates: [this.getRing(area)] },
+      properties: {
+        shape: area.type,
+        ...(area.type === "circle" && {
+          center: [area.center[1], area.center[0]],
+          radius: Math.round(area.radius),
+        }),
+        ...properties,
+      },
+    };
+  },
+
+  /**
+   * Link parameter of an area: "polygon:lat,lng;lat,lng;…",
+   * "rectangle:south,west;north,east" or "circle:lat,lng;radius"
+   */
+  stringify(area) {
+    const format = ([lat, lng]) =>
+      `${lat.toFixed(this.precision)},${lng.toFixed(this.precision)}`;
+
+    switch (area.type) {
+      case "circle":
+        return `circle:${format(area.center)};${Math.round(area.radius)}`;
+      case "rectangle":
+        return `rectangle:${area.bounds.map(format).join(";")}`;
+      default:
+        return `polygon:${area.latlngs.map(format).join(";")}`;
+    }
+  },
+
+  /**
+   * Area from a link parameter (see stringify)
+   * @returns {Object|null} Area, null if the value is missing or invalid
+   */
+  parse(value) {
+    const [type, points = ""] = (value || "").split(":");
+    const parts = points.split(";");
+
+    try {
+      if (type === "circle") {
+        return this.normalize({
+          type,
+          center: UrlState.parseLatLng(parts[0]),
+          radius: parts[1],
+        });
+      }
+      return this.normalize({
+        type,
+        [type === "rectangle" ? "bounds" : "latlngs"]: parts.map((part) =>
+          UrlState.parseLatLng(part),
+        ),
+      });
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Number of markers per value, most frequent first
+   * @param {Array} markers - Location markers
+   * @param {Function} getValue - (marker) → value
+   * @returns {Array} [value, count] pairs
+   */
+  countBy(markers, getValue) {
+    const counts = new Map();
+    markers.forEach((marker) => {
+      const value = getValue(marker);
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return [...counts].sort((a, b) => b[1] - a[1]);
+  },
+
+  /**
+   * Let the user draw an area on the map. Polygons are clicked point by
+   * point and finished with a double click or a click on the first point;
+   * rectangles and circles are dragged, or clicked at both ends (which also
+   * works on touch screens). Escape cancels.
+   *
+   * @param {L.Map} map - Map to draw on
+   * @param {string} type - "polygon", "rectangle" or "circle"
+   * @param {Object} options - { style, onFinish(area), onCancel() }
+   * @returns {Object} Drawing with its type and cancel()
+   */
+  startDrawing(map, type, options = {}) {
+    const { style = {}, onFinish = () => {}, onCancel = () => {} } = options;
+    const container = map.getContainer();
+    const preview = L.layerGroup().addTo(map);
+    const previewStyle = { ...style, dashArray: "6", interactive: false };
+    const wasDragging = map.dragging.enabled();
+    const wasDoubleClickZoom = map.doubleClickZoom.enabled();
+    const points = [];
+    let start = null;
+
+    const isNear = (latlng, point) =>
+      map.latLngToContainerPoint(latlng).distanceTo(point) <
+      this.clickTolerance;
+
+    const getShape = (latlng) => {
+      if (type === "circle") {
+        return {
+          type,
+          center: [start.lat, start.lng],
+          radius: start.distanceTo(latlng),
+        };
+      }
+      return {
+        type,
+        bounds: [
+          [start.lat, start.lng],
+          [latlng.lat, latlng.lng],
+        ],
+      };
+    };
+
+    const drawPreview = (area, cursor = null) => {
+      preview.clearLayers();
+      if (area) this.createLayer(area, previewStyle).addTo(preview);
+      if (cursor && points.length) {
+        L.polyline([...points, cursor], previewStyle).addTo(preview);
+      }
+      points.forEach((latlng) =>
+        L.circleMarker(latlng, {
+          ...style,
+          radius: 4,
+          fillOpacity: 1,
+          interactive: false,
+        }).addTo(preview),
+      );
+    };
+
+    const finish = (area) => {
+      stop();
+      onFinish(this.normalize(area));
+    };
+
+    const finishPolygon = () => {
+      if (points.length < 3) return;
+      finish({
+        type,
+        latlngs: points.map(({ lat, lng }) => [lat, lng]),
+      });
+    };
+
+    const onClick = ({ latlng, containerPoint }) => {
+      if (type !== "polygon") return;
+      if (points.length >= 3 && isNear(points[0], containerPoint)) {
+        finishPolygon();
+        return;
+      }
+      // The clicks of a double click add a single point
+      if (
+        !points.length ||
+        !isNear(points[points.length - 1], containerPoint)
+      ) {
+        points.push(latlng);
+        drawPreview(null);
+      }
+    };
+
+    const onMouseDown = ({ latlng }) => {
+      if (type !== "polygon" && !start) start = latlng;
+    };
+
+    const onMouseMove = ({ latlng }) => {
+      if (type === "polygon") {
+        drawPreview(null, latlng);
+      } else if (start) {
+        drawPreview(getShape(latlng));
+      }
+    };
+
+    const onMouseUp = ({ latlng, containerPoint }) => {
+      // Released right where it started: a click, wait for the second one
+      if (type === "polygon" || !start || isNear(start, containerPoint)) {
+        return;
+      }
+      finish(getShape(latlng));
+    };
+
+    const onKeyDown = (event) => {
+      if (event.key !== "Escape") return;
+      stop();
+      onCancel();
+    };
+
+    const events = {
+      click: onClick,
+      dblclick: finishPolygon,
+      mousedown: onMouseDown,
+      mousemove: onMouseMove,
+      mouseup: onMouseUp,
+    };
+
+    const stop = () => {
+      map.off(events);
+      document.removeEventListener("keydown", onKeyDown);
+      preview.remove();
+      container.classList.remove("is-drawing-area");
+      if (wasDragging) map.dragging.enable();
+      if (wasDoubleClickZoom) map.doubleClickZoom.enable();
+    };
+
+    map.doubleClickZoom.disable();
+    if (type !== "polygon") map.dragging.disable();
+    container.classList.add("is-drawing-area");
+    map.on(events);
+    document.addEventListener("keydown", onKeyDown);
+
+    return {
+      type,
+      cancel: () => {
+        stop();
+        onCancel();
+      },
+    };
+  },
+
+  /**
+   * Create the area panel for a MediaMap: draw buttons, the summary of the
+   * selected locations, save and clear
+   * @param {MediaMap} mediaMap - Map with loaded locations
+   * @returns {L.Control} Area control with update()
+   */
+  createControl(mediaMap) {
+    const { ui, area } = mediaMap.config;
+    const control = L.control({ position: area.position || "topleft" });
+    const labels = {
+      polygon: ui.areaPolygonText,
+      rectangle: ui.areaRectangleText,
+      circle: ui.areaCircleText,
+    };
+    const hints = {
+      polygon: ui.areaPolygonHint,
+      rectangle: ui.areaRectangleHint,
+      circle: ui.areaCircleHint,
+    };
+
+    control.onAdd = function () {
+      const container = L.DomUtil.create("div", "leaflet-bar location-area");
+      const title = L.DomUtil.create("b", "location-area__title", container);
+      title.textContent = ui.areaTitle;
+
+      const tools = L.DomUtil.create("div", "location-area__tools", container);
+      this._toolButtons = AreaSelection.types.map((type) => {
+        const button = L.DomUtil.create(
+          "button",
+          "location-area__button",
+          tools,
+        );
+        button.type = "button";
+        button.textContent = labels[type];
+        button.dataset.type = type;
+        L.DomEvent.on(button, "click", () => {
+          if (mediaMap.areaDrawing?.type === type) {
+            mediaMap.cancelAreaDrawing();
+          } else {
+            mediaMap.startAreaDrawing(type);
+          }
+        });
+        return button;
+      });
+
+      this._hint = L.DomUtil.create("div", "location-area__hint", container);
+      this._results = L.DomUtil.create(
+        "div",
+        "location-area__results",
+        container,
+      );
+
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+
+      this.update();
+      return container;
+    };
+
+    /**
+     * Show the drawing state and the summary of the current area
+     */
+    control.update = function () {
+      if (!this._results) return;
+
+      const drawing = mediaMap.areaDrawing?.type || null;
+      this._toolButtons.forEach((button) => {
+        const active = button.dataset.type === drawing;
+        button.classList.toggle("is-active", active);
+        button.setAttribute("aria-pressed", String(active));
+      });
+      this._hint.textContent = drawing ? hints[drawing] : "";
+      this._hint.hidden = !drawing;
+
+      this._results.replaceChildren();
+      const summary = mediaMap.getAreaSummary();
+      if (!summary) return;
+
+      const count = L.DomUtil.create(
+        "div",
+        "location-area__count",
+        this._results,
+      );
+      count.textContent = I18n.format(ui.areaCountText, {
+        count: I18n.formatNumber(summary.count),
+      });
+      if (summary.radius) {
+        const radius = L.DomUtil.create("div", "", this._results);
+        radius.textContent = I18n.format(ui.areaRadiusText, {
+          radius: I18n.formatNumber(Math.round(summary.radius)),
+        });
+      }
+
+      const addList = (heading, items) => {
+        if (!items.length) return null;
+        L.DomUtil.create(
+          "div",
+          "location-area__heading",
+          this._results,
+        ).textContent = heading;
+        const list = L.DomUtil.create(
+          "ul",
+          "location-area__summary",
+          this._results,
+        );
+        return items.map(({ label, count: itemCount }) => {
+          const item = L.DomUtil.create("li", "", list);
+          item.append(`${label}: ${I18n.formatNumber(itemCount)}`);
+          return item;
+        });
+      };
+
+      const categoryItems = addList(ui.categoriesTitle, summary.categories);
+      (categoryItems || []).forEach((item, index) => {
+        const swatch = L.DomUtil.create("span", "location-area__swatch");
+        swatch.style.backgroundColor = summary.categories[index].color;
+        item.prepend(swatch);
+      });
+      summary.fields.forEach(({ label, values }) => addList(label, values));
+
+      const actions = L.DomUtil.create(
+        "div",
+        "location-area__actions",
+        this._results,
+      );
+      const saveButton = L.DomUtil.create(
+        "button",
+        "location-area__button",
+        actions,
+      );
+      saveButton.type = "button";
+      saveButton.textContent = ui.areaSaveText;
+      saveButton.title = ui.areaSaveTitle;
+      L.DomEvent.on(saveButton, "click", () => mediaMap.saveArea());
+
+      const clearButton = L.DomUtil.create(
+        "button",
+        "location-area__button",
+        actions,
+      );
+      clearButton.type = "button";
+      clearButton.textContent = ui.areaClearText;
+      // Stopped here: clearing removes the button, and the map would take a
+      // click from a removed button for a click on the map
+      L.DomEvent.on(clearButton, "click", (event) => {
+        L.DomEvent.stop(event);
+        mediaMap.setArea(null);
+      });
+    };
+
+    return control;
+  },
+};
+
+// Export for global access
+window.AreaSelection = AreaSelection;
@@ -0,0 +1,186 @@
+/**
+ * Booking Rules for Media Locations
+ *
+ * Turns the booking interval ("Buchungsintervall": Woche, Dekade, Monat,
+ * Jahr, "ab 12 Monate") and lead time ("Vorlaufzeit": "3 Wochen") texts of
+ * the location data into durations, and checks a requested booking period
+ * against them: the period may start once the longest lead time has passed
+ * and must last at least the longest booking interval.
+ *
+ * Used by the inquiry form and by the inquiry Netlify function, so both
+ * apply the same rules. Dates are "YYYY-MM-DD" strings, computed in UTC;
+ * "today" is the date in Berlin, wherever the visitor or the server is.
+ */
+
+const BookingRules = {
+  // Time zone deciding which day "today" is (see getToday)
+  timeZone: "Europe/Berlin",
+
+  // Interval names without a number, e.g. "Dekade" (a ten-day booking period)
+  intervals: {
+    woche: { days: 7 },
+    dekade: { days: 10 },
+    monat: { months: 1 },
+    jahr: { months: 12 },
+  },
+
+  // Units of texts like "3 Wochen" or "ab 12 Monate"
+  units: {
+    tag: { days: 1 },
+    woche: { days: 7 },
+    monat: { months: 1 },
+    jahr: { months: 12 },
+  },
+
+  /**
+   * Duration of a booking interval or lead time text
+   * @returns {Object|null} { days } or { months }, null if not understood
+   */
+  parseDuration(text) {
+    const value = String(text ?? "")
+      .trim()
+      .toLowerCase();
+
+    const counted = value.match(/(\d+)\s*(tag|woche|monat|jahr)/);
+    if (counted) {
+      const [unit, amount] = Object.entries(this.units[counted[2]])[0];
+      return { [unit]: amount * Number(counted[1]) };
+    }
+
+    const name = Object.keys(this.intervals).find((key) => value.includes(key));
+    return name ? { ...this.intervals[name] } : null;
+  },
+
+  /**
+   * Date from "YYYY-MM-DD"
+   * @returns {Date|null} Midnight UTC, null for invalid dates
+   */
+  parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value ?? ""));
+    if (!match) return null;
+
+    const date = new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+    return this.formatDate(date) === value ? date : null;
+  },
+
+  formatDate(date) {
+    return date.toISOString().slice(0, 10);
+  },
+
+  /**
+   * Current date in timeZone, as "YYYY-MM-DD"
+   * @param {Date} [now] - Point in time, defaults to now
+   */
+  getToday(now = new Date()) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: this.timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+      })
+        .formatToParts(now)
+        .map(({ type, value }) => [type, value]),
+    );
+    return `${parts.year}-${parts.month}-${parts.day}`;
+  },
+
+  /**
+   * Date plus a duration (months at the end of a month stay in the month
+   * they land in: 31 January + 1 month is 28/29 February)
+   */
+  addDuration(date, { days = 0, months = 0 }) {
+    const result = new Date(date.getTime());
+    if (months) {
+      const day = result.getUTCDate();
+      result.setUTCDate(1);
+      result.setUTCMonth(result.getUTCMonth() + months);
+      const lastDay = new Date(
+        Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0),
+      ).getUTCDate();
+      result.setUTCDate(Math.min(day, lastDay));
+    }
+    result.setUTCDate(result.getUTCDate() + days);
+    return result;
+  },
+
+  /**
+   * Latest of the dates computed per location, or null without any
+   */
+  getLatest(locations, getDate) {
+    const dates = locations.map(getDate).filter(Boolean);
+    if (dates.length === 0) return null;
+    return this.formatDate(new Date(Math.max(...dates)));
+  },
+
+  /**
+   * First possible start of a booking: today plus the lead time, per
+   * location or (with several) the latest of them
+   * @param {Array|Object} locations - { leadTime } objects
+   * @param {string} today - "YYYY-MM-DD"
+   */
+  getEarliestStart(locations, today) {
+    const start = this.parseDate(today);
+    return (
+      this.getLatest([].concat(locations), ({ leadTime }) => {
+        const duration = this.parseDuration(leadTime);
+        return this.addDuration(start, duration || {});
+      }) || today
+    );
+  },
+
+  /**
+   * Last day of the shortest booking from a start date: the start plus the
+   * booking interval minus a day, the latest of them for several locations
+   * @param {Array|Object} locations - { bookingInterval } objects
+   * @param {string} start - "YYYY-MM-DD"
+   */
+  getMinimumEnd(locations, start) {
+    const startDate = this.parseDate(start);
+    return (
+      this.getLatest([].concat(locations), ({ bookingInterval }) => {
+        const duration = this.parseDuration(bookingInterval);
+        return duration
+          ? this.addDuration(this.addDuration(startDate, duration), {
+              days: -1,
+            })
+          : null;
+      }) || start
+    );
+  },
+
+  /**
+   * Problems of a booking period for the given locations
+   * @param {Array} locations - { id, leadTime, bookingInterval } objects
+   * @param {Object} period - { start, end } as "YYYY-MM-DD"
+   * @param {string} today - "YYYY-MM-DD"
+   * @returns {Array<Object>} Empty if the period is fine, otherwise
+   *   { code, ... } entries: "invalidDate" ({ field }), "endBeforeStart",
+   *   "leadTime" ({ id, earliestStart }) and "interval" ({ id, minimumEnd })
+   */
+  checkPeriod(locations, period, today) {
+    const problems = ["start", "end"]
+      .filter((field) => !this.parseDate(period?.[field]))
+      .map((field) => ({ code: "invalidDate", field }));
+    if (problems.length) return problems;
+
+    const { start, end } = period;
+    if (end < start) return [{ code: "endBeforeStart" }];
+
+    locations.forEach((location) => {
+      const earliestStart = this.getEarliestStart(location, today);
+      if (start < earliestStart) {
+        problems.push({ code: "leadTime", id: location.id, earliestStart });
+      }
+      const minimumEnd = this.getMinimumEnd(location, start);
+      if (end < minimumEnd) {
+        problems.push({ code: "interval", id: location.id, minimumEnd });
+      }
+    });
+    return problems;
+  },
+};
+
+// Export for global access, and for the inquiry function (Node)
+if (typeof window !== "undefined") window.BookingRules = BookingRules;
+if (typeof module !== "undefined") module.exports = BookingRules;
@@ -0,0 +1,167 @@
+/**
+ * Location Clusters for Media Maps
+ *
+ * Marker clustering (Leaflet.markercluster) with cluster icons drawn as pie
+ * or donut charts of the advertising categories they contain, in the
+ * category colours, and a breakdown per category on hover.
+ */
+
+const LocationClusters = {
+  /**
+   * Number of markers per category, in the order of the categories
+   * @param {Array} markers - Location markers
+   * @param {Object} advertisingLayers - MediaMap layer registry
+   * @returns {Array<{category: string, count: number, color: string}>}
+   *   Categories with markers only
+   */
+  getSegments(markers, advertisingLayers) {
+    const counts = {};
+    markers.forEach((marker) => {
+      counts[marker.advertisingType] =
+        (counts[marker.advertisingType] || 0) + 1;
+    });
+
+    return Object.entries(advertisingLayers)
+      .filter(([category]) => counts[category])
+      .map(([category, layerConfig]) => ({
+        category,
+        count: counts[category],
+        color: layerConfig.color,
+      }));
+  },
+
+  /**
+   * Icon size in pixels, growing with the number of locations
+   */
+  getIconSize(count) {
+    if (count < 10) return 36;
+    if (count < 100) return 44;
+    return 52;
+  },
+
+  /**
+   * SVG chart of the segments. Every segment is a stroked circle whose dash
+   * covers its share of the circumference; a stroke as wide as the radius
+   * gives a pie, a narrower one a donut.
+   * @param {Array} segments - See getSegments
+   * @param {number} size - Width and height in pixels
+   * @param {string} chart - "pie" or "donut"
+   * @returns {string} SVG markup
+   */
+  createChartSvg(segments, size, chart = "donut") {
+    const center = size / 2;
+    const strokeWidth = chart === "pie" ? center : size * 0.22;
+    const radius = (size - strokeWidth) / 2;
+    const circumference = 2 * Math.PI * radius;
+    const total = segments.reduce((sum, { count }) => sum + count, 0);
+    let offset = 0;
+
+    const circles = segments.map(({ count, color }) => {
+      const length = (count / total) * circumference;
+      const circle =
+        `<circle cx="${center}" cy="${center}" r="${radius}" fill="none" ` +
+        `stroke="${MapUtils.escapeHtml(color)}" stroke-width="${strokeWidth}" ` +
+        `stroke-dasharray="${length} ${circumference - length}" ` +
+        `stroke-dashoffset="${-offset}" ` +
+        `transform="rotate(-90 ${center} ${center})"/>`;
+      offset += length;
+      return circle;
+    });
+
+    return (
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" ` +
+      `viewBox="0 0 ${size} ${size}" aria-hidden="true">${circles.join("")}` +
+      (chart === "pie"
+        ? ""
+        : `<circle cx="${center}" cy="${center}" r="${radius - strokeWidth / 2}" fill="white"/>`) +
+      "</svg>"
+    );
+  },
+
+  /**
+   * Cluster icon: the category chart with the number of locations
+   */
+  createIcon(cluster, mediaMap) {
+    const markers = cluster.getAllChildMarkers();
+    const size = this.getIconSize(markers.length);
+    const chart = mediaMap.config.clustering.chart;
+    const segments = this.getSegments(markers, mediaMap.advertisingLayers);
+
+    return L.divIcon({
+      html:
+        this.createChartSvg(segments, size, chart) +
+        `<span class="location-cluster__count">${markers.length}</span>`,
+      className: `location-cluster location-cluster--${chart}`,
+      iconSize: L.point(size, size),
+    });
+  },
+
+  /**
+   * Breakdown of a cluster per category, for its tooltip
+   * @returns {HTMLElement} List of categories with colour and count
+   */
+  createBreakdown(cluster, mediaMap) {
+    const { ui } = mediaMap.config;
+    const markers = cluster.getAllChildMarkers();
+    const container = L.DomUtil.create("div", "location-cluster__breakdown");
+
+    const title = L.DomUtil.create("b", "", container);
+    title.textContent = I18n.format(ui.clusterCountText, {
+      count: I18n.formatNumber(markers.length),
+    });
+
+    const list = L.DomUtil.create("ul", "", container);
+    this.getSegments(markers, mediaMap.advertisingLayers).forEach(
+      ({ category, count, color }) => {
+        const item = L.DomUtil.create("li", "", list);
+        const swatch = L.DomUtil.create(
+          "span",
+          "location-cluster__swatch",
+          item,
+        );
+        swatch.style.backgroundColor = color;
+        item.append(`${category}: ${I18n.formatNumber(count)}`);
+      },
+    );
+
+    return container;
+  },
+
+  /**
+   * Create the marker cluster group for a MediaMap
+   * @param {MediaMap} mediaMap - Map with the advertising layer registry
+   * @returns {L.MarkerClusterGroup} Cluster group with category icons
+   */
+  createGroup(mediaMap) {
+    const { maxClusterRadius, disableClusteringAtZoom, showBreakdown } =
+      mediaMap.config.clustering;
+
+    const group = L.markerClusterGroup({
+      maxClusterRadius,
+      disableClusteringAtZoom: disableClusteringAtZoom ?? undefined,
+      spiderfyOnMaxZoom: true,
+      showCoverageOnHover: false,
+      zoomToBoundsOnClick: true,
+      chunkedLoading: true,
+      iconCreateFunction: (cluster) => this.createIcon(cluster, mediaMap),
+    });
+
+    if (showBreakdown) {
+      // Built on hover, so counts and texts are always current
+      group.on("clustermouseover", ({ layer }) => {
+        layer
+          .bindTooltip(this.createBreakdown(layer, mediaMap), {
+            direction: "top",
+            className: "location-cluster__tooltip",
+          })
+          .openTooltip();
+      });
+      group.on("clustermouseout", ({ layer }) => layer.unbindTooltip());
+    }
+
+    return group;
+  },
+};
+
+// Export for global access
+window.LocationClusters = LocationClusters;
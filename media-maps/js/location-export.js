@@ -0,0 +1,224 @@
+/**
+ * Location Export for Media Maps
+ *
+ * Exports the locations currently shown on the map (category toggles,
+ * attribute filters and the selected district applied) as CSV, GeoJSON or
+ * KML. Files are generated in the browser from the loaded feature data.
+ */
+
+const LocationExport = {
+  formats: {
+    csv: { extension: "csv", mimeType: "text/csv;charset=utf-8" },
+    geojson: { extension: "geojson", mimeType: "application/geo+json" },
+    kml: {
+      extension: "kml",
+      mimeType: "application/vnd.google-earth.kml+xml",
+    },
+  },
+
+  /**
+   * Collect the properties of all features, in first-seen order
+   */
+  getFieldNames(features) {
+    const fields = new Set();
+    features.forEach((feature) => {
+      Object.keys(feature.properties || {}).forEach((key) => fields.add(key));
+    });
+    return [...fields];
+  },
+
+  /**
+   * Serialize features as CSV with longitude/latitude columns
+   * @param {Array<Object>} features - GeoJSON point features
+   * @param {string} delimiter - Column delimiter
+   * @returns {string} CSV text (with BOM so spreadsheet apps detect UTF-8)
+   */
+  toCsv(features, delimiter = ",") {
+    const fields = this.getFieldNames(features);
+    const header = [...fields, "longitude", "latitude"];
+
+    const rows = features.map((feature) => {
+      const [lng, lat] = feature.geometry.coordinates;
+      return [...fields.map((field) => feature.properties[field]), lng, lat];
+    });
+
+    return (
+      "\uFEFF" +
+      [header, ...rows]
+        .map((row) =>
+          row.map((value) => this.escapeCsv(value, delimiter)).join(delimiter),
+        )
+        .join("\r\n")
+    );
+  },
+
+  /**
+   * Quote a CSV value if needed and neutralize spreadsheet formulas
+   */
+  escapeCsv(value, delimiter) {
+    if (value === null || value === undefined) return "";
+    let text = String(value);
+
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    if (text.includes(delimiter) || text.includes('"') || /[\r\n]/.test(text)) {
+      text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  },
+
+  /**
+   * Serialize features as a GeoJSON FeatureCollection
+   */
+  toGeoJson(features) {
+    return JSON.stringify({ type: "FeatureCollection", features }, null, 2);
+  },
+
+  /**
+   * Serialize features as KML placemarks with all attributes as ExtendedData
+   * @param {Array<Object>} features - GeoJSON point features
+   * @param {string} documentName - Name of the KML document
+   * @returns {string} KML document
+   */
+  toKml(features, documentName = "") {
+    const escape = (value) => this.escapeXml(value);
+
+    const placemarks = features.map((feature) => {
+      const { properties = {} } = feature;
+      const [lng, lat] = feature.geometry.coordinates;
+      const data = Object.entries(properties)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(
+          ([key, value]) =>
+            `        <Data name="${escape(key)}"><value>${escape(value)}</value></Data>`,
+        )
+        .join("\n");
+
+      return [
+        "    <Placemark>",
+        `      <name>${escape(properties.name)}</name>`,
+        "      <ExtendedData>",
+        data,
+        "      </ExtendedData>",
+        `      <Point><coordinates>${lng},${lat}</coordinates></Point>`,
+        "    </Placemark>",
+      ].join("\n");
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      "  <Document>",
+      `    <name>${escape(documentName)}</name>`,
+      ...placemarks,
+      "  </Document>",
+      "</kml>",
+    ].join("\n");
+  },
+
+  escapeXml(value) {
+    if (value === null || value === undefined) return "";
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+  },
+
+  /**
+   * Serialize features in one of the supported formats
+   */
+  serialize(features, format, options = {}) {
+    switch (format) {
+      case "csv":
+        return this.toCsv(features, options.csvDelimiter);
+      case "geojson":
+        return this.toGeoJson(features);
+      case "kml":
+        return this.toKml(features, options.documentName);
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  },
+
+  /**
+   * Build a file name like "media-locations-mitte-2024-05-01.csv"
+   */
+  getFileName(baseName, format, districtName = null) {
+    const date = new Date().toISOString().slice(0, 10);
+    const parts = [baseName, districtName, date].filter(Boolean).map((part) =>
+      String(part)
+        .toLowerCase()
+        .replace(/ß/g, "ss")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, ""),
+    );
+    return `${parts.join("-")}.${this.formats[format].extension}`;
+  },
+
+  /**
+   * Offer text content as a file download
+   */
+  download(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  },
+
+  /**
+   * Create the export control for a MediaMap
+   * @param {MediaMap} mediaMap - Map to export from
+   * @returns {L.Control} Export control
+   */
+  createControl(mediaMap) {
+    const { ui, export: exportConfig } = mediaMap.config;
+    const control = L.control({ position: exportConfig.position || "topleft" });
+
+    control.onAdd = () => {
+      const container = L.DomUtil.create("div", "leaflet-bar location-export");
+      const title = L.DomUtil.create(
+        "span",
+        "location-export__title",
+        container,
+      );
+      title.textContent = ui.exportTitle;
+
+      exportConfig.formats.forEach((format) => {
+        if (!this.formats[format]) {
+          console.warn(`Unknown export format: ${format}`);
+          return;
+        }
+
+        const button = L.DomUtil.create(
+          "button",
+          "location-export__button",
+          container,
+        );
+        button.type = "button";
+        button.textContent =
+          format === "geojson" ? "GeoJSON" : format.toUpperCase();
+        button.title = `${ui.exportTitle}: ${button.textContent}`;
+        L.DomEvent.on(button, "click", () => mediaMap.exportLocations(format));
+      });
+
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+
+      return container;
+    };
+
+    return control;
+  },
+};
+
+// Export for global access
+window.LocationExport = LocationExport;
@@ -0,0 +1,171 @@
+/**
+ * Attribute Filters for Media Maps
+ *
+ * Filters location markers by feature attributes (lighting, booking interval,
+ * district, ...) in addition to the category checkboxes. Within one attribute
+ * the selected values are alternatives; different attributes must all match.
+ */
+
+const LocationFilter = {
+  /**
+   * Collect the distinct values of an attribute, sorted for display in the
+   * current language (the panel is rebuilt when it changes)
+   * @param {Array} markers - Location markers
+   * @param {Function} getValue - (marker) => attribute value
+   * @returns {Array<string>} Distinct non-empty values
+   */
+  collectValues(markers, getValue) {
+    const values = new Set();
+    markers.forEach((marker) => {
+      const value = getValue(marker);
+      if (value !== null && value !== undefined && value !== "") {
+        values.add(String(value));
+      }
+    });
+
+    return [...values].sort((a, b) =>
+      a.localeCompare(b, I18n.getIntlLocale(), { numeric: true }),
+    );
+  },
+
+  /**
+   * Check a marker against the active filters
+   * @param {Object} marker - Location marker
+   * @param {Object} filters - { field: Set of accepted values }
+   * @param {Function} getValue - (marker, field) => attribute value
+   * @returns {boolean} True if every restricted attribute matches
+   */
+  matches(marker, filters, getValue) {
+    return Object.entries(filters).every(
+      ([field, accepted]) =>
+        accepted.size === 0 || accepted.has(String(getValue(marker, field))),
+    );
+  },
+
+  /**
+   * Create the filter panel for a MediaMap
+   * @param {MediaMap} mediaMap - Map to filter
+   * @returns {L.Control} Filter control with refresh() and updateCount()
+   */
+  createControl(mediaMap) {
+    const { ui, filters } = mediaMap.config;
+    const control = L.control({ position: filters.position || "topright" });
+    const filterModule = this;
+
+    control.onAdd = function () {
+      const container = L.DomUtil.create(
+        "div",
+        "leaflet-bar custom-control location-filter",
+      );
+      const header = L.DomUtil.create(
+        "div",
+        "location-filter__header",
+        container,
+      );
+      const title = L.DomUtil.create("b", "location-filter__title", header);
+      title.textContent = ui.filterTitle;
+      const toggleButton = L.DomUtil.create("button", "toggle-button1", header);
+      toggleButton.type = "button";
+      toggleButton.innerHTML = "▼";
+
+      this._count = L.DomUtil.create(
+        "div",
+        "location-filter__count",
+        container,
+      );
+      this._body = L.DomUtil.create("div", "location-filter__body", container);
+      this._body.style.display = "none";
+
+      L.DomEvent.on(toggleButton, "click", () => {
+        const isHidden = this._body.style.display === "none";
+        this._body.style.display = isHidden ? "block" : "none";
+        toggleButton.innerHTML = isHidden ? "▲" : "▼";
+      });
+
+      L.DomEvent.on(this._body, "change", (event) => {
+        if (event.target.type !== "checkbox") return;
+        const field = event.target.dataset.field;
+        const checked = this._body.querySelectorAll(
+          "input[type=checkbox]:checked",
+        );
+        const values = Array.from(checked)
+          .filter((checkbox) => checkbox.dataset.field === field)
+          .map((checkbox) => checkbox.value);
+        mediaMap.setFilter(field, values);
+      });
+
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+
+      this.refresh();
+      return container;
+    };
+
+    /**
+     * Rebuild the value checkboxes from the loaded markers
+     */
+    control.refresh = function () {
+      if (!this._body) return;
+      this._body.replaceChildren();
+
+      const markers = mediaMap.getAllMarkers();
+
+      filters.fields.forEach(({ field, label }) => {
+        const values = filterModule.collectValues(markers, (marker) =>
+          mediaMap.getMarkerValue(marker, field),
+        );
+        if (values.length === 0) return;
+
+        const active = mediaMap.state.filters[field] || new Set();
+        const fieldset = L.DomUtil.create(
+          "fieldset",
+          "location-filter__group",
+          this._body,
+        );
+        const legend = L.DomUtil.create("legend", "", fieldset);
+        legend.textContent = I18n.localize(label) || field;
+
+        values.forEach((value) => {
+          const option = L.DomUtil.create(
+            "label",
+            "location-filter__option",
+            fieldset,
+          );
+          const checkbox = L.DomUtil.create("input", "", option);
+          checkbox.type = "checkbox";
+          checkbox.value = value;
+          checkbox.dataset.field = field;
+          checkbox.checked = active.has(value);
+          option.append(` ${value}`);
+        });
+      });
+
+      const resetButton = L.DomUtil.create(
+        "button",
+        "location-filter__reset",
+        this._body,
+      );
+      resetButton.type = "button";
+      resetButton.textContent = ui.filterResetText;
+      L.DomEvent.on(resetButton, "click", () => mediaMap.resetFilters());
+
+      this.updateCount();
+    };
+
+    /**
+     * Update the "N of M locations shown" indicator
+     */
+    control.updateCount = function () {
+      if (!this._count) return;
+      this._count.textContent = I18n.format(ui.filterCountText, {
+        shown: I18n.formatNumber(mediaMap.getShownMarkers().length),
+        total: I18n.formatNumber(mediaMap.getAllMarkers().length),
+      });
+    };
+
+    return control;
+  },
+};
+
+// Export for global access
+window.LocationFilter = LocationFilter;
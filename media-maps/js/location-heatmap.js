@@ -0,0 +1,112 @@
+/**
+ * Location Heatmap for Media Maps
+ *
+ * Density view of the shown locations (category toggles and attribute
+ * filters applied), drawn with Leaflet.heat from the location markers.
+ * Categories can weigh more than others, e.g. large formats. From a
+ * configurable zoom on the map switches back to the markers.
+ */
+
+const LocationHeatmap = {
+  /**
+   * Heat points of the given markers
+   * @param {Array} markers - Location markers
+   * @param {Object} weights - Category → weight, 1 for unlisted categories
+   * @returns {Array<Array<number>>} [lat, lng, weight] per marker
+   */
+  getPoints(markers, weights = {}) {
+    return markers.map((marker) => {
+      const { lat, lng } = marker.getLatLng();
+      return [lat, lng, weights[marker.advertisingType] ?? 1];
+    });
+  },
+
+  /**
+   * Create the heat layer
+   * @param {Object} heatmapConfig - MediaMap heatmap settings
+   * @returns {L.Layer} Leaflet.heat layer without points
+   */
+  createLayer(heatmapConfig) {
+    const {
+      weights = {},
+      radius,
+      blur,
+      minOpacity,
+      gradient,
+      markerZoom,
+    } = heatmapConfig;
+
+    // Leaflet.heat redraws in an animation frame that is not cancelled when
+    // the layer is removed, so a pending redraw can run without a map
+    const HeatLayer = L.HeatLayer.extend({
+      _redraw() {
+        if (this._map) {
+          L.HeatLayer.prototype._redraw.call(this);
+        } else {
+          this._frame = null;
+        }
+      },
+    });
+
+    return new HeatLayer([], {
+      radius,
+      blur,
+      minOpacity,
+      // Points reach full intensity just before the markers take over
+      maxZoom: markerZoom - 1,
+      max: Math.max(1, ...Object.values(weights)),
+      ...(gradient ? { gradient } : {}),
+    });
+  },
+
+  /**
+   * Create the heatmap toggle for a MediaMap
+   * @param {MediaMap} mediaMap - Map with a heat layer
+   * @returns {L.Control} Toggle control with update()
+   */
+  createControl(mediaMap) {
+    const { ui, heatmap } = mediaMap.config;
+    const control = L.control({ position: heatmap.position || "topleft" });
+
+    control.onAdd = function () {
+      const container = L.DomUtil.create("div", "leaflet-bar location-heatmap");
+      const button = L.DomUtil.create(
+        "button",
+        "location-heatmap__button",
+        container,
+      );
+      button.type = "button";
+      button.textContent = ui.heatmapButtonText;
+      L.DomEvent.on(button, "click", () =>
+        mediaMap.setHeatmap(!mediaMap.state.heatmap),
+      );
+
+      this._button = button;
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+
+      this.update();
+      return container;
+    };
+
+    /**
+     * Mirror the heatmap state; while zoomed in past markerZoom the
+     * heatmap stays switched on but the markers are shown
+     */
+    control.update = function () {
+      if (!this._button) return;
+
+      const active = mediaMap.state.heatmap;
+      const suspended = active && !mediaMap.isHeatmapShown();
+      this._button.setAttribute("aria-pressed", String(active));
+      this._button.classList.toggle("is-active", active);
+      this._button.classList.toggle("is-suspended", suspended);
+      this._button.title = suspended ? ui.heatmapZoomHint : ui.heatmapTitle;
+    };
+
+    return control;
+  },
+};
+
+// Export for global access
+window.LocationHeatmap = LocationHeatmap;
@@ -0,0 +1,349 @@
+/**
+ * Booking Inquiry for Media Maps
+ *
+ * Form for requesting the shortlisted locations: booking period and contact
+ * details, sent to the inquiry Netlify function (netlify/functions/
+ * inquiry.js). The period fields only offer dates allowed by the lead times
+ * and booking intervals of the locations (see BookingRules); the function
+ * checks them again.
+ */
+
+const LocationInquiry = {
+  // Open form, see open()
+  session: null,
+
+  // Fields of the contact part of an inquiry
+  contactFields: ["name", "company", "email", "phone", "message"],
+
+  /**
+   * Open the inquiry form for the shortlisted locations of a MediaMap
+   * (closing any other one)
+   * @param {MediaMap} mediaMap - Map with a shortlist
+   * @returns {Object} Session with close()
+   */
+  open(mediaMap) {
+    this.close();
+
+    const { ui, inquiry } = mediaMap.config;
+    const locations = mediaMap.getInquiryLocations();
+    const today = BookingRules.getToday();
+    const earliestStart = BookingRules.getEarliestStart(locations, today);
+
+    const overlay = L.DomUtil.create("div", "location-inquiry", document.body);
+    const form = L.DomUtil.create("form", "location-inquiry__form", overlay);
+    form.setAttribute("role", "dialog");
+    form.setAttribute("aria-modal", "true");
+    form.noValidate = true;
+
+    const title = L.DomUtil.create("h2", "location-inquiry__title", form);
+    title.id = "location-inquiry-title";
+    title.textContent = ui.inquiryTitle;
+    form.setAttribute("aria-labelledby", title.id);
+
+    form.append(this.createLocationTable(locations, ui));
+
+    const periodSet = L.DomUtil.create(
+      "fieldset",
+      "location-inquiry__fieldset",
+      form,
+    );
+    L.DomUtil.create("legend", "", periodSet).textContent =
+      ui.inquiryPeriodLegend;
+    const start = this.createField(periodSet, ui.inquiryStartLabel, {
+      name: "start",
+      type: "date",
+      required: true,
+    });
+    const end = this.createField(periodSet, ui.inquiryEndLabel, {
+      name: "end",
+      type: "date",
+      required: true,
+    });
+    const periodHint = L.DomUtil.create(
+      "p",
+      "location-inquiry__hint",
+      periodSet,
+    );
+
+    const contactSet = L.DomUtil.create(
+      "fieldset",
+      "location-inquiry__fieldset",
+      form,
+    );
+    L.DomUtil.create("legend", "", contactSet).textContent =
+      ui.inquiryContactLegend;
+    const fields = {
+      name: this.createField(contactSet, ui.inquiryNameLabel, {
+        name: "name",
+        autocomplete: "name",
+        required: true,
+      }),
+      company: this.createField(contactSet, ui.inquiryCompanyLabel, {
+        name: "company",
+        autocomplete: "organization",
+      }),
+      email: this.createField(contactSet, ui.inquiryEmailLabel, {
+        name: "email",
+        type: "email",
+        autocomplete: "email",
+        required: true,
+      }),
+      phone: this.createField(contactSet, ui.inquiryPhoneLabel, {
+        name: "phone",
+        type: "tel",
+        autocomplete: "tel",
+      }),
+      message: this.createField(contactSet, ui.inquiryMessageLabel, {
+        name: "message",
+        multiline: true,
+      }),
+    };
+
+    // Only bots fill in this field (hidden by CSS); the function drops
+    // inquiries that have it
+    const trap = this.createField(form, "Website", {
+      name: "website",
+      autocomplete: "off",
+    });
+    trap.tabIndex = -1;
+    trap.closest("label").classList.add("location-inquiry__trap");
+
+    const status = L.DomUtil.create("p", "location-inquiry__status", form);
+    status.setAttribute("role", "alert");
+
+    const actions = L.DomUtil.create("div", "location-inquiry__actions", form);
+    const submitButton = L.DomUtil.create(
+      "button",
+      "btn btn--primary",
+      actions,
+    );
+    submitButton.type = "submit";
+    submitButton.textContent = ui.inquirySubmitText;
+    const closeButton = L.DomUtil.create("button", "btn", actions);
+    closeButton.type = "button";
+    closeButton.textContent = ui.inquiryCancelText;
+
+    // Earliest start from the lead times, earliest end from the start and
+    // the booking intervals
+    const updatePeriod = () => {
+      const minimumEnd = BookingRules.getMinimumEnd(
+        locations,
+        BookingRules.parseDate(start.value) ? start.value : earliestStart,
+      );
+      end.min = minimumEnd;
+      if (!end.value || end.value < minimumEnd) end.value = minimumEnd;
+      periodHint.textContent = I18n.format(ui.inquiryPeriodHint, {
+        start: I18n.formatDate(earliestStart),
+        end: I18n.formatDate(minimumEnd),
+      });
+    };
+    start.min = earliestStart;
+    start.value = earliestStart;
+    updatePeriod();
+
+    const showStatus = (text, type) => {
+      status.textContent = text;
+      status.className = `location-inquiry__status location-inquiry__status--${type}`;
+    };
+
+    const onSubmit = async (event) => {
+      event.preventDefault();
+
+      const period = { start: start.value, end: end.value };
+      const contact = Object.fromEntries(
+        Object.entries(fields).map(([name, input]) => [
+          name,
+          input.value.trim(),
+        ]),
+      );
+      const problems = [
+        ...BookingRules.checkPeriod(locations, period, today),
+        ...["name", "email"]
+          .filter((name) => !contact[name] || !fields[name].checkValidity())
+          .map((field) => ({ code: "invalid", field })),
+      ];
+      if (problems.length) {
+        showStatus(this.describeProblems(problems, locations, ui), "error");
+        return;
+      }
+
+      submitButton.disabled = true;
+      showStatus(ui.inquirySendingText, "info");
+      try {
+        const result = await this.submit(inquiry.endpoint, {
+          city: inquiry.city,
+          map: ui.title,
+          locale: I18n.getLocale(),
+          // The function takes everything else from the location data
+          locations: locations.map(({ id, district }) => ({ id, district })),
+          period,
+          contact,
+          website: trap.value,
+        });
+        form.replaceChildren(title, status, actions);
+        submitButton.remove();
+        closeButton.textContent = ui.inquiryCloseText;
+        showStatus(
+          I18n.format(ui.inquirySuccessText, { id: result.id }),
+          "success",
+        );
+      } catch (error) {
+        console.error("Inquiry could not be sent:", error);
+        showStatus(
+          error.problems
+            ? this.describeProblems(error.problems, locations, ui)
+            : ui.inquiryErrorText,
+          "error",
+        );
+      } finally {
+        submitButton.disabled = false;
+      }
+    };
+
+    const onKeyDown = (event) => {
+      if (event.key === "Escape") this.close();
+    };
+
+    L.DomEvent.on(start, "change", updatePeriod);
+    L.DomEvent.on(form, "submit", onSubmit);
+    L.DomEvent.on(closeButton, "click", () => this.close());
+    L.DomEvent.on(overlay, "click", (event) => {
+      if (event.target === overlay) this.close();
+    });
+    document.addEventListener("keydown", onKeyDown);
+
+    this.session = {
+      close: () => {
+        document.removeEventListener("keydown", onKeyDown);
+        overlay.remove();
+      },
+    };
+
+    fields.name.focus();
+    return this.session;
+  },
+
+  /**
+   * Close the open form, if any
+   */
+  close() {
+    if (!this.session) return;
+    const { close } = this.session;
+    this.session = null;
+    close();
+  },
+
+  /**
+   * Labelled input (or textarea with `multiline`)
+   * @returns {HTMLElement} The input
+   */
+  createField(parent, labelText, options = {}) {
+    const { multiline = false, ...attributes } = options;
+    const label = L.DomUtil.create("label", "location-inquiry__field", parent);
+    L.DomUtil.create("span", "", label).textContent = attributes.required
+      ? `${labelText} *`
+      : labelText;
+
+    const input = L.DomUtil.create(multiline ? "textarea" : "input", "", label);
+    Object.entries(attributes).forEach(([name, value]) => {
+      input[name] = value;
+    });
+    return input;
+  },
+
+  /**
+   * Table of the requested locations with their booking interval and lead
+   * time
+   */
+  createLocationTable(locations, ui) {
+    const table = L.DomUtil.create("table", "location-inquiry__locations");
+    const caption = L.DomUtil.create("caption", "", table);
+    caption.textContent = I18n.format(ui.inquiryLocationsText, {
+      count: I18n.formatNumber(locations.length),
+    });
+
+    const headRow = L.DomUtil.create(
+      "tr",
+      "",
+      L.DomUtil.create("thead", "", table),
+    );
+    [
+      ui.inquiryNameColumn,
+      ui.inquiryIntervalColumn,
+      ui.inquiryLeadTimeColumn,
+    ].forEach((text) => {
+      L.DomUtil.create("th", "", headRow).textContent = text;
+    });
+
+    const tbody = L.DomUtil.create("tbody", "", table);
+    locations.forEach(({ name, bookingInterval, leadTime }) => {
+      const row = L.DomUtil.create("tr", "", tbody);
+      [name, bookingInterval, leadTime].forEach((value) => {
+        L.DomUtil.create("td", "", row).textContent = value || "–";
+      });
+    });
+    return table;
+  },
+
+  /**
+   * Readable text for problems found by BookingRules.checkPeriod or the
+   * inquiry function
+   */
+  describeProblems(problems, locations, ui) {
+    const getName = (id) =>
+      locations.find((location) => location.id === id)?.name || id;
+
+    return problems
+      .map((problem) => {
+        switch (problem.code) {
+          case "leadTime":
+            return I18n.format(ui.inquiryLeadTimeError, {
+              name: getName(problem.id),
+              date: I18n.formatDate(problem.earliestStart),
+            });
+          case "interval":
+            return I18n.format(ui.inquiryIntervalError, {
+              name: getName(problem.id),
+              date: I18n.formatDate(problem.minimumEnd),
+            });
+          case "unknownLocation":
+            return I18n.format(ui.inquiryUnknownLocationError, {
+              name: getName(problem.id),
+            });
+          case "endBeforeStart":
+          case "invalidDate":
+            return ui.inquiryPeriodError;
+          default:
+            return this.contactFields.includes(problem.field)
+              ? ui.inquiryContactError
+              : ui.inquiryErrorText;
+        }
+      })
+      .filter((text, index, texts) => texts.indexOf(text) === index)
+      .join(" ");
+  },
+
+  /**
+   * Send an inquiry
+   * @returns {Promise<Object>} { id } of the stored inquiry
+   * @throws {Error} With the function's `problems` if it rejected the inquiry
+   */
+  async submit(endpoint, payload) {
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(result.error || `HTTP ${response.status}`);
+      error.problems = result.problems;
+      throw error;
+    }
+    return result;
+  },
+};
+
+// Export for global access
+window.LocationInquiry = LocationInquiry;
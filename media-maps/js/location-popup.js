@@ -0,0 +1,146 @@
+/**
+ * Location Popup Templates for Media Maps
+ *
+ * Renders media location popups from typed feature properties, so Google
+ * Sheets data and the local JSON fallback share one template. Every value is
+ * escaped and every image URL sanitised before it reaches the page.
+ */
+
+const LocationPopup = {
+  /**
+   * Default template, used when the media config does not provide `popup`
+   *
+   * - titleField: property shown as the heading
+   * - fields: [{ field, label, format }] rows of the info section; a label
+   *   may be a string or per locale ({ de, en }, see I18n.localize)
+   * - imageFields: properties holding image URLs
+   * - logo: optional { src, alt } shown below the info rows
+   * - booleanLabels: labels for the "yesNo" formatter (also per locale)
+   */
+  defaultTemplate: {
+    titleField: "name",
+    fields: [
+      { field: "category", label: "Category" },
+      { field: "location", label: "Location" },
+      { field: "site", label: "Site" },
+      { field: "dimensions", label: "Dimensions" },
+      { field: "lighting", label: "Lighting" },
+      { field: "bookingInterval", label: "Booking interval" },
+      { field: "leadTime", label: "Lead time" },
+    ],
+    imageFields: ["image1", "image2"],
+    logo: null,
+    booleanLabels: { true: "yes", false: "no" },
+  },
+
+  /**
+   * Named formatters usable as `format` in field definitions.
+   * A field may also pass its own function (value, properties, template).
+   */
+  formatters: {
+    text: (value) => String(value),
+    number: (value) =>
+      Number.isFinite(value) ? I18n.formatNumber(value) : String(value),
+    yesNo: (value, properties, template) =>
+      value === true
+        ? I18n.localize(template.booleanLabels.true)
+        : value === false
+          ? I18n.localize(template.booleanLabels.false)
+          : String(value),
+  },
+
+  /**
+   * Tagged template literal that escapes every interpolated value.
+   * Results of nested `html` calls are passed through unescaped.
+   */
+  html(strings, ...values) {
+    const output = strings.reduce((result, string, index) => {
+      if (index === 0) return string;
+      return result + LocationPopup.toHtml(values[index - 1]) + string;
+    }, "");
+    return new LocationPopup.SafeHtml(output);
+  },
+
+  SafeHtml: class {
+    constructor(value) {
+      this.value = value;
+    }
+
+    toString() {
+      return this.value;
+    }
+  },
+
+  toHtml(value) {
+    if (Array.isArray(value)) return value.map((v) => this.toHtml(v)).join("");
+    if (value instanceof this.SafeHtml) return value.value;
+    return MapUtils.escapeHtml(value);
+  },
+
+  /**
+   * Render the popup HTML for a location
+   * @param {Object} properties - Typed feature properties
+   * @param {Object} template - Popup template (merged over defaultTemplate)
+   * @returns {string} Escaped HTML popup content
+   */
+  render(properties = {}, template = {}) {
+    const config = { ...this.defaultTemplate, ...template };
+    const html = this.html;
+
+    const rows = config.fields
+      .map((fieldConfig) => this.formatField(properties, fieldConfig, config))
+      .filter((row) => row !== null)
+      .map((row) => html`${row.label}: ${row.value}<br />`);
+
+    const logo = config.logo && MapUtils.sanitizeUrl(config.logo.src);
+
+    const images = config.imageFields
+      .map((field) => MapUtils.sanitizeUrl(properties[field]))
+      .filter(Boolean)
+      .map(
+        (src) =>
+          html`<img
+            src="${src}"
+            alt="${properties[config.titleField] || ""}"
+            loading="lazy"
+          />`,
+      );
+
+    return html`
+      <div class="location-popup">
+        <div class="popup-layout">
+          <div class="popup-info-section">
+            <h3>${properties[config.titleField] || ""}</h3>
+            ${rows}
+            ${logo ? html`<img class="popup-logo" src="${logo}" alt="${config.logo.alt || ""}" />` : ""}
+          </div>
+          ${images.length ? html`<div class="popup-images-section">${images}</div>` : ""}
+        </div>
+      </div>
+    `
+      .toString()
+      .replace(/\s*\n\s*/g, " ")
+      .trim();
+  },
+
+  /**
+   * Format one info row, or null if the property is empty
+   */
+  formatField(properties, fieldConfig, template) {
+    const value = properties[fieldConfig.field];
+    if (value === null || value === undefined || value === "") return null;
+
+    const formatter =
+      typeof fieldConfig.format === "function"
+        ? fieldConfig.format
+        : this.formatters[fieldConfig.format || "text"] || this.formatters.text;
+
+    return {
+      label: I18n.localize(fieldConfig.label) || fieldConfig.field,
+      value: formatter(value, properties, template),
+    };
+  },
+};
+
+// Export for global access
+window.LocationPopup = LocationPopup;
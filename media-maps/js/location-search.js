@@ -0,0 +1,278 @@
+/**
+ * Location Search for Media Maps
+ *
+ * Builds a search index over the loaded location markers and provides an
+ * autocomplete control. Matching is case-, diacritic- and spelling-tolerant
+ * ("Großfläche" finds "Grossflaeche") and allows one typo per word.
+ */
+
+const LocationSearch = {
+  /**
+   * Normalize text for matching: lowercase, German umlaut/ß spellings
+   * folded together, other diacritics removed, punctuation collapsed
+   */
+  normalize(text) {
+    return String(text ?? "")
+      .toLowerCase()
+      .replace(/ß/g, "ss")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/ae/g, "a")
+      .replace(/oe/g, "o")
+      .replace(/ue/g, "u")
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  },
+
+  /**
+   * Build a search index from markers carrying a GeoJSON `feature`
+   * @param {Array} markers - Leaflet markers
+   * @param {Array<string>} fields - Feature properties to index
+   * @returns {Array<Object>} Index entries { marker, text, tokens }
+   */
+  buildIndex(markers, fields) {
+    return markers
+      .filter((marker) => marker.feature?.properties)
+      .map((marker) => {
+        const values = fields
+          .map((field) => marker.feature.properties[field])
+          .filter((value) => value !== null && value !== undefined);
+        const text = this.normalize(values.join(" "));
+        return { marker, text, tokens: text.split(" ") };
+      });
+  },
+
+  /**
+   * Search the index
+   * @param {Array<Object>} index - Index from buildIndex
+   * @param {string} query - User input
+   * @param {number} limit - Maximum number of results
+   * @returns {Array<Object>} Matching index entries, best first
+   */
+  search(index, query, limit = 10) {
+    const queryTokens = this.normalize(query).split(" ").filter(Boolean);
+    if (queryTokens.length === 0) return [];
+
+    return index
+      .map((entry) => ({ entry, score: this.score(entry, queryTokens) }))
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map((result) => result.entry);
+  },
+
+  /**
+   * Score an entry against the query tokens; 0 if any token does not match
+   */
+  score(entry, queryTokens) {
+    let total = 0;
+
+    for (const queryToken of queryTokens) {
+      let best = 0;
+      for (const token of entry.tokens) {
+        if (token === queryToken) best = Math.max(best, 4);
+        else if (token.startsWith(queryToken)) best = Math.max(best, 3);
+        else if (token.includes(queryToken)) best = Math.max(best, 2);
+        else if (queryToken.length >= 4 && this.isTypo(token, queryToken)) {
+          best = Math.max(best, 1);
+        }
+      }
+      if (best === 0) return 0;
+      total += best;
+    }
+
+    return total;
+  },
+
+  /**
+   * True if a prefix of the token is one typo away from the query token
+   */
+  isTypo(token, queryToken) {
+    const length = queryToken.length;
+    return [length - 1, length, length + 1].some((prefixLength) =>
+      this.isWithinOneEdit(token.slice(0, prefixLength), queryToken),
+    );
+  },
+
+  /**
+   * True if two strings differ by at most one insertion, deletion,
+   * substitution or swap of adjacent characters
+   */
+  isWithinOneEdit(a, b) {
+    if (a === b) return true;
+    if (Math.abs(a.length - b.length) > 1) return false;
+
+    let start = 0;
+    while (a[start] === b[start]) start++;
+
+    if (a.length === b.length) {
+      const swapped =
+        a[start] === b[start + 1] &&
+        a[start + 1] === b[start] &&
+        a.slice(start + 2) === b.slice(start + 2);
+      return swapped || a.slice(start + 1) === b.slice(start + 1);
+    }
+
+    return a.length > b.length
+      ? a.slice(start + 1) === b.slice(start)
+      : a.slice(start) === b.slice(start + 1);
+  },
+
+  /**
+   * Create the search control for a MediaMap
+   * @param {MediaMap} mediaMap - Map to search in
+   * @returns {L.Control} Search control
+   */
+  createControl(mediaMap) {
+    const { ui, search } = mediaMap.config;
+    const control = L.control({ position: search.position || "topleft" });
+    const searchModule = this;
+
+    control.onAdd = function () {
+      const container = L.DomUtil.create("div", "leaflet-bar location-search");
+      const input = L.DomUtil.create(
+        "input",
+        "location-search__input",
+        container,
+      );
+      input.type = "search";
+      input.placeholder = ui.searchPlaceholder;
+      input.setAttribute("role", "combobox");
+      input.setAttribute("aria-autocomplete", "list");
+      input.setAttribute("aria-expanded", "false");
+      input.setAttribute("aria-label", ui.searchPlaceholder);
+
+      const list = L.DomUtil.create(
+        "ul",
+        "location-search__results",
+        container,
+      );
+      list.id = `location-search-results-${L.stamp(control)}`;
+      list.setAttribute("role", "listbox");
+      input.setAttribute("aria-controls", list.id);
+
+      this._input = input;
+      this._list = list;
+      this._results = [];
+      this._activeIndex = -1;
+
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+
+      L.DomEvent.on(
+        input,
+        "input",
+        MapUtils.debounce(() => this.showResults(input.value), 150),
+      );
+      L.DomEvent.on(input, "keydown", (event) => this.handleKeydown(event));
+      L.DomEvent.on(input, "blur", () => {
+        // Delay so a click on a result is handled first
+        setTimeout(() => this.hideResults(), 200);
+      });
+
+      return container;
+    };
+
+    control.showResults = function (query) {
+      this._results = searchModule.search(
+        mediaMap.searchIndex,
+        query,
+        search.maxResults,
+      );
+      this._activeIndex = -1;
+      this._list.replaceChildren();
+
+      if (!query.trim()) {
+        this.hideResults();
+        return;
+      }
+
+      if (this._results.length === 0) {
+        const empty = L.DomUtil.create(
+          "li",
+          "location-search__empty",
+          this._list,
+        );
+        empty.textContent = ui.searchNoResultsText;
+      }
+
+      this._results.forEach((entry, i) => {
+        const { properties } = entry.marker.feature;
+        const item = L.DomUtil.create(
+          "li",
+          "location-search__result",
+          this._list,
+        );
+        item.id = `${this._list.id}-${i}`;
+        item.setAttribute("role", "option");
+
+        const title = L.DomUtil.create("span", "location-search__title", item);
+        title.textContent = properties.name || "";
+        const detail = L.DomUtil.create(
+          "span",
+          "location-search__detail",
+          item,
+        );
+        detail.textContent = [properties.category, properties.location]
+          .filter(Boolean)
+          .join(" · ");
+
+        L.DomEvent.on(item, "mousedown", (event) => {
+          L.DomEvent.preventDefault(event);
+          this.select(i);
+        });
+      });
+
+      this._list.classList.add("is-open");
+      this._input.setAttribute("aria-expanded", "true");
+    };
+
+    control.hideResults = function () {
+      this._list.classList.remove("is-open");
+      this._input.setAttribute("aria-expanded", "false");
+      this._input.removeAttribute("aria-activedescendant");
+    };
+
+    control.handleKeydown = function (event) {
+      const count = this._results.length;
+
+      if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+        if (count === 0) return;
+        event.preventDefault();
+        const step = event.key === "ArrowDown" ? 1 : -1;
+        this._activeIndex = (this._activeIndex + step + count) % count;
+        this.highlight();
+      } else if (event.key === "Enter") {
+        event.preventDefault();
+        if (count > 0) this.select(Math.max(this._activeIndex, 0));
+      } else if (event.key === "Escape") {
+        this.hideResults();
+      }
+    };
+
+    control.highlight = function () {
+      Array.from(this._list.children).forEach((item, i) => {
+        item.classList.toggle("is-active", i === this._activeIndex);
+        item.setAttribute("aria-selected", String(i === this._activeIndex));
+      });
+      this._input.setAttribute(
+        "aria-activedescendant",
+        `${this._list.id}-${this._activeIndex}`,
+      );
+    };
+
+    control.select = function (i) {
+      const entry = this._results[i];
+      if (!entry) return;
+
+      this._input.value = entry.marker.feature.properties.name || "";
+      this.hideResults();
+      mediaMap.openLocation(entry.marker);
+    };
+
+    return control;
+  },
+};
+
+// Export for global access
+window.LocationSearch = LocationSearch;
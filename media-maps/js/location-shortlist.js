@@ -0,0 +1,286 @@
+/**
+ * Location Shortlist for Media Maps
+ *
+ * Lets users collect locations for a campaign ("Merkliste"): an add/remove
+ * button in every location popup and a panel with the collected locations,
+ * counted per category and per configured attribute (e.g. district). The
+ * list is kept in localStorage and can be shared as a link that opens a
+ * read-only view showing only the listed locations.
+ *
+ * Links carry a short token per location instead of the full location id
+ * (see getToken); the receiving map finds the locations by their tokens.
+ */
+
+const LocationShortlist = {
+  // Separator of the tokens in links
+  separator: ".",
+
+  /**
+   * Short, stable token of a location id: its 32-bit FNV-1a hash in base 36
+   */
+  getToken(id) {
+    let hash = 0x811c9dc5;
+    for (const char of String(id)) {
+      hash ^= char.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+  },
+
+  /**
+   * Link parameter listing location tokens
+   */
+  encode(tokens) {
+    return tokens.join(this.separator);
+  },
+
+  /**
+   * Tokens from a link parameter (see encode)
+   */
+  decode(value) {
+    return (value || "")
+      .split(this.separator)
+      .filter((token) => /^[0-9a-z]+$/.test(token));
+  },
+
+  /**
+   * Stored location ids; empty if nothing is stored or storage is blocked
+   */
+  load(storageKey) {
+    try {
+      const ids = JSON.parse(window.localStorage.getItem(storageKey));
+      return Array.isArray(ids) ? ids.map(String) : [];
+    } catch (error) {
+      return [];
+    }
+  },
+
+  /**
+   * Store location ids (the list stays in memory if storage is blocked)
+   */
+  save(storageKey, ids) {
+    try {
+      window.localStorage.setItem(storageKey, JSON.stringify(ids));
+    } catch (error) {
+      console.warn("Shortlist could not be stored:", error.message);
+    }
+  },
+
+  /**
+   * Add/remove button for a location popup
+   * @param {MediaMap} mediaMap - Map holding the shortlist
+   * @param {L.CircleMarker} marker - Location of the popup
+   * @returns {HTMLElement} Button
+   */
+  createPopupButton(mediaMap, marker) {
+    const button = L.DomUtil.create(
+      "button",
+      "location-shortlist__popup-button",
+    );
+    const listed = mediaMap.isShortlisted(marker);
+    button.type = "button";
+    button.textContent = listed
+      ? mediaMap.config.ui.shortlistRemoveText
+      : mediaMap.config.ui.shortlistAddText;
+    button.classList.toggle("is-active", listed);
+    button.setAttribute("aria-pressed", String(listed));
+
+    // The map renders the popup again after a change
+    L.DomEvent.on(button, "click", (event) => {
+      L.DomEvent.stop(event);
+      mediaMap.toggleShortlist(marker);
+    });
+    return button;
+  },
+
+  /**
+   * Create the shortlist panel for a MediaMap: a toggle with the number of
+   * locations, and when open the summary, the locations and the actions
+   * (own list: copy link, clear; shared list: adopt, show all locations)
+   * @param {MediaMap} mediaMap - Map with loaded locations
+   * @returns {L.Control} Shortlist control with update()
+   */
+  createControl(mediaMap) {
+    const { ui, shortlist } = mediaMap.config;
+    const control = L.control({ position: shortlist.position || "topright" });
+
+    control.onAdd = function () {
+      const container = L.DomUtil.create(
+        "div",
+        "leaflet-bar location-shortlist",
+      );
+      this._toggle = L.DomUtil.create(
+        "button",
+        "location-shortlist__toggle",
+        container,
+      );
+      this._toggle.type = "button";
+      this._body = L.DomUtil.create(
+        "div",
+        "location-shortlist__body",
+        container,
+      );
+      L.DomEvent.on(this._toggle, "click", () => {
+        this.setOpen(this._toggle.getAttribute("aria-expanded") !== "true");
+      });
+
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+
+      this.update();
+      return container;
+    };
+
+    const addButton = (parent, text, onClick, className = "") => {
+      const button = L.DomUtil.create(
+        "button",
+        `location-shortlist__button ${className}`.trim(),
+        parent,
+      );
+      button.type = "button";
+      button.textContent = text;
+      // Stopped here: the panel is rendered again on click, and the map
+      // would take a click from a removed button for a click on the map
+      L.DomEvent.on(button, "click", (event) => {
+        L.DomEvent.stop(event);
+        onClick();
+      });
+      return button;
+    };
+
+    control.setOpen = function (open) {
+      this._open = open;
+      this.update();
+    };
+
+    /**
+     * Show the own or the shared list
+     */
+    control.update = function () {
+      if (!this._body) return;
+
+      const shared = mediaMap.isShortlistView();
+      const markers = mediaMap.getShortlistMarkers();
+      // The shared list is what the view is about, so it starts open
+      const open = this._open ?? shared;
+
+      this._toggle.textContent = I18n.format(
+        shared ? ui.shortlistSharedTitle : ui.shortlistButtonText,
+        { count: I18n.formatNumber(markers.length) },
+      );
+      this._toggle.setAttribute("aria-expanded", String(open));
+      this._body.hidden = !open;
+      this._body.replaceChildren();
+      if (!open) return;
+
+      if (shared) {
+        L.DomUtil.create(
+          "p",
+          "location-shortlist__hint",
+          this._body,
+        ).textContent = ui.shortlistSharedHint;
+      }
+
+      if (markers.length === 0) {
+        L.DomUtil.create(
+          "p",
+          "location-shortlist__hint",
+          this._body,
+        ).textContent = ui.shortlistEmptyText;
+      } else {
+        const summary = mediaMap.summarizeMarkers(
+          markers,
+          shortlist.summaryFields,
+        );
+        const sections = [
+          { label: ui.categoriesTitle, values: summary.categories },
+          ...summary.fields,
+        ];
+        sections.forEach(({ label, values }) => {
+          L.DomUtil.create(
+            "div",
+            "location-shortlist__heading",
+            this._body,
+          ).textContent = label;
+          const list = L.DomUtil.create(
+            "ul",
+            "location-shortlist__summary",
+            this._body,
+          );
+          values.forEach(({ label: valueLabel, color, count }) => {
+            const item = L.DomUtil.create("li", "", list);
+            if (color) {
+              L.DomUtil.create(
+                "span",
+                "location-shortlist__swatch",
+                item,
+              ).style.backgroundColor = color;
+            }
+            item.append(`${valueLabel}: ${I18n.formatNumber(count)}`);
+          });
+        });
+
+        const list = L.DomUtil.create(
+          "ul",
+          "location-shortlist__locations",
+          this._body,
+        );
+        markers.forEach((marker) => {
+          const item = L.DomUtil.create("li", "", list);
+          addButton(
+            item,
+            marker.feature.properties.name || "–",
+            () => mediaMap.openLocation(marker),
+            "location-shortlist__location",
+          );
+          if (!shared) {
+            const remove = addButton(
+              item,
+              "×",
+              () => mediaMap.toggleShortlist(marker),
+              "location-shortlist__remove",
+            );
+            remove.title = ui.shortlistRemoveText;
+            remove.setAttribute("aria-label", ui.shortlistRemoveText);
+          }
+        });
+      }
+
+      const actions = L.DomUtil.create(
+        "div",
+        "location-shortlist__actions",
+        this._body,
+      );
+      if (mediaMap.config.features.showInquiry && markers.length > 0) {
+        addButton(
+          actions,
+          ui.inquiryButtonText,
+          () => mediaMap.openInquiry(),
+          "location-shortlist__button--primary",
+        );
+      }
+      if (shared) {
+        addButton(actions, ui.shortlistAdoptText, () =>
+          mediaMap.adoptShortlistView(),
+        );
+        addButton(actions, ui.shortlistExitText, () =>
+          mediaMap.setShortlistView(null),
+        );
+      } else if (markers.length > 0) {
+        addButton(actions, ui.shortlistShareText, () =>
+          mediaMap.shareShortlist(),
+        ).title = ui.shortlistShareTitle;
+        addButton(actions, ui.shortlistClearText, () => {
+          if (window.confirm(ui.shortlistClearConfirm)) {
+            mediaMap.clearShortlist();
+          }
+        });
+      }
+    };
+
+    return control;
+  },
+};
+
+// Export for global access
+window.LocationShortlist = LocationShortlist;
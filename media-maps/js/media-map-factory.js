@@ -0,0 +1,169 @@
+/**
+ * Media Map Factory
+ *
+ * Counterpart of CityMapFactory for advertising location maps. A new media
+ * map only needs its own configuration and a single createMediaMap call.
+ */
+
+const MediaMapFactory = {
+  /**
+   * Create a complete media map with all standard features
+   *
+   * @param {Object} config - Media map configuration (e.g. BerlinMediaConfig)
+   * @param {Object} options - Optional initialization options
+   * @returns {Promise<MediaMap>} Initialized map instance
+   */
+  async createMediaMap(config, options = {}) {
+    const {
+      showLoadingCallback = null,
+      hideLoadingCallback = null,
+      setupResponsive = true,
+      setupExternalEvents = true,
+      syncUrl = true,
+      setupEmbedApi = true,
+      setupOffline = true,
+    } = options;
+
+    try {
+      // Report configuration mistakes before they turn into odd map behaviour
+      ConfigValidator.report(
+        "Media map configuration",
+        this.validateConfig(config),
+      );
+
+      // Create the map instance
+      const mediaMap = new MediaMap(config);
+
+      // Load all configured data sources
+      await mediaMap.initializeWithData(
+        showLoadingCallback,
+        hideLoadingCallback,
+      );
+
+      // Setup standard responsive behavior if requested
+      if (setupResponsive) {
+        MapUtils.initResponsive(mediaMap.getMap());
+      }
+
+      // Setup external event handlers if requested
+      if (setupExternalEvents) {
+        MapUtils.setupExternalEvents(mediaMap.getMap());
+      }
+
+      // Mirror the map state in the URL for shareable links
+      if (syncUrl) {
+        mediaMap.urlState = UrlState.bind(mediaMap);
+      }
+
+      // Accept commands from an embedding page and report events to it
+      if (setupEmbedApi) {
+        mediaMap.embedApi = EmbedApi.bind(mediaMap, {
+          mapType: "media",
+          ...mediaMap.config.embed,
+        });
+      }
+
+      // Cache pages, data and tiles for offline use and show when offline
+      if (setupOffline) {
+        mediaMap.offline = OfflineSupport.bind(mediaMap, {
+          getLastUpdated: () => mediaMap.getLastUpdated(),
+        });
+      }
+
+      return mediaMap;
+    } catch (error) {
+      console.error("Failed to create media map:", error);
+      if (hideLoadingCallback) hideLoadingCallback();
+      throw error;
+    }
+  },
+
+  /**
+   * Create a basic media map without data loading
+   * Useful for custom initialization workflows
+   *
+   * @param {Object} config - Media map configuration
+   * @returns {MediaMap} Map instance (no data loaded)
+   */
+  createBasicMediaMap(config) {
+    return new MediaMap(config);
+  },
+
+  /**
+   * Validate media map configuration
+   * Checks the media config schema (see ConfigSchemas) plus rules that
+   * depend on several settings
+   *
+   * @param {Object} config - Configuration to validate
+   * @returns {Array} Array of validation errors (empty if valid)
+   */
+  validateConfig(config) {
+    if (!config) {
+      return ["Configuration is required"];
+    }
+
+    const errors = ConfigValidator.validateConfig("media", config);
+
+    const { defaultMapStyle, mapStyles } = config;
+    if (defaultMapStyle && mapStyles && !mapStyles[defaultMapStyle]) {
+      errors.push(
+        `defaultMapStyle: "${defaultMapStyle}" is not defined in mapStyles`,
+      );
+    }
+
+    // Selector entries must match the keys used for district statistics
+    const districts = config.districtSelection?.districts || [];
+    Object.keys(config.districtStatistics || {}).forEach((name) => {
+      if (districts.length && !districts.includes(name)) {
+        errors.push(
+          `districtStatistics: "${name}" is not listed in districtSelection.districts`,
+        );
+      }
+    });
+
+    if (config.features?.showCorridor && !config.dataSources?.transportation) {
+      errors.push(
+        "features.showCorridor: needs dataSources.transportation (routes GeoJSON)",
+      );
+    }
+    const { distances, defaultDistance } = config.corridor || {};
+    if (distances && defaultDistance && !distances.includes(defaultDistance)) {
+      errors.push(
+        `corridor.defaultDistance: ${defaultDistance} is not listed in corridor.distances`,
+      );
+    }
+
+    const { weights = {}, markerZoom } = config.heatmap || {};
+    Object.keys(weights).forEach((category) => {
+      if (config.advertisingTypes && !config.advertisingTypes[category]) {
+        errors.push(
+          `heatmap.weights: "${category}" is not listed in advertisingTypes`,
+        );
+      }
+    });
+    const maxZoom = config.map?.maxZoom;
+    if (markerZoom && maxZoom && markerZoom > maxZoom) {
+      errors.push(
+        `heatmap.markerZoom: ${markerZoom} is above map.maxZoom (${maxZoom})`,
+      );
+    }
+    const clusterZoom = config.clustering?.disableClusteringAtZoom;
+    if (clusterZoom && maxZoom && clusterZoom > maxZoom) {
+      errors.push(
+        `clustering.disableClusteringAtZoom: ${clusterZoom} is above map.maxZoom (${maxZoom})`,
+      );
+    }
+
+    // The inquiry function looks the locations up in this map's data
+    if (config.features?.showInquiry && !config.inquiry?.city) {
+      errors.push(
+        "features.showInquiry: needs inquiry.city (id in cities.json)",
+      );
+    }
+
+    return errors;
+  },
+};
+
+// Export for use in other modules
+window.MediaMapFactory = MediaMapFactory;
@@ -0,0 +1,2106 @@
+/**
+ * Interactive Maps Platform - Media Map
+ *
+ * Core functionality for media/advertising location maps. Everything that is
+ * city specific (categories, colors, data sources, UI text) comes from the
+ * configuration, so a new city only needs a new config file.
+ */
+
+class MediaMap {
+  constructor(config) {
+    // Merge with sensible defaults
+    this.config = {
+      // Map settings
+      map: {
+        containerId: "map",
+        center: [52.51, 13.39], // Default to Berlin
+        zoom: 11,
+        minZoom: 10,
+        maxZoom: 19,
+      },
+
+      // Data sources
+      dataSources: {
+        mediaLocations: null,
+        districts: null,
+        transportation: null, // Routes GeoJSON for corridors
+      },
+
+      // Advertising categories: { name: { color, visible } }
+      advertisingTypes: {},
+
+      // Initial district statistics (recalculated once locations are loaded)
+      districtStatistics: {},
+
+      // District selector rendered above the map
+      districtSelection: {
+        containerId: "district-selector",
+        districts: [], // Display order; falls back to GeoJSON order
+      },
+
+      // Location popup template (see LocationPopup.defaultTemplate)
+      popup: {},
+
+      // Location search (see LocationSearch)
+      search: {
+        fields: ["name", "location", "site", "category"],
+        maxResults: 8,
+        position: "topleft",
+      },
+
+      // Attribute filters: [{ field, label }], "district" filters by district
+      filters: {
+        fields: [],
+        position: "topright",
+      },
+
+      // Export of the shown locations (see LocationExport)
+      export: {
+        formats: ["csv", "geojson", "kml"],
+        fileName: "media-locations",
+        csvDelimiter: ",",
+        position: "topleft",
+      },
+
+      // Locations along a transit line (see TransitCorridor)
+      corridor: {
+        lines: [], // Lines to offer, empty for all in the routes GeoJSON
+        distances: [100, 300, 500, 1000], // Metres from the line
+        defaultDistance: 300,
+        color: "#13538a",
+        position: "topleft",
+      },
+
+      // Locations in a drawn polygon, rectangle or circle (see
+      // AreaSelection)
+      area: {
+        summaryFields: ["lighting"], // Counted besides the category
+        color: "#c2410c",
+        fileName: "media-area", // Saved area with its locations (GeoJSON)
+        position: "topleft",
+      },
+
+      // Collected locations (see LocationShortlist)
+      shortlist: {
+        summaryFields: ["district"], // Counted besides the category
+        storageKey: "media-shortlist", // localStorage key, one per city
+        position: "topright",
+      },
+
+      // Booking inquiries for the shortlisted locations (see
+      // LocationInquiry and netlify/functions/inquiry.js)
+      inquiry: {
+        city: null, // Id in cities.json; the function reads this map's data
+        endpoint: "/api/inquiry",
+        intervalField: "bookingInterval", // Booking interval, e.g. "Dekade"
+        leadTimeField: "leadTime", // Lead time, e.g. "3 Wochen"
+      },
+
+      // Density view of the shown locations (see LocationHeatmap)
+      heatmap: {
+        weights: {}, // Category → weight, 1 for unlisted categories
+        radius: 25,
+        blur: 15,
+        minOpacity: 0.3,
+        gradient: null, // Leaflet.heat gradient, e.g. { 0.4: "blue", 1: "red" }
+        markerZoom: 15, // From this zoom on the markers are shown again
+        position: "topleft",
+      },
+
+      // Marker clustering, used with features.enableClustering (see
+      // LocationClusters)
+      clustering: {
+        maxClusterRadius: 40, // Pixels
+        disableClusteringAtZoom: 16, // null to cluster at every zoom
+        chart: "donut", // Cluster icons: "pie" or "donut" of the categories
+        showBreakdown: true, // Locations per category on hover
+      },
+
+      // Print layout (see MapPrint)
+      print: {
+        paperSize: "A4", // "A4" or "A3"
+        orientation: "landscape", // or "portrait"
+        position: "topleft",
+      },
+
+      // Marker styling for media locations
+      markers: {
+        color: "black",
+        radius: 8,
+        weight: 1,
+        opacity: 1,
+        interactive: true,
+        fillOpacity: 1,
+      },
+
+      // District boundary styling
+      districtStyles: {
+        default: {
+          color: "#13538a",
+          opacity: 1,
+          fillOpacity: 0,
+          weight: 2,
+          dashArray: "10",
+        },
+        hover: {
+          weight: 3,
+          color: "#13538a",
+          dashArray: "",
+          fillOpacity: 0.15,
+        },
+        hoverWhileSelected: {
+          weight: 3,
+          color: "#13538a",
+          dashArray: "",
+          fillOpacity: 0.1,
+        },
+        selected: {
+          weight: 4,
+          color: "#13538a",
+          dashArray: "",
+          fillOpacity: 0.3,
+        },
+      },
+
+      defaultMapStyle: "carto-base",
+      mapStyles: {},
+
+      // Embedding: parent origins allowed to send commands (see EmbedApi)
+      embed: {
+        allowedOrigins: [],
+      },
+
+      // Languages - texts come from the bundles in shared/js/locales,
+      // messages[locale] overrides them per city (see I18n)
+      i18n: {
+        defaultLocale: "en",
+        locales: ["en"],
+        messages: {},
+      },
+
+      // UI text overrides that apply in every language
+      ui: {},
+
+      // Feature flags
+      features: {
+        showDistrictSelection: true,
+        enableScrollZoom: true,
+        showLoadingIndicator: true,
+        showPopups: true,
+        enableClustering: false,
+        showSearch: true,
+        showFilters: true,
+        showExport: true,
+        showLanguageSwitch: true,
+        showCorridor: false,
+        showAreaSelection: false,
+        showHeatmap: false,
+        showPrint: false,
+        showShortlist: false,
+        showInquiry: false, // Needs showShortlist
+      },
+
+      // Performance settings
+      performance: {
+        debounceTime: 250,
+        throttleTime: 100,
+      },
+
+      ...config,
+    };
+
+    this.map = null;
+    this.layers = {
+      tiles: null,
+      districts: null,
+      markers: null, // Cluster group, or a plain group without clustering
+      corridor: null,
+      area: null,
+      heatmap: null,
+    };
+
+    this.controls = {
+      districtInfo: null,
+      layerControl: null,
+      search: null,
+      filters: null,
+      export: null,
+      corridor: null,
+      area: null,
+      heatmap: null,
+      print: null,
+      shortlist: null,
+      languageSwitch: null,
+    };
+
+    this.state = {
+      selectedDistrict: null,
+      mapStyle: null,
+      dataSource: null, // "sheets" or "fallback" once locations are loaded
+      filters: {}, // Active attribute filters: { field: Set of values }
+      openLocation: null, // Id of the location whose popup is open
+      corridor: null, // { line, distance } while a corridor is shown
+      area: null, // Drawn area (see AreaSelection) while one is selected
+      heatmap: false, // Heatmap instead of markers (below heatmap.markerZoom)
+      shortlistView: null, // Tokens of a shared shortlist shown read-only
+    };
+
+    // Runtime layer state per category: { color, visible, markers }
+    this.advertisingLayers = this.createAdvertisingLayers();
+    this.districtFeatures = [];
+    this.districtIndex = null; // GeoUtils feature index for district lookups
+    this.searchIndex = [];
+    this.routeLines = {}; // route name → paths, for corridors
+    this.corridorMarkers = [];
+    this.areaMarkers = [];
+    this.areaDrawing = null; // Area being drawn (AreaSelection.startDrawing)
+    this.shortlist = []; // Ids of the collected locations
+    this.districtStatistics = { ...this.config.districtStatistics };
+
+    // Resolve UI texts for the current language before anything renders
+    this.uiOverrides = this.config.ui;
+    I18n.configure(this.config.i18n);
+    this.config.ui = this.resolveUiTexts();
+
+    this.init();
+    I18n.onChange(() => this.applyLocale());
+  }
+
+  /**
+   * Initialize the map and set up base configuration
+   */
+  init() {
+    const mapSetup = MapBase.initializeBasicMap(
+      { ...this.config.map, ui: this.config.ui },
+      {
+        enableColorFilter: true,
+        enableCustomScrollZoom: this.config.features.enableScrollZoom,
+        enableResponsive: false, // Handled in the factory
+        enableExternalEvents: false, // Handled in the factory
+        customPanes: { districtPane: 201, markerPane: 600 },
+      },
+    );
+
+    this.map = mapSetup.map;
+    this.baseSetup = mapSetup;
+    this.layers.tiles = mapSetup.tileLayer;
+
+    this.setMapStyle(this.config.defaultMapStyle);
+
+    if (this.config.features.showLanguageSwitch) {
+      this.controls.languageSwitch = I18n.createSwitcher("topright");
+      if (this.controls.languageSwitch) {
+        this.controls.languageSwitch.addTo(this.map);
+      }
+    }
+
+    // Track the open location popup for shareable links
+    this.map.on("popupopen", (event) => {
+      const marker = event.popup._source;
+      if (!marker?.advertisingType) return;
+      this.state.openLocation = this.getLocationId(marker);
+      this.map.fire("locationclick", {
+        id: this.state.openLocation,
+        properties: { ...marker.feature.properties },
+      });
+      this.notifyStateChange();
+    });
+    this.map.on("popupclose", (event) => {
+      if (!event.popup._source?.advertisingType) return;
+      this.state.openLocation = null;
+      this.notifyStateChange();
+    });
+  }
+
+  /**
+   * UI texts for the current language (bundles, then config overrides)
+   */
+  resolveUiTexts() {
+    return I18n.getMessages("media", {
+      ui: this.uiOverrides,
+      i18n: this.config.i18n,
+    });
+  }
+
+  /**
+   * Re-render all texts after the language changed. Search, filter,
+   * export, corridor, area, heatmap, print and shortlist controls are
+   * rebuilt in their original order.
+   */
+  applyLocale() {
+    this.config.ui = this.resolveUiTexts();
+
+    if (this.baseSetup.scrollZoom) {
+      this.baseSetup.scrollZoom.setText(this.config.ui.zoomInstructionText);
+    }
+
+    [
+      "filters",
+      "search",
+      "export",
+      "corridor",
+      "area",
+      "heatmap",
+      "print",
+      "shortlist",
+    ].forEach((name) => {
+      if (this.controls[name]) this.controls[name].remove();
+    });
+    if (this.controls.filters) this.setupFilterControl();
+    if (this.controls.search) this.setupSearchControl();
+    if (this.controls.export) this.setupExportControl();
+    if (this.controls.corridor) this.setupCorridorControl();
+    if (this.controls.area) this.setupAreaControl();
+    if (this.controls.heatmap) this.setupHeatmapControl();
+    if (this.controls.print) this.setupPrintControl();
+    if (this.controls.shortlist) this.setupShortlistControl();
+
+    if (this.controls.districtInfo) {
+      this.controls.districtInfo.update(this.controls.districtInfo._properties);
+    }
+    if (this.controls.languageSwitch) this.controls.languageSwitch.update();
+
+    // Popup content is a function, update() renders it again
+    const openMarker = this.findMarkerByLocationId(this.state.openLocation);
+    if (openMarker?.isPopupOpen()) openMarker.getPopup().update();
+  }
+
+  /**
+   * Signal a user-visible state change (see UrlState)
+   */
+  notifyStateChange() {
+    if (this.map) this.map.fire("mapstatechange");
+  }
+
+  /**
+   * Build the runtime layer registry from the configured advertising types
+   */
+  createAdvertisingLayers() {
+    const layers = {};
+    Object.entries(this.config.advertisingTypes || {}).forEach(
+      ([name, type]) => {
+        layers[name] = {
+          color: type.color || "#666666",
+          visible: type.visible !== false,
+          markers: [],
+        };
+      },
+    );
+    return layers;
+  }
+
+  /**
+   * Switch the basemap to one of the configured map styles
+   */
+  setMapStyle(style) {
+    const tileConfig = this.config.mapStyles[style];
+    if (!tileConfig) return;
+
+    if (this.layers.tiles) {
+      this.map.removeLayer(this.layers.tiles);
+    }
+
+    this.layers.tiles = L.tileLayer(tileConfig.url, tileConfig.options);
+    this.layers.tiles.addTo(this.map);
+    this.state.mapStyle = style;
+    this.notifyStateChange();
+  }
+
+  /**
+   * Load and display district boundaries
+   */
+  async loadDistrictBoundaries(geoJsonUrl) {
+    try {
+      const response = await fetch(geoJsonUrl);
+      const geoJsonData = await response.json();
+      this.districtFeatures = geoJsonData.features || [];
+      this.districtIndex = GeoUtils.createFeatureIndex(this.districtFeatures);
+
+      this.layers.districts = L.geoJSON(geoJsonData, {
+        style: () => ({ ...this.config.districtStyles.default }),
+        pane: "districtPane",
+        onEachFeature: (feature, layer) => {
+          layer.on({
+            mouseover: (e) => this.handleDistrictMouseover(e),
+            mouseout: (e) => this.handleDistrictMouseout(e),
+            click: (e) => this.selectDistrict(e.target.feature.properties.name),
+          });
+        },
+      });
+
+      this.layers.districts.addTo(this.map);
+      return this.layers.districts;
+    } catch (error) {
+      console.error("Error loading district boundaries:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load media locations from Google Sheets with local JSON fallback
+   */
+  async loadMediaLocations(mediaConfig, showLoadingCallback = null) {
+    const advertisingData = await this.fetchMediaData(
+      mediaConfig,
+      showLoadingCallback,
+    );
+
+    if (!advertisingData) {
+      throw new Error("No advertising data available");
+    }
+
+    this.addAdvertisingData(advertisingData);
+    return advertisingData;
+  }
+
+  /**
+   * Resolve the advertising data from the configured sources
+   */
+  async fetchMediaData(mediaConfig, showLoadingCallback = null) {
+    if (!mediaConfig.googleSheets) {
+      // Legacy mode - direct JSON load
+      const response = await fetch(mediaConfig.fallback || mediaConfig);
+      this.state.dataSource = "fallback";
+      return response.json();
+    }
+
+    try {
+      if (showLoadingCallback)
+        showLoadingCallback(this.config.ui.loadingSheetsText);
+      const data = await SheetsDataProcessor.fetchAndProcess(
+        mediaConfig.googleSheets.sheetId,
+        mediaConfig.googleSheets.range,
+        mediaConfig.googleSheets.columns,
+        {
+          // Cached data is shown first; fresher sheet data replaces it
+          onUpdate: (freshData) => this.replaceAdvertisingData(freshData),
+        },
+      );
+      console.log("Successfully loaded data from Google Sheets");
+      this.state.dataSource = "sheets";
+      return data;
+    } catch (sheetsError) {
+      console.warn(
+        "Google Sheets failed, trying fallback:",
+        sheetsError.message,
+      );
+      if (!mediaConfig.fallback) throw sheetsError;
+
+      if (showLoadingCallback)
+        showLoadingCallback(this.config.ui.loadingFallbackText);
+      const response = await fetch(mediaConfig.fallback);
+      if (!response.ok) {
+        throw new Error(`Fallback data failed: ${response.status}`);
+      }
+      console.log("Successfully loaded fallback data");
+      this.state.dataSource = "fallback";
+      return response.json();
+    }
+  }
+
+  /**
+   * Time the displayed sheet data was fetched, or null for fallback data
+   * @returns {number|null} Timestamp in milliseconds
+   */
+  getLastUpdated() {
+    const sheets = this.config.dataSources.mediaLocations?.googleSheets;
+    if (this.state.dataSource !== "sheets" || !sheets) return null;
+    return SheetsDataProcessor.getLastUpdated(sheets.sheetId, sheets.range);
+  }
+
+  /**
+   * Create markers for each known category and add visible ones to the cluster
+   */
+  addAdvertisingData(advertisingData) {
+    const duplicates = SheetsDataProcessor.assignLocationIds(advertisingData);
+    if (duplicates.length > 0) {
+      console.warn(
+        `Locations sharing an id, told apart by their order: ${duplicates.join(", ")}`,
+      );
+    }
+
+    for (const layerName in advertisingData) {
+      const layerConfig = this.advertisingLayers[layerName];
+      if (!layerConfig) {
+        console.warn(`Unknown advertising layer: ${layerName}`);
+        continue;
+      }
+
+      layerConfig.markers = this.createMarkersForLayer(
+        advertisingData[layerName],
+        layerName,
+      );
+    }
+
+    this.buildSearchIndex();
+    if (this.controls.filters) this.controls.filters.refresh();
+    this.updateVisibleMarkers();
+  }
+
+  /**
+   * All location markers, including hidden and filtered ones
+   */
+  getAllMarkers() {
+    return Object.values(this.advertisingLayers).flatMap(
+      (layerConfig) => layerConfig.markers,
+    );
+  }
+
+  /**
+   * Markers passing both the category and the attribute filters
+   */
+  getShownMarkers() {
+    return this.getAllMarkers().filter((marker) => this.isMarkerShown(marker));
+  }
+
+  isMarkerShown(marker) {
+    return (
+      this.advertisingLayers[marker.advertisingType]?.visible === true &&
+      this.isInShortlistView(marker) &&
+      LocationFilter.matches(marker, this.state.filters, (m, field) =>
+        this.getMarkerValue(m, field),
+      )
+    );
+  }
+
+  /**
+   * Value of a filterable attribute; "district" is derived from the position
+   */
+  getMarkerValue(marker, field) {
+    if (field === "district") {
+      if (marker.district === undefined && this.districtFeatures.length) {
+        marker.district = this.findDistrictForLatLng(marker.getLatLng());
+      }
+      return marker.district ?? null;
+    }
+    return marker.feature?.properties?.[field] ?? null;
+  }
+
+  /**
+   * Restrict an attribute to the given values (empty array removes the filter)
+   */
+  setFilter(field, values) {
+    if (values.length) {
+      this.state.filters[field] = new Set(values.map(String));
+    } else {
+      delete this.state.filters[field];
+    }
+    this.updateVisibleMarkers();
+    this.notifyStateChange();
+  }
+
+  resetFilters() {
+    this.state.filters = {};
+    if (this.controls.filters) this.controls.filters.refresh();
+    this.updateVisibleMarkers();
+    this.notifyStateChange();
+  }
+
+  /**
+   * Sync the marker cluster, district counts and shown-count indicator with
+   * the current category and attribute filters
+   */
+  updateVisibleMarkers() {
+    const markerLayer = this.layers.markers;
+    if (!markerLayer) return;
+
+    const shownMarkers = this.getShownMarkers();
+    markerLayer.clearLayers();
+    // Cluster groups add in bulk, plain groups one by one
+    if (markerLayer.addLayers) {
+      markerLayer.addLayers(shownMarkers);
+    } else {
+      shownMarkers.forEach((marker) => markerLayer.addLayer(marker));
+    }
+
+    if (this.districtFeatures.length) this.recalculateDistrictStatistics();
+    if (this.controls.filters) this.controls.filters.updateCount();
+    if (this.state.corridor) this.updateCorridor();
+    if (this.state.area) this.updateArea();
+    if (this.state.heatmap) this.updateHeatmap();
+
+    this.map.fire("filterchange", this.getFilterSummary());
+  }
+
+  /**
+   * Visible categories, active filters and counts
+   */
+  getFilterSummary() {
+    const filters = {};
+    Object.entries(this.state.filters).forEach(([field, values]) => {
+      filters[field] = [...values];
+    });
+
+    return {
+      categories: Object.keys(this.advertisingLayers).filter(
+        (layerName) => this.advertisingLayers[layerName].visible,
+      ),
+      filters,
+      shown: this.getShownMarkers().length,
+      total: this.getAllMarkers().length,
+      corridor: this.state.corridor && {
+        ...this.state.corridor,
+        count: this.corridorMarkers.length,
+      },
+      area: this.state.area && {
+        ...this.state.area,
+        count: this.areaMarkers.length,
+      },
+    };
+  }
+
+  /**
+   * Shown markers, limited to the selected district, the corridor and the
+   * drawn area
+   */
+  getSelectedMarkers() {
+    const { selectedDistrict, corridor, area } = this.state;
+    const corridorMarkers = new Set(this.corridorMarkers);
+    const areaMarkers = new Set(this.areaMarkers);
+
+    return this.getShownMarkers()
+      .filter(
+        (marker) =>
+          !selectedDistrict ||
+          this.getMarkerValue(marker, "district") === selectedDistrict,
+      )
+      .filter((marker) => !corridor || corridorMarkers.has(marker))
+      .filter((marker) => !area || areaMarkers.has(marker));
+  }
+
+  /**
+   * Features of the selected locations (see getSelectedMarkers), with the
+   * district added to the properties
+   */
+  getExportFeatures() {
+    return this.getSelectedMarkers().map((marker) => ({
+      type: "Feature",
+      geometry: marker.feature.geometry,
+      properties: {
+        ...marker.feature.properties,
+        district: this.getMarkerValue(marker, "district"),
+      },
+    }));
+  }
+
+  /**
+   * Download the shown locations as "csv", "geojson" or "kml"
+   */
+  exportLocations(format) {
+    const { export: exportConfig, ui } = this.config;
+    const features = this.getExportFeatures();
+
+    if (features.length === 0) {
+      MapUtils.showNotification(ui.exportEmptyText, "info");
+      return;
+    }
+
+    const content = LocationExport.serialize(features, format, {
+      csvDelimiter: exportConfig.csvDelimiter,
+      documentName: ui.title,
+    });
+    LocationExport.download(
+      content,
+      LocationExport.getFileName(
+        exportConfig.fileName,
+        format,
+        this.state.selectedDistrict,
+      ),
+      LocationExport.formats[format].mimeType,
+    );
+  }
+
+  /**
+   * Add the export buttons
+   */
+  setupExportControl() {
+    this.controls.export = LocationExport.createControl(this);
+    this.controls.export.addTo(this.map);
+  }
+
+  /**
+   * Print layout content (see MapPrint): the visible categories as legend
+   * and the selected locations within the printed area, ordered by
+   * category and name, with the popup fields as table columns
+   */
+  getPrintContent(bounds) {
+    const { ui, popup } = this.config;
+    const template = { ...LocationPopup.defaultTemplate, ...popup };
+    const categories = Object.keys(this.advertisingLayers);
+    const getTitle = (marker) =>
+      String(marker.feature.properties[template.titleField] ?? "");
+
+    const markers = this.getSelectedMarkers()
+      .filter((marker) => bounds.contains(marker.getLatLng()))
+      .sort(
+        (a, b) =>
+          categories.indexOf(a.advertisingType) -
+            categories.indexOf(b.advertisingType) ||
+          getTitle(a).localeCompare(getTitle(b), I18n.getIntlLocale(), {
+            numeric: true,
+          }),
+      );
+
+    return {
+      title: ui.title,
+      subtitle: this.state.selectedDistrict,
+      legend: [
+        {
+          title: ui.printCategoriesTitle,
+          items: Object.entries(this.advertisingLayers)
+            .filter(([, layerConfig]) => layerConfig.visible)
+            .map(([category, { color }]) => ({ label: category, color })),
+        },
+      ],
+      info: this.state.selectedDistrict
+        ? this.controls.districtInfo?._div
+        : null,
+      locations: {
+        columns: template.fields.map(
+          (fieldConfig) =>
+            I18n.localize(fieldConfig.label) || fieldConfig.field,
+        ),
+        rows: markers.map((marker) => ({
+          latlng: marker.getLatLng(),
+          title: getTitle(marker),
+          cells: template.fields.map(
+            (fieldConfig) =>
+              LocationPopup.formatField(
+                marker.feature.properties,
+                fieldConfig,
+                template,
+              )?.value ?? "",
+          ),
+        })),
+      },
+    };
+  }
+
+  /**
+   * Add the print button
+   */
+  setupPrintControl() {
+    this.controls.print = MapPrint.createControl(this, this.config.print);
+    this.controls.print.addTo(this.map);
+  }
+
+  /**
+   * Add the attribute filter panel
+   */
+  setupFilterControl() {
+    if (this.config.filters.fields.length === 0) return;
+
+    this.controls.filters = LocationFilter.createControl(this);
+    this.controls.filters.addTo(this.map);
+  }
+
+  /**
+   * Load the transit lines offered for corridors
+   */
+  async loadTransportationRoutes(geoJsonUrl) {
+    const response = await fetch(geoJsonUrl);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const geoJsonData = await response.json();
+
+    this.routeLines = TransitCorridor.collectLines(
+      geoJsonData.features || [],
+      this.config.corridor.lines,
+    );
+    return this.routeLines;
+  }
+
+  /**
+   * Add the corridor panel
+   */
+  setupCorridorControl() {
+    if (Object.keys(this.routeLines).length === 0) return;
+
+    if (!this.layers.corridor) {
+      this.layers.corridor = L.layerGroup().addTo(this.map);
+    }
+    this.controls.corridor = TransitCorridor.createControl(this);
+    this.controls.corridor.addTo(this.map);
+  }
+
+  /**
+   * Show the locations within a distance of a transit line, or clear the
+   * corridor with a null line
+   */
+  setCorridor(
+    line,
+    distance = this.config.corridor.defaultDistance,
+    { fitBounds = true } = {},
+  ) {
+    if (line && !this.routeLines[line]) {
+      throw new Error(`Unknown line: ${line}`);
+    }
+
+    this.state.corridor = line ? { line, distance } : null;
+    this.updateCorridor();
+
+    if (line && fitBounds) {
+      this.map.fitBounds(this.layers.corridor.getLayers()[0].getBounds());
+    }
+    this.map.fire("filterchange", this.getFilterSummary());
+    this.notifyStateChange();
+  }
+
+  /**
+   * Redraw the corridor and highlight the shown locations inside it
+   */
+  updateCorridor() {
+    const { markers, corridor } = this.config;
+
+    this.corridorMarkers.forEach((marker) =>
+      marker.setStyle({ color: markers.color, weight: markers.weight }),
+    );
+    this.corridorMarkers = [];
+    if (this.layers.corridor) this.layers.corridor.clearLayers();
+
+    const active = this.state.corridor;
+    if (active && this.layers.corridor) {
+      const paths = this.routeLines[active.line];
+
+      L.polygon(TransitCorridor.createBufferRings(paths, active.distance), {
+        stroke: false,
+        fillColor: corridor.color,
+        fillOpacity: 0.15,
+        fillRule: "nonzero",
+        interactive: false,
+      }).addTo(this.layers.corridor);
+      L.polyline(
+        paths.map((path) => path.map(([lng, lat]) => [lat, lng])),
+        { color: corridor.color, weight: 3, interactive: false },
+      ).addTo(this.layers.corridor);
+
+      this.corridorMarkers = TransitCorridor.findMarkers(
+        this.getShownMarkers(),
+        paths,
+        active.distance,
+      );
+      this.corridorMarkers.forEach((marker) =>
+        marker.setStyle({ color: corridor.color, weight: 4 }),
+      );
+    }
+
+    if (this.controls.corridor) this.controls.corridor.update();
+  }
+
+  /**
+   * Add the area panel
+   */
+  setupAreaControl() {
+    if (!this.layers.area) {
+      this.layers.area = L.layerGroup().addTo(this.map);
+    }
+    this.controls.area = AreaSelection.createControl(this);
+    this.controls.area.addTo(this.map);
+  }
+
+  /**
+   * Let the user draw an area of the given type, replacing the current one
+   * when finished
+   */
+  startAreaDrawing(type) {
+    this.cancelAreaDrawing();
+    this.map.closePopup();
+
+    this.areaDrawing = AreaSelection.startDrawing(this.map, type, {
+      style: { color: this.config.area.color, weight: 2 },
+      onFinish: (area) => {
+        this.areaDrawing = null;
+        this.setArea(area, { fitBounds: false });
+      },
+      onCancel: () => {
+        this.areaDrawing = null;
+        if (this.controls.area) this.controls.area.update();
+      },
+    });
+    if (this.controls.area) this.controls.area.update();
+  }
+
+  cancelAreaDrawing() {
+    if (this.areaDrawing) this.areaDrawing.cancel();
+  }
+
+  /**
+   * Select the shown locations inside an area (see AreaSelection), or clear
+   * the selection with null
+   */
+  setArea(area, { fitBounds = true } = {}) {
+    if (!this.layers.area) throw new Error("Area selection is not available");
+
+    this.state.area = area ? AreaSelection.normalize(area) : null;
+    this.updateArea();
+
+    if (this.state.area && fitBounds) {
+      this.map.fitBounds(AreaSelection.getBounds(this.state.area));
+    }
+    this.map.fire("filterchange", this.getFilterSummary());
+    this.notifyStateChange();
+  }
+
+  /**
+   * Redraw the area and find the shown locations inside it
+   */
+  updateArea() {
+    this.areaMarkers = [];
+    if (this.layers.area) this.layers.area.clearLayers();
+
+    const active = this.state.area;
+    if (active && this.layers.area) {
+      AreaSelection.createLayer(active, {
+        color: this.config.area.color,
+        weight: 2,
+        fillOpacity: 0.1,
+        interactive: false,
+      }).addTo(this.layers.area);
+
+      this.areaMarkers = AreaSelection.findMarkers(
+        this.getShownMarkers(),
+        active,
+      );
+    }
+
+    if (this.controls.area) this.controls.area.update();
+  }
+
+  /**
+   * Locations in the area per category and per configured attribute
+   * (see summarizeMarkers), with the radius of circles
+   * @returns {Object|null} Summary, null without an area
+   */
+  getAreaSummary() {
+    if (!this.state.area) return null;
+
+    return {
+      ...this.summarizeMarkers(
+        this.areaMarkers,
+        this.config.area.summaryFields,
+      ),
+      radius: this.state.area.radius || null,
+    };
+  }
+
+  /**
+   * Count markers per category and per attribute, labelled like the
+   * filters or the popup
+   * @param {Array} markers - Location markers
+   * @param {Array<string>} fields - Attributes to count
+   * @returns {Object} { count, categories: [{ label, color, count }],
+   *   fields: [{ field, label, values: [{ label, count }] }] }
+   */
+  summarizeMarkers(markers, fields) {
+    const { filters, popup, ui } = this.config;
+    const template = { ...LocationPopup.defaultTemplate, ...popup };
+    const counts = new Map(
+      AreaSelection.countBy(markers, (marker) => marker.advertisingType),
+    );
+
+    return {
+      count: markers.length,
+      categories: Object.entries(this.advertisingLayers)
+        .filter(([category]) => counts.has(category))
+        .map(([category, { color }]) => ({
+          label: category,
+          color,
+          count: counts.get(category),
+        })),
+      fields: fields.map((field) => {
+        const fieldConfig = template.fields.find(
+          (entry) => entry.field === field,
+        ) || { field };
+        const filterConfig = filters.fields.find(
+          (entry) => entry.field === field,
+        );
+
+        return {
+          field,
+          label:
+            I18n.localize(filterConfig?.label || fieldConfig.label) || field,
+          values: AreaSelection.countBy(markers, (marker) =>
+            this.getMarkerValue(marker, field),
+          ).map(([value, count]) => ({
+            label:
+              LocationPopup.formatField(
+                { [field]: value },
+                fieldConfig,
+                template,
+              )?.value ?? ui.noValueText,
+            count,
+          })),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Download the area together with the selected locations as GeoJSON
+   */
+  saveArea() {
+    if (!this.state.area) return;
+
+    const features = [
+      AreaSelection.toFeature(this.state.area, {
+        count: this.areaMarkers.length,
+      }),
+      ...this.getExportFeatures(),
+    ];
+    LocationExport.download(
+      LocationExport.toGeoJson(features),
+      LocationExport.getFileName(this.config.area.fileName, "geojson"),
+      LocationExport.formats.geojson.mimeType,
+    );
+  }
+
+  /**
+   * Load the stored shortlist and follow changes made in other tabs
+   */
+  loadShortlist() {
+    const { storageKey } = this.config.shortlist;
+    this.shortlist = LocationShortlist.load(storageKey);
+
+    window.addEventListener("storage", (event) => {
+      if (event.key !== storageKey) return;
+      this.shortlist = LocationShortlist.load(storageKey);
+      if (this.controls.shortlist) this.controls.shortlist.update();
+    });
+  }
+
+  /**
+   * Add the shortlist panel
+   */
+  setupShortlistControl() {
+    this.controls.shortlist = LocationShortlist.createControl(this);
+    this.controls.shortlist.addTo(this.map);
+  }
+
+  /**
+   * Token of a location in shortlist links (see LocationShortlist.getToken)
+   */
+  getLocationToken(marker) {
+    if (marker.locationToken === undefined) {
+      marker.locationToken = LocationShortlist.getToken(
+        this.getLocationId(marker),
+      );
+    }
+    return marker.locationToken;
+  }
+
+  isShortlisted(marker) {
+    return this.shortlist.includes(this.getLocationId(marker));
+  }
+
+  /**
+   * Whether a shared shortlist is shown instead of the own one
+   */
+  isShortlistView() {
+    return this.state.shortlistView !== null;
+  }
+
+  isInShortlistView(marker) {
+    return (
+      !this.state.shortlistView ||
+      this.state.shortlistView.has(this.getLocationToken(marker))
+    );
+  }
+
+  /**
+   * Markers of the shared shortlist while it is shown, otherwise of the own
+   * one in the order they were added (ids no longer in the data are skipped)
+   */
+  getShortlistMarkers() {
+    if (this.state.shortlistView) {
+      return this.getAllMarkers().filter((marker) =>
+        this.isInShortlistView(marker),
+      );
+    }
+
+    const markersById = new Map(
+      this.getAllMarkers().map((marker) => [
+        this.getLocationId(marker),
+        marker,
+      ]),
+    );
+    return this.shortlist.map((id) => markersById.get(id)).filter(Boolean);
+  }
+
+  /**
+   * Add a location to the own shortlist, or remove it if it is listed
+   */
+  toggleShortlist(marker) {
+    const id = this.getLocationId(marker);
+    this.shortlist = this.shortlist.includes(id)
+      ? this.shortlist.filter((entry) => entry !== id)
+      : [...this.shortlist, id];
+    this.storeShortlist();
+
+    if (marker.isPopupOpen()) marker.getPopup().update();
+  }
+
+  clearShortlist() {
+    this.shortlist = [];
+    this.storeShortlist();
+  }
+
+  storeShortlist() {
+    LocationShortlist.save(this.config.shortlist.storageKey, this.shortlist);
+    if (this.controls.shortlist) this.controls.shortlist.update();
+  }
+
+  /**
+   * Link opening the read-only view of the own shortlist
+   */
+  getShortlistLink() {
+    const tokens = this.getShortlistMarkers().map((marker) =>
+      this.getLocationToken(marker),
+    );
+    const hash = UrlState.stringify({
+      shortlist: LocationShortlist.encode(tokens),
+    });
+    return `${window.location.href.split("#")[0]}#${hash}`;
+  }
+
+  /**
+   * Copy the shortlist link, or show it where the clipboard is unavailable
+   */
+  shareShortlist() {
+    const { ui } = this.config;
+    const link = this.getShortlistLink();
+    const showLink = () => window.prompt(ui.shortlistLinkPrompt, link);
+
+    if (!navigator.clipboard) {
+      showLink();
+      return;
+    }
+    navigator.clipboard
+      .writeText(link)
+      .then(
+        () => MapUtils.showNotification(ui.shortlistLinkCopiedText, "success"),
+        showLink,
+      );
+  }
+
+  /**
+   * Show only the locations of a shared shortlist (read-only), or return
+   * to all locations with null
+   * @param {Array<string>|null} tokens - Location tokens from a link
+   */
+  setShortlistView(tokens, { fitBounds = true } = {}) {
+    if (!this.controls.shortlist) {
+      throw new Error("Shortlist is not available");
+    }
+
+    this.state.shortlistView = tokens ? new Set(tokens) : null;
+    // Popups of the view have no shortlist button
+    this.map.closePopup();
+    this.updateVisibleMarkers();
+    this.controls.shortlist.update();
+
+    const markers = this.getShortlistMarkers();
+    if (tokens && fitBounds && markers.length > 0) {
+      this.map.fitBounds(
+        L.latLngBounds(markers.map((marker) => marker.getLatLng())),
+        { padding: [30, 30], maxZoom: this.config.heatmap.markerZoom },
+      );
+    }
+    this.notifyStateChange();
+  }
+
+  /**
+   * Add the locations of the shown shared shortlist to the own one
+   */
+  adoptShortlistView() {
+    const ids = this.getShortlistMarkers().map((marker) =>
+      this.getLocationId(marker),
+    );
+    this.shortlist = [...new Set([...this.shortlist, ...ids])];
+    this.storeShortlist();
+    this.setShortlistView(null, { fitBounds: false });
+    this.controls.shortlist.setOpen(true);
+  }
+
+  /**
+   * Shortlisted locations as sent with an inquiry, with the booking
+   * interval and lead time from the configured fields
+   */
+  getInquiryLocations() {
+    const { intervalField, leadTimeField } = this.config.inquiry;
+    const getText = (marker, field) => {
+      const value = this.getMarkerValue(marker, field);
+      return value === null ? "" : String(value);
+    };
+
+    return this.getShortlistMarkers().map((marker) => ({
+      id: this.getLocationId(marker),
+      name: getText(marker, "name"),
+      category: marker.advertisingType || "",
+      district: getText(marker, "district"),
+      bookingInterval: getText(marker, intervalField),
+      leadTime: getText(marker, leadTimeField),
+    }));
+  }
+
+  /**
+   * Open the inquiry form for the shortlisted locations
+   */
+  openInquiry() {
+    if (!this.controls.shortlist || !this.config.features.showInquiry) {
+      throw new Error("Inquiries are not available");
+    }
+    if (this.getShortlistMarkers().length === 0) return null;
+    return LocationInquiry.open(this);
+  }
+
+  /**
+   * Add the heat layer and its toggle (needs the Leaflet.heat plugin)
+   */
+  setupHeatmapControl() {
+    if (typeof L.heatLayer !== "function") {
+      console.warn("Leaflet.heat is not loaded, heatmap disabled");
+      return;
+    }
+
+    if (!this.layers.heatmap) {
+      this.layers.heatmap = LocationHeatmap.createLayer(this.config.heatmap);
+      this.map.on("zoomend", () => this.updateHeatmap());
+    }
+    this.controls.heatmap = LocationHeatmap.createControl(this);
+    this.controls.heatmap.addTo(this.map);
+  }
+
+  /**
+   * Switch between the heatmap and the markers
+   */
+  setHeatmap(visible) {
+    if (visible && !this.layers.heatmap) {
+      throw new Error("Heatmap is not available");
+    }
+
+    this.state.heatmap = visible;
+    this.updateHeatmap();
+    this.notifyStateChange();
+  }
+
+  /**
+   * Whether the heatmap is drawn instead of the markers at the current zoom
+   */
+  isHeatmapShown() {
+    return (
+      this.state.heatmap && this.map.getZoom() < this.config.heatmap.markerZoom
+    );
+  }
+
+  /**
+   * Show either the heat layer with the shown locations or the markers
+   */
+  updateHeatmap() {
+    const { heatmap, markers } = this.layers;
+    if (!heatmap) return;
+
+    if (this.isHeatmapShown()) {
+      // Leaflet.heat can only take new points while it is on the map
+      if (!this.map.hasLayer(heatmap)) heatmap.addTo(this.map);
+      heatmap.setLatLngs(
+        LocationHeatmap.getPoints(
+          this.getShownMarkers(),
+          this.config.heatmap.weights,
+        ),
+      );
+      if (markers && this.map.hasLayer(markers)) {
+        this.map.removeLayer(markers);
+      }
+    } else {
+      if (this.map.hasLayer(heatmap)) this.map.removeLayer(heatmap);
+      if (markers && !this.map.hasLayer(markers)) {
+        markers.addTo(this.map);
+      }
+    }
+
+    if (this.controls.heatmap) this.controls.heatmap.update();
+  }
+
+  /**
+   * Index all markers (including hidden categories) for the location search
+   */
+  buildSearchIndex() {
+    this.searchIndex = LocationSearch.buildIndex(
+      this.getAllMarkers(),
+      this.config.search.fields,
+    );
+  }
+
+  /**
+   * Add the location search control
+   */
+  setupSearchControl() {
+    this.controls.search = LocationSearch.createControl(this);
+    this.controls.search.addTo(this.map);
+  }
+
+  /**
+   * Zoom to a location marker and open its popup, showing its category,
+   * clearing filters that hide it and pulling it out of its cluster
+   */
+  openLocation(marker) {
+    if (!this.isInShortlistView(marker)) {
+      this.setShortlistView(null, { fitBounds: false });
+    }
+    if (!this.advertisingLayers[marker.advertisingType]?.visible) {
+      this.setLayerVisibility(marker.advertisingType, true);
+    }
+    if (!this.isMarkerShown(marker)) {
+      this.resetFilters();
+    }
+    // Zooming past heatmap.markerZoom brings the markers back
+    const markerLayer = this.layers.markers;
+    if (!this.map.hasLayer(markerLayer)) {
+      this.map.setView(marker.getLatLng(), this.config.heatmap.markerZoom, {
+        animate: false,
+      });
+    }
+
+    if (!markerLayer.zoomToShowLayer) {
+      if (marker.getPopup()) marker.openPopup();
+      return;
+    }
+    markerLayer.unspiderfy();
+    markerLayer.zoomToShowLayer(marker, () => {
+      if (marker.getPopup()) marker.openPopup();
+    });
+  }
+
+  /**
+   * Replace all markers with freshly loaded data
+   */
+  replaceAdvertisingData(advertisingData) {
+    Object.values(this.advertisingLayers).forEach((layerConfig) => {
+      layerConfig.markers = [];
+    });
+
+    this.addAdvertisingData(advertisingData);
+  }
+
+  /**
+   * Create the layer holding all shown advertising markers: a cluster group
+   * with features.enableClustering, otherwise a plain layer group
+   */
+  createMarkerLayer() {
+    let useClustering = this.config.features.enableClustering;
+    if (useClustering && typeof L.markerClusterGroup !== "function") {
+      console.warn("Leaflet.markercluster is not loaded, clustering disabled");
+      useClustering = false;
+    }
+
+    this.layers.markers = useClustering
+      ? LocationClusters.createGroup(this)
+      : L.layerGroup();
+    this.layers.markers.addTo(this.map);
+    return this.layers.markers;
+  }
+
+  /**
+   * Create circle markers for all point features of one category
+   */
+  createMarkersForLayer(geoJsonData, categoryName) {
+    const markers = [];
+    const layerColor = this.advertisingLayers[categoryName]?.color || "#666666";
+
+    geoJsonData.features.forEach((feature) => {
+      if (!feature.geometry || feature.geometry.type !== "Point") return;
+
+      const latlng = [
+        feature.geometry.coordinates[1],
+        feature.geometry.coordinates[0],
+      ];
+
+      const marker = L.circleMarker(latlng, {
+        ...this.config.markers,
+        fillColor: layerColor,
+        pane: "markerPane",
+      });
+
+      // Add advertising type as a property for filtering
+      marker.advertisingType = categoryName;
+      marker.feature = feature;
+
+      if (this.config.features.showPopups) {
+        // Rendered lazily on open from the typed feature properties
+        marker.bindPopup(() => this.renderPopup(marker), {
+          maxWidth: "auto",
+        });
+      }
+
+      markers.push(marker);
+    });
+
+    return markers;
+  }
+
+  /**
+   * Popup content of a location, with the shortlist button unless a shared
+   * shortlist is shown
+   */
+  renderPopup(marker) {
+    const html = LocationPopup.render(
+      marker.feature.properties,
+      this.config.popup,
+    );
+    if (!this.controls.shortlist || this.isShortlistView()) return html;
+
+    const content = document.createElement("div");
+    content.innerHTML = html;
+    (content.querySelector(".popup-info-section") || content).append(
+      LocationShortlist.createPopupButton(this, marker),
+    );
+    return content;
+  }
+
+  /**
+   * Render the district radio buttons and wire them to selectDistrict
+   */
+  setupDistrictSelection() {
+    const { containerId, districts } = this.config.districtSelection;
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const names = districts.length
+      ? districts
+      : this.districtFeatures.map((feature) => feature.properties?.name);
+
+    container.replaceChildren();
+    names.filter(Boolean).forEach((name) => {
+      const label = L.DomUtil.create("label", "radio-label", container);
+      const radio = L.DomUtil.create("input", "", label);
+      radio.type = "radio";
+      radio.name = "location";
+      radio.value = name;
+      radio.addEventListener("change", () => {
+        if (radio.checked) this.selectDistrict(name);
+      });
+
+      const text = L.DomUtil.create("span", "button-label", label);
+      text.textContent = name;
+    });
+  }
+
+  /**
+   * Find the selector radio button for a district
+   */
+  getDistrictRadio(districtName) {
+    const { containerId } = this.config.districtSelection;
+    const container = document.getElementById(containerId);
+    if (!container) return null;
+
+    return (
+      Array.from(container.querySelectorAll('input[type="radio"]')).find(
+        (radio) => radio.value === districtName,
+      ) || null
+    );
+  }
+
+  /**
+   * Select a district by name; selecting the active district deselects it
+   */
+  selectDistrict(districtName) {
+    if (this.state.selectedDistrict === districtName) {
+      this.deselectDistrict();
+      return;
+    }
+
+    this.state.selectedDistrict = districtName;
+    this.map.fire("districtselect", { name: districtName });
+    // Before moving the map, so the new view lands in the new history entry
+    this.notifyStateChange();
+
+    const radio = this.getDistrictRadio(districtName);
+    if (radio) radio.checked = true;
+
+    if (!this.layers.districts) return;
+
+    this.layers.districts.eachLayer((layer) => {
+      if (layer.feature.properties.name === districtName) {
+        layer.setStyle(this.config.districtStyles.selected);
+        layer.bringToBack();
+
+        this.map.fitBounds(layer.getBounds());
+        this.updateDistrictInfo(layer.feature.properties);
+      } else {
+        this.resetDistrictStyle(layer);
+      }
+    });
+  }
+
+  /**
+   * Clear the current district selection and return to the initial view
+   */
+  deselectDistrict() {
+    this.state.selectedDistrict = null;
+
+    const { containerId } = this.config.districtSelection;
+    const container = document.getElementById(containerId);
+    if (container) {
+      container
+        .querySelectorAll('input[type="radio"]')
+        .forEach((radio) => (radio.checked = false));
+    }
+
+    if (this.layers.districts) {
+      this.layers.districts.eachLayer((layer) =>
+        this.resetDistrictStyle(layer),
+      );
+    }
+
+    this.updateDistrictInfo(null);
+    this.map.fire("districtselect", { name: null });
+    this.notifyStateChange();
+    this.map.setView(this.config.map.center, this.config.map.zoom);
+  }
+
+  /**
+   * Preview a district on hover without overriding the selection
+   */
+  handleDistrictMouseover(event) {
+    const layer = event.target;
+    const selected = this.state.selectedDistrict;
+    if (selected === layer.feature.properties.name) return;
+
+    const { hover, hoverWhileSelected } = this.config.districtStyles;
+    layer.setStyle(selected ? hoverWhileSelected : hover);
+    layer.bringToBack();
+
+    if (!selected) {
+      this.updateDistrictInfo(layer.feature.properties);
+    }
+  }
+
+  /**
+   * Reset the hover preview
+   */
+  handleDistrictMouseout(event) {
+    const layer = event.target;
+    if (this.state.selectedDistrict === layer.feature.properties.name) return;
+
+    this.resetDistrictStyle(layer);
+
+    if (!this.state.selectedDistrict) {
+      this.updateDistrictInfo(null);
+    }
+  }
+
+  resetDistrictStyle(layer) {
+    layer.setStyle(this.config.districtStyles.default);
+  }
+
+  /**
+   * Set up the district information control
+   */
+  setupDistrictInfoControl() {
+    const districtInfoControl = L.control({ position: "bottomleft" });
+    const mediaMap = this;
+
+    districtInfoControl.onAdd = function () {
+      this._div = L.DomUtil.create("div", "info");
+      this.update();
+      return this._div;
+    };
+
+    districtInfoControl.update = function (districtProperties) {
+      const { ui } = mediaMap.config;
+      this._properties = districtProperties;
+      this._div.replaceChildren();
+
+      if (!districtProperties) {
+        this._div.textContent = ui.districtInfoHint;
+        return;
+      }
+
+      const title = L.DomUtil.create("b", "", this._div);
+      title.textContent = districtProperties.name;
+      L.DomUtil.create("br", "", this._div);
+      this._div.append(
+        `${ui.adCountLabel}: ${I18n.formatNumber(mediaMap.getDistrictStatistic(districtProperties.name))}`,
+      );
+    };
+
+    districtInfoControl.addTo(this.map);
+    this.controls.districtInfo = districtInfoControl;
+  }
+
+  updateDistrictInfo(districtProperties) {
+    if (this.controls.districtInfo) {
+      this.controls.districtInfo.update(districtProperties);
+    }
+  }
+
+  /**
+   * Set up the layer control panel with one checkbox per advertising category
+   */
+  setupLayerControl() {
+    if (Object.keys(this.advertisingLayers).length === 0) {
+      console.warn("No advertising layers available for control setup");
+      return;
+    }
+
+    const layerControl = L.control({ position: "topright" });
+
+    layerControl.onAdd = () => {
+      const container = L.DomUtil.create("div", "leaflet-bar custom-control");
+      const toggleButton = L.DomUtil.create(
+        "button",
+        "toggle-button1",
+        container,
+      );
+      const checkboxContainer = L.DomUtil.create(
+        "div",
+        "checkbox-container",
+        container,
+      );
+
+      checkboxContainer.style.display = "block";
+      toggleButton.innerHTML = "▲";
+
+      Object.entries(this.advertisingLayers).forEach(
+        ([layerName, layerConfig]) => {
+          const label = L.DomUtil.create(
+            "label",
+            "form-control",
+            checkboxContainer,
+          );
+          label.style.padding = "10px";
+
+          const checkbox = L.DomUtil.create("input", "checkbox", label);
+          checkbox.type = "checkbox";
+          checkbox.value = layerName;
+          checkbox.style.color = layerConfig.color; // Color for custom checkbox styling
+          checkbox.checked = layerConfig.visible;
+          checkbox.defaultChecked = layerConfig.visible;
+
+          label.append(`  ${layerName}`);
+        },
+      );
+
+      L.DomEvent.on(container, "change", (event) => {
+        if (event.target.type !== "checkbox") return;
+        this.setLayerVisibility(event.target.value, event.target.checked);
+      });
+
+      L.DomEvent.on(toggleButton, "click", () => {
+        const isHidden = checkboxContainer.style.display === "none";
+        checkboxContainer.style.display = isHidden ? "block" : "none";
+        toggleButton.innerHTML = isHidden ? "▲" : "▼";
+      });
+
+      // Prevent map interactions when clicking on control panel
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+
+      return container;
+    };
+
+    layerControl.addTo(this.map);
+    this.controls.layerControl = layerControl;
+  }
+
+  /**
+   * Show or hide all markers of an advertising category
+   */
+  setLayerVisibility(layerName, visible) {
+    const layerConfig = this.advertisingLayers[layerName];
+    if (!layerConfig) {
+      console.error("Layer configuration not found:", layerName);
+      return;
+    }
+
+    layerConfig.visible = visible;
+
+    // Keep the layer control in sync when visibility changes programmatically
+    const container = this.controls.layerControl?.getContainer();
+    container?.querySelectorAll("input.checkbox").forEach((checkbox) => {
+      if (checkbox.value === layerName) checkbox.checked = visible;
+    });
+
+    this.updateVisibleMarkers();
+    this.notifyStateChange();
+  }
+
+  /**
+   * Show exactly the given advertising categories
+   */
+  setVisibleLayers(layerNames) {
+    const visibleNames = new Set(layerNames);
+    Object.entries(this.advertisingLayers).forEach(
+      ([layerName, layerConfig]) => {
+        layerConfig.visible = visibleNames.has(layerName);
+      },
+    );
+
+    const container = this.controls.layerControl?.getContainer();
+    container?.querySelectorAll("input.checkbox").forEach((checkbox) => {
+      checkbox.checked = visibleNames.has(checkbox.value);
+    });
+
+    this.updateVisibleMarkers();
+    this.notifyStateChange();
+  }
+
+  /**
+   * Count shown markers per district and refresh the info panel
+   */
+  recalculateDistrictStatistics() {
+    if (this.districtFeatures.length === 0) {
+      console.warn(
+        "District statistics cannot be recalculated without boundary data",
+      );
+      return;
+    }
+
+    const statistics = {};
+
+    this.getShownMarkers().forEach((marker) => {
+      const districtName = this.getMarkerValue(marker, "district");
+      if (districtName) {
+        statistics[districtName] = (statistics[districtName] || 0) + 1;
+      }
+    });
+
+    this.districtStatistics = statistics;
+
+    if (this.state.selectedDistrict) {
+      const selectedFeature = this.districtFeatures.find(
+        (feature) => feature.properties?.name === this.state.selectedDistrict,
+      );
+      this.updateDistrictInfo(
+        selectedFeature ? selectedFeature.properties : null,
+      );
+    }
+  }
+
+  getDistrictStatistic(districtName) {
+    return this.districtStatistics[districtName] || 0;
+  }
+
+  /**
+   * Find the name of the district containing a point
+   */
+  findDistrictForLatLng(latlng) {
+    if (!latlng || !this.districtIndex) return null;
+    const feature = this.districtIndex.findFeature(GeoUtils.toPoint(latlng));
+    return feature?.properties?.name ?? null;
+  }
+
+  /**
+   * Stable id of a location for links and inquiries (see
+   * SheetsDataProcessor.assignLocationIds)
+   */
+  getLocationId(marker) {
+    return marker.feature.id;
+  }
+
+  findMarkerByLocationId(locationId) {
+    return (
+      this.getAllMarkers().find(
+        (marker) => this.getLocationId(marker) === locationId,
+      ) || null
+    );
+  }
+
+  /**
+   * Current view for shareable links (see UrlState)
+   */
+  getUrlState() {
+    const layers = Object.entries(this.advertisingLayers);
+    const visibleLayers = layers
+      .filter(([, layerConfig]) => layerConfig.visible)
+      .map(([layerName]) => layerName);
+
+    const state = {
+      c: UrlState.formatLatLng(this.map.getCenter()),
+      z: this.map.getZoom(),
+      d: this.state.selectedDistrict,
+      // Only listed when some categories are hidden
+      cat: visibleLayers.length === layers.length ? null : visibleLayers,
+      style:
+        this.state.mapStyle !== this.config.defaultMapStyle
+          ? this.state.mapStyle
+          : null,
+      loc: this.state.openLocation,
+      line: this.state.corridor?.line,
+      // Only listed when it differs from the configured default
+      dist:
+        this.state.corridor &&
+        this.state.corridor.distance !== this.config.corridor.defaultDistance
+          ? this.state.corridor.distance
+          : null,
+      area: this.state.area && AreaSelection.stringify(this.state.area),
+      heat: this.state.heatmap ? 1 : null,
+      shortlist: this.state.shortlistView
+        ? LocationShortlist.encode([...this.state.shortlistView])
+        : null,
+    };
+
+    Object.entries(this.state.filters).forEach(([field, values]) => {
+      state[`f.${field}`] = [...values];
+    });
+
+    return state;
+  }
+
+  /**
+   * Restore a view from link parameters (see UrlState)
+   */
+  applyUrlState(params) {
+    this.setMapStyle(params.get("style") || this.config.defaultMapStyle);
+
+    if (params.has("cat")) {
+      this.setVisibleLayers(params.getAll("cat").filter(Boolean));
+    } else {
+      this.setVisibleLayers(
+        Object.keys(this.advertisingLayers).filter(
+          (layerName) =>
+            this.config.advertisingTypes[layerName]?.visible !== false,
+        ),
+      );
+    }
+
+    this.state.filters = {};
+    for (const key of new Set(params.keys())) {
+      if (!key.startsWith("f.")) continue;
+      const values = params.getAll(key).filter(Boolean);
+      if (values.length) this.state.filters[key.slice(2)] = new Set(values);
+    }
+    if (this.controls.filters) this.controls.filters.refresh();
+    this.updateVisibleMarkers();
+
+    const district = params.get("d");
+    if (district && district !== this.state.selectedDistrict) {
+      this.selectDistrict(district);
+    } else if (!district && this.state.selectedDistrict) {
+      this.deselectDistrict();
+    }
+
+    const center = UrlState.parseLatLng(params.get("c"));
+    const zoom = Number(params.get("z"));
+    const hasView = center && params.has("z") && Number.isFinite(zoom);
+
+    const line = params.get("line");
+    if (this.routeLines[line] || this.state.corridor) {
+      const distance = Number(params.get("dist"));
+      this.setCorridor(
+        this.routeLines[line] ? line : null,
+        distance > 0 ? distance : this.config.corridor.defaultDistance,
+        { fitBounds: !hasView },
+      );
+    }
+
+    const area = AreaSelection.parse(params.get("area"));
+    if (this.layers.area && (area || this.state.area)) {
+      this.setArea(area, { fitBounds: !hasView });
+    }
+
+    if (this.layers.heatmap) {
+      this.setHeatmap(params.get("heat") === "1");
+    }
+
+    const shortlist = LocationShortlist.decode(params.get("shortlist"));
+    if (
+      this.controls.shortlist &&
+      (shortlist.length || this.state.shortlistView)
+    ) {
+      this.setShortlistView(shortlist.length ? shortlist : null, {
+        fitBounds: !hasView,
+      });
+    }
+
+    if (hasView) {
+      this.map.setView(center, zoom, { animate: false });
+    }
+
+    const marker =
+      params.has("loc") && this.findMarkerByLocationId(params.get("loc"));
+    if (marker) {
+      this.openLocation(marker);
+    } else {
+      this.map.closePopup();
+    }
+  }
+
+  /**
+   * Commands available to a parent page (see EmbedApi)
+   */
+  getEmbedCommands() {
+    return {
+      setView: ({ center, zoom }) => {
+        if (!UrlState.parseLatLng(String(center))) {
+          throw new Error("center must be [lat, lng]");
+        }
+        this.map.setView(
+          center,
+          Number.isFinite(zoom) ? zoom : this.map.getZoom(),
+        );
+      },
+      selectDistrict: ({ name }) => {
+        if (!name) {
+          if (this.state.selectedDistrict) this.deselectDistrict();
+          return;
+        }
+        if (
+          !this.getDistrictRadio(name) &&
+          !this.districtFeatures.some(
+            (feature) => feature.properties?.name === name,
+          )
+        ) {
+          throw new Error(`Unknown district: ${name}`);
+        }
+        if (name !== this.state.selectedDistrict) this.selectDistrict(name);
+      },
+      getDistrict: ({ center }) => {
+        const latlng = UrlState.parseLatLng(String(center));
+        if (!latlng) throw new Error("center must be [lat, lng]");
+        return this.findDistrictForLatLng(L.latLng(latlng));
+      },
+      setCategories: ({ visible }) => {
+        if (!Array.isArray(visible))
+          throw new Error("visible must be an array");
+        this.setVisibleLayers(visible);
+        return this.getFilterSummary();
+      },
+      setCategory: ({ name, visible }) => {
+        if (!this.advertisingLayers[name]) {
+          throw new Error(`Unknown category: ${name}`);
+        }
+        this.setLayerVisibility(name, visible !== false);
+        return this.getFilterSummary();
+      },
+      setFilter: ({ field, values = [] }) => {
+        this.setFilter(field, values);
+        if (this.controls.filters) this.controls.filters.refresh();
+        return this.getFilterSummary();
+      },
+      resetFilters: () => {
+        this.resetFilters();
+        return this.getFilterSummary();
+      },
+      openLocation: ({ id }) => {
+        const marker = this.findMarkerByLocationId(id);
+        if (!marker) throw new Error(`Unknown location: ${id}`);
+        this.openLocation(marker);
+      },
+      setCorridor: ({ line, distance }) => {
+        if (distance !== undefined && !(Number(distance) > 0)) {
+          throw new Error("distance must be a positive number of metres");
+        }
+        this.setCorridor(line || null, Number(distance) || undefined);
+        return this.getFilterSummary();
+      },
+      setArea: (area) => {
+        if (!this.layers.area) throw new Error("No area selection available");
+        this.setArea(area?.type ? area : null);
+        return this.getFilterSummary();
+      },
+      setHeatmap: ({ visible }) => {
+        if (!this.layers.heatmap) throw new Error("No heatmap available");
+        this.setHeatmap(visible !== false);
+        return this.state.heatmap;
+      },
+    };
+  }
+
+  /**
+   * Get the map instance
+   */
+  getMap() {
+    return this.map;
+  }
+
+  /**
+   * Get current layers
+   */
+  getLayers() {
+    return this.layers;
+  }
+
+  /**
+   * Get current controls
+   */
+  getControls() {
+    return this.controls;
+  }
+
+  /**
+   * High-level initialization method that loads all configured data sources
+   */
+  async initializeWithData(
+    showLoadingCallback = null,
+    hideLoadingCallback = null,
+  ) {
+    try {
+      const { dataSources, ui, features } = this.config;
+
+      if (dataSources.districts) {
+        if (showLoadingCallback) showLoadingCallback(ui.loadingDistrictsText);
+        await this.loadDistrictBoundaries(dataSources.districts);
+      }
+
+      this.createMarkerLayer();
+
+      if (dataSources.mediaLocations) {
+        if (showLoadingCallback) showLoadingCallback(ui.loadingText);
+        try {
+          await this.loadMediaLocations(
+            dataSources.mediaLocations,
+            showLoadingCallback,
+          );
+          this.setupLayerControl();
+          if (features.showFilters) this.setupFilterControl();
+          this.recalculateDistrictStatistics();
+          if (features.showSearch) this.setupSearchControl();
+          if (features.showExport) this.setupExportControl();
+          if (features.showAreaSelection) this.setupAreaControl();
+          if (features.showHeatmap) this.setupHeatmapControl();
+        } catch (error) {
+          // Boundaries stay usable even if no locations could be loaded
+          console.error("Error loading media locations:", error);
+          MapUtils.handleError(error, "beim Laden der Medienstandorte");
+        }
+      }
+
+      // Corridors need both the locations and the transit lines
+      if (
+        features.showCorridor &&
+        dataSources.transportation &&
+        this.getAllMarkers().length > 0
+      ) {
+        if (showLoadingCallback) showLoadingCallback(ui.loadingRoutesText);
+        try {
+          await this.loadTransportationRoutes(dataSources.transportation);
+          this.setupCorridorControl();
+        } catch (error) {
+          // The map works without corridors
+          console.error("Error loading transit lines:", error);
+        }
+      }
+
+      if (features.showShortlist && this.getAllMarkers().length > 0) {
+        this.loadShortlist();
+        this.setupShortlistControl();
+      }
+
+      if (features.showDistrictSelection) {
+        this.setupDistrictSelection();
+      }
+      this.setupDistrictInfoControl();
+      if (features.showPrint) this.setupPrintControl();
+
+      if (hideLoadingCallback) hideLoadingCallback();
+      return true;
+    } catch (error) {
+      console.error("Failed to initialize media map with data:", error);
+      if (hideLoadingCallback) hideLoadingCallback();
+      throw error;
+    }
+  }
+}
+
+// Export for use in other modules
+window.MediaMap = MediaMap;
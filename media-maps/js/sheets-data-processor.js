@@ -2,152 +2,184 @@
  * Google Sheets Data Processor for Media Maps
  *
  * Replaces the Python script workflow by directly fetching data from Google Sheets
- * and transforming it to the expected GeoJSON format with rich popup content.
+ * and transforming it to the expected GeoJSON format with typed properties.
+ * Popups are rendered from those properties by LocationPopup.
  */
 
 const SheetsDataProcessor = {
-  // Cache for performance
-  cache: {
-    data: null,
-    timestamp: null,
-    duration: 5 * 60 * 1000, // 5 minutes cache
+  /**
+   * Default column mapping (field name → sheet column), used when the media
+   * config does not provide its own. Columns are matched by header text, so
+   * their order in the sheet does not matter.
+   *
+   * Each entry: { header, type, required, parser, ...typeOptions }
+   * - type: "string" | "number" | "boolean" | "url" | "coordinates"
+   * - parser: optional function (value, row) overriding the type parser
+   * The fields "name", "category" and "coordinates" are mandatory; "id"
+   * gives a location a stable id (see assignLocationIds).
+   */
+  defaultColumns: {
+    id: { header: "ID", type: "string" },
+    name: { header: "Name", type: "string", required: true },
+    category: { header: "Werbeträger", type: "string", required: true },
+    coordinates: {
+      header: "Koordinaten",
+      type: "coordinates",
+      order: "lnglat",
+      required: true,
+    },
+    location: { header: "Ort", type: "string" },
+    site: { header: "Standort", type: "string" },
+    dimensions: { header: "Maße", type: "string" },
+    lighting: { header: "Beleuchtung", type: "string" },
+    illuminated: { header: "Beleuchtung", type: "boolean" },
+    bookingInterval: { header: "Buchungsintervall", type: "string" },
+    leadTime: { header: "Vorlaufzeit", type: "string" },
+    image1: { header: "Bild1", type: "url" },
+    image2: { header: "Bild2", type: "url" },
+  },
+
+  // Default truthy/falsy spellings for boolean columns (compared lowercase)
+  booleanValues: {
+    true: ["ja", "yes", "true", "1", "x"],
+    false: ["nein", "no", "false", "0", ""],
   },
 
+  // Raw sheet values are cached per sheet/range in DataCache
+  cacheDuration: 5 * 60 * 1000, // 5 minutes before a background refresh
+
   /**
    * Fetch and process data from Google Sheets
+   *
+   * Cached data is returned immediately (even if stale); stale data is
+   * refreshed in the background and passed to options.onUpdate.
+   *
    * @param {string} sheetId - Google Sheets ID
    * @param {string} range - Sheet range (e.g., 'Sheet1!A:K' or 'Tabellenblatt1!A:K')
+   * @param {Object} columns - Column mapping (defaults to defaultColumns)
+   * @param {Object} options - { onUpdate(processedData, timestamp), maxAge }
    * @returns {Promise<Object>} Processed GeoJSON data
    */
-  async fetchAndProcess(sheetId, range = "Tabellenblatt1!A:K") {
-    // Check cache first
-    if (this.isCacheValid()) {
-      console.log("Using cached Google Sheets data");
-      return this.cache.data;
-    }
+  async fetchAndProcess(
+    sheetId,
+    range = "Tabellenblatt1!A:K",
+    columns = this.defaultColumns,
+    options = {},
+  ) {
+    const { onUpdate = null, maxAge = this.cacheDuration } = options;
 
     try {
-      console.log("Fetching fresh data from Google Sheets...");
+      const entry = await DataCache.fetch(
+        this.getCacheKey(sheetId, range),
+        () => this.fetchValues(sheetId, range),
+        {
+          maxAge,
+          onUpdate: (values, timestamp) => {
+            if (!onUpdate) return;
+            try {
+              onUpdate(this.processSheetData(values, columns), timestamp);
+            } catch (error) {
+              console.error("Error processing refreshed sheet data:", error);
+            }
+          },
+        },
+      );
 
-      // Load environment variables
-      await EnvLoader.load();
+      if (entry.stale) {
+        console.log(
+          "Using cached Google Sheets data, refreshing in background",
+        );
+      }
 
-      // Build Google Sheets API URL
-      const sheetsUrl = EnvLoader.buildSheetsUrl(sheetId, range);
+      return this.processSheetData(entry.data, columns);
+    } catch (error) {
+      console.error("Error fetching from Google Sheets:", error);
+      throw error;
+    }
+  },
 
-      if (!sheetsUrl) {
-        throw new Error("Google Sheets API key not configured");
-      }
+  /**
+   * Fetch raw sheet values through the Sheets proxy
+   * @param {string} sheetId - Google Sheets ID
+   * @param {string} range - Sheet range
+   * @returns {Promise<Array>} Sheet values (header row first)
+   */
+  async fetchValues(sheetId, range) {
+    console.log("Fetching fresh data from Google Sheets...");
 
-      // Fetch data from Google Sheets
-      const response = await fetch(sheetsUrl);
+    // Load environment variables
+    await EnvLoader.load();
 
-      if (!response.ok) {
-        throw new Error(
-          `Google Sheets API error: ${response.status} ${response.statusText}`,
-        );
-      }
+    // Build Sheets proxy URL (the API key stays on the server)
+    const sheetsUrl = EnvLoader.buildSheetsUrl(sheetId, range);
 
-      const data = await response.json();
+    if (!sheetsUrl) {
+      throw new Error("Google Sheets proxy not configured");
+    }
 
-      if (!data.values || data.values.length < 2) {
-        throw new Error("No data found in Google Sheets");
-      }
+    // Fetch data through the Sheets proxy
+    const response = await fetch(sheetsUrl);
 
-      // Process the data
-      const processedData = this.processSheetData(data.values);
+    if (!response.ok) {
+      throw new Error(
+        `Google Sheets API error: ${response.status} ${response.statusText}`,
+      );
+    }
 
-      // Update cache
-      this.cache.data = processedData;
-      this.cache.timestamp = Date.now();
+    const data = await response.json();
 
-      console.log("Successfully processed Google Sheets data");
-      return processedData;
-    } catch (error) {
-      console.error("Error fetching from Google Sheets:", error);
-      throw error;
+    if (!data.values || data.values.length < 2) {
+      throw new Error("No data found in Google Sheets");
     }
+
+    return data.values;
   },
 
   /**
-   * Check if cached data is still valid
+   * Cache key for a sheet range
    */
-  isCacheValid() {
-    return (
-      this.cache.data &&
-      this.cache.timestamp &&
-      Date.now() - this.cache.timestamp < this.cache.duration
-    );
+  getCacheKey(sheetId, range) {
+    return `sheets:${sheetId}:${range}`;
   },
 
   /**
-   * Clear the cache (useful for forcing refresh)
+   * Time the cached data for a sheet range was fetched, or null
+   * @returns {number|null} Timestamp in milliseconds
    */
-  clearCache() {
-    this.cache.data = null;
-    this.cache.timestamp = null;
+  getLastUpdated(sheetId, range) {
+    return DataCache.getLastUpdated(this.getCacheKey(sheetId, range));
+  },
+
+  /**
+   * Clear cached sheet data (useful for forcing refresh)
+   * @param {string} sheetId - Optional, limit to one sheet
+   * @param {string} range - Optional, limit to one range of that sheet
+   */
+  clearCache(sheetId = null, range = null) {
+    if (sheetId && range) {
+      return DataCache.remove(this.getCacheKey(sheetId, range));
+    }
+    return DataCache.clear(sheetId ? `sheets:${sheetId}:` : "sheets:");
   },
 
   /**
    * Process raw Google Sheets data into GeoJSON format
    * @param {Array} values - Raw sheet values from Google Sheets API
+   * @param {Object} columns - Column mapping (defaults to defaultColumns)
    * @returns {Object} Processed data in the expected format
    */
-  processSheetData(values) {
-    const headers = values[0];
-    const rows = values.slice(1);
+  processSheetData(values, columns = this.defaultColumns) {
+    const [headers, ...rows] = values;
+    const columnIndex = this.resolveColumns(headers, columns);
 
     // Create the main data structure
     const data = {};
 
-    // Process each row
-    rows.forEach((row) => {
-      if (row.length < 9 || !row[0] || !row[9]) {
-        // Skip rows without required data (Name and Koordinaten)
-        return;
-      }
+    rows.forEach((row, rowIndex) => {
+      const record = this.parseRow(row, columns, columnIndex, rowIndex + 2);
+      if (!record) return;
 
-      // Create row object from headers
-      const rowData = {};
-      headers.forEach((header, index) => {
-        rowData[header] = row[index] || "";
-      });
-
-      // Skip if no coordinates
-      if (!rowData["Koordinaten"]) {
-        return;
-      }
-
-      // Parse coordinates
-      let coordinates;
-      try {
-        const coordParts = rowData["Koordinaten"]
-          .split(",")
-          .map((c) => parseFloat(c.trim()));
-        if (
-          coordParts.length !== 2 ||
-          isNaN(coordParts[0]) ||
-          isNaN(coordParts[1])
-        ) {
-          console.warn(
-            `Invalid coordinates for ${rowData["Name"]}: ${rowData["Koordinaten"]}`,
-          );
-          return;
-        }
-        coordinates = coordParts;
-      } catch (error) {
-        console.warn(
-          `Error parsing coordinates for ${rowData["Name"]}: ${rowData["Koordinaten"]}`,
-        );
-        return;
-      }
-
-      // Get category from Werbeträger
-      const category = rowData["Werbeträger"];
-      if (!category) {
-        console.warn(`No Werbeträger specified for ${rowData["Name"]}`);
-        return;
-      }
+      const { coordinates, category, ...properties } = record;
 
       // Initialize category if it doesn't exist
       if (!data[category]) {
@@ -157,114 +189,181 @@ const SheetsDataProcessor = {
         };
       }
 
-      // Create GeoJSON feature
-      const feature = {
+      data[category].features.push({
         type: "Feature",
         properties: {
-          Name: rowData["Name"],
-          popupContent: this.generatePopup(rowData),
-          Category: category,
+          ...properties,
+          category,
         },
         geometry: {
           type: "Point",
-          coordinates: coordinates,
+          coordinates,
         },
-      };
-
-      data[category].features.push(feature);
+      });
     });
 
     return data;
   },
 
   /**
-   * Generate popup HTML content (equivalent to Python generatePopup function)
-   * @param {Object} row - Row data object
-   * @returns {string} HTML popup content
+   * Give every location of processed (or fallback) data its id in
+   * feature.id, for the shortlist, its links and inquiries: the "id"
+   * property if the data has one, otherwise name and position. Locations
+   * with the same id - two sites at one place, or an id used twice in the
+   * sheet - are told apart by their order ("…#2"), so each id stays unique.
+   * @param {Object} data - Locations by category
+   * @returns {Array<string>} Ids found more than once, to be reported
    */
-  generatePopup(row) {
-    const infoSection = this.generateInfoSection(row);
-    const imagesSection = this.generateImagesSection(row);
-
-    const popupHtml = `
-      <div class='location-popup'>
-        <div class='popup-layout'>
-          <div class='popup-info-section'>
-            ${infoSection}
-          </div>
-          <div class='popup-images-section'>
-            ${imagesSection}
-          </div>
-        </div>
-      </div>
-    `;
-
-    // Remove extra whitespace and newlines for cleaner output
-    return popupHtml.split(/\s+/).join(" ").trim();
+  assignLocationIds(data) {
+    const counts = new Map();
+    const duplicates = [];
+
+    Object.values(data).forEach((collection) => {
+      (collection?.features || []).forEach((feature) => {
+        if (feature.geometry?.type !== "Point") return;
+
+        const { properties = {} } = feature;
+        let id;
+        if (
+          properties.id !== undefined &&
+          properties.id !== null &&
+          properties.id !== ""
+        ) {
+          id = String(properties.id);
+        } else {
+          const [lng, lat] = feature.geometry.coordinates;
+          id = `${properties.name}@${lat.toFixed(5)},${lng.toFixed(5)}`;
+        }
+
+        const count = (counts.get(id) || 0) + 1;
+        counts.set(id, count);
+        if (count === 2) duplicates.push(id);
+        feature.id = count > 1 ? `${id}#${count}` : id;
+      });
+    });
+
+    return duplicates;
   },
 
   /**
-   * Generate the information section of the popup
-   * @param {Object} row - Row data object
-   * @returns {string} HTML info section
+   * Map each configured field to its column index by header text
+   * @param {Array} headers - Header row of the sheet
+   * @param {Object} columns - Column mapping
+   * @returns {Object} Field name → column index
    */
-  generateInfoSection(row) {
-    const visibleColumns = [
-      "Werbeträger",
-      "Ort",
-      "Standort",
-      "Maße",
-      "Beleuchtung",
-      "Buchungsintervall",
-      "Vorlaufzeit",
-    ];
-
-    let infoSection = `<h3>${row["Name"]}</h3><br>`;
-
-    visibleColumns.forEach((column) => {
-      const data = row[column];
-      if (data) {
-        infoSection += `${column}: ${data}<br>`;
+  resolveColumns(headers = [], columns) {
+    const normalize = (header) => String(header).trim().toLowerCase();
+    const headerIndex = new Map(
+      headers.map((header, index) => [normalize(header), index]),
+    );
+
+    ["name", "category", "coordinates"].forEach((field) => {
+      if (!columns[field]) {
+        throw new Error(`Column mapping is missing the "${field}" field`);
       }
     });
 
-    infoSection += `
-      <br>
-      <img src='https://www.wtm-aussenwerbung.de/wp-content/uploads/wtm-aussenwerbung.webp' style='width: 10vw;'>
-    `;
+    const columnIndex = {};
+    const missing = [];
 
-    return infoSection;
+    Object.entries(columns).forEach(([field, column]) => {
+      const index = headerIndex.get(normalize(column.header));
+      if (index === undefined) {
+        if (column.required) missing.push(column.header);
+        return;
+      }
+      columnIndex[field] = index;
+    });
+
+    if (missing.length > 0) {
+      throw new Error(
+        `Required sheet columns not found: ${missing.join(", ")}`,
+      );
+    }
+
+    return columnIndex;
   },
 
   /**
-   * Generate the images section of the popup
-   * @param {Object} row - Row data object
-   * @returns {string} HTML images section
+   * Parse one sheet row into typed field values
+   * @param {Array} row - Raw row values
+   * @param {Object} columns - Column mapping
+   * @param {Object} columnIndex - Field name → column index
+   * @param {number} rowNumber - Sheet row number (for warnings)
+   * @returns {Object|null} Typed record, or null if a required field is invalid
    */
-  generateImagesSection(row) {
-    let imagesHtml = "";
+  parseRow(row, columns, columnIndex, rowNumber) {
+    const record = {};
+
+    for (const [field, column] of Object.entries(columns)) {
+      const index = columnIndex[field];
+      const raw = index === undefined ? "" : (row[index] ?? "");
+      const value = column.parser
+        ? column.parser(raw, row)
+        : this.parseValue(raw, column);
+
+      if (column.required && (value === null || value === undefined)) {
+        if (row.some((cell) => String(cell).trim() !== "")) {
+          console.warn(
+            `Skipping sheet row ${rowNumber}: invalid or missing "${column.header}" (${raw})`,
+          );
+        }
+        return null;
+      }
 
-    // Add custom images if they exist
-    if (row["Bild1"]) {
-      imagesHtml += this.generateImageHtml(row["Bild1"]);
-    }
-    if (row["Bild2"]) {
-      imagesHtml += this.generateImageHtml(row["Bild2"]);
+      record[field] = value ?? null;
     }
 
-    return imagesHtml;
+    return record;
   },
 
   /**
-   * Generate HTML for a single image
-   * @param {string} imageUrl - Image URL
-   * @returns {string} HTML img tag
+   * Convert a raw cell value according to the column type
+   * @param {*} raw - Raw cell value
+   * @param {Object} column - Column definition
+   * @returns {*} Typed value, or null if empty/invalid
    */
-  generateImageHtml(imageUrl) {
-    if (!imageUrl) {
-      return "";
+  parseValue(raw, column) {
+    const text = String(raw ?? "").trim();
+
+    switch (column.type) {
+      case "number": {
+        if (!text) return null;
+        // Accept German notation ("1.234,5") as well as plain numbers
+        const normalized = text.includes(",")
+          ? text.replace(/\./g, "").replace(",", ".")
+          : text;
+        const number = Number(normalized);
+        return Number.isFinite(number) ? number : null;
+      }
+
+      case "boolean": {
+        const lower = text.toLowerCase();
+        const trueValues = column.trueValues || this.booleanValues.true;
+        const falseValues = column.falseValues || this.booleanValues.false;
+        if (trueValues.includes(lower)) return true;
+        if (falseValues.includes(lower)) return false;
+        return null;
+      }
+
+      case "url":
+        return /^https?:\/\//i.test(text) ? text : null;
+
+      case "coordinates": {
+        const parts = text.split(",").map((part) => parseFloat(part.trim()));
+        if (
+          parts.length !== 2 ||
+          parts.some((part) => !Number.isFinite(part))
+        ) {
+          return null;
+        }
+        // GeoJSON order is [lng, lat]
+        return column.order === "latlng" ? [parts[1], parts[0]] : parts;
+      }
+
+      default:
+        return text || null;
     }
-    return `<img src='${imageUrl}' style='width: 15vw; min-width: 200px;'>`;
   },
 };
 
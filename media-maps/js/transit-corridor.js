@@ -0,0 +1,242 @@
+/**
+ * Transit Corridors for Media Maps
+ *
+ * Finds the locations along a transit line ("everything along the U8"): all
+ * locations within a distance of the line's geometry from the routes GeoJSON
+ * (the same file the city maps show). Distances and buffers
+ * are computed with GeoUtils.
+ */
+
+const TransitCorridor = {
+  /**
+   * Collect the line geometries per route name
+   * @param {Array} features - Route features (route_name, LineString or
+   *   MultiLineString geometry)
+   * @param {Array<string>} names - Lines to offer; empty for all
+   * @returns {Object} route name → array of paths ([lng, lat] arrays), in
+   *   natural order (S5 before S41)
+   */
+  collectLines(features, names = []) {
+    const lines = {};
+
+    features.forEach(({ properties = {}, geometry }) => {
+      const name = properties.route_name;
+      if (!name || (names.length > 0 && !names.includes(name))) return;
+
+      const paths =
+        geometry?.type === "LineString"
+          ? [geometry.coordinates]
+          : geometry?.type === "MultiLineString"
+            ? geometry.coordinates
+            : [];
+      if (paths.length === 0) return;
+
+      (lines[name] = lines[name] || []).push(...paths);
+    });
+
+    return Object.fromEntries(
+      Object.keys(lines)
+        .sort((a, b) => a.localeCompare(b, "de", { numeric: true }))
+        .map((name) => [name, lines[name]]),
+    );
+  },
+
+  /**
+   * Rings outlining the area within a distance of the line, as [lat, lng]
+   * for L.polygon (draw with fillRule "nonzero")
+   */
+  createBufferRings(paths, distance) {
+    return GeoUtils.createBufferRings(paths, distance).map((ring) =>
+      ring.map(([lng, lat]) => [lat, lng]),
+    );
+  },
+
+  /**
+   * Markers within a distance of the line. Markers outside the line's
+   * bounds (widened by the distance) are skipped without measuring.
+   */
+  findMarkers(markers, paths, distance) {
+    const bounds = GeoUtils.getBounds(paths);
+    if (!bounds) return [];
+
+    const projection = GeoUtils.createProjection((bounds[1] + bounds[3]) / 2);
+    const [minX, minY] = projection.toXY([bounds[0], bounds[1]]);
+    const [maxX, maxY] = projection.toXY([bounds[2], bounds[3]]);
+    const searchBounds = [
+      ...projection.toLngLat([minX - distance, minY - distance]),
+      ...projection.toLngLat([maxX + distance, maxY + distance]),
+    ];
+
+    return markers.filter((marker) => {
+      const point = GeoUtils.toPoint(marker.getLatLng());
+      return (
+        GeoUtils.boundsContain(searchBounds, point) &&
+        GeoUtils.getDistanceToLine(point, paths) <= distance
+      );
+    });
+  },
+
+  /**
+   * Number of markers per category, in the order of the categories
+   * @param {Array} markers - Location markers
+   * @param {Array<string>} categories - Category names
+   * @returns {Object} category → count, categories without markers left out
+   */
+  countByCategory(markers, categories) {
+    const counts = {};
+    categories.forEach((category) => {
+      const count = markers.filter(
+        (marker) => marker.advertisingType === category,
+      ).length;
+      if (count > 0) counts[category] = count;
+    });
+    return counts;
+  },
+
+  /**
+   * Create the corridor panel for a MediaMap: line and distance selection,
+   * counts per category and the list of locations
+   * @param {MediaMap} mediaMap - Map with loaded routes and locations
+   * @returns {L.Control} Corridor control with update()
+   */
+  createControl(mediaMap) {
+    const { ui, corridor } = mediaMap.config;
+    const control = L.control({ position: corridor.position || "topleft" });
+
+    control.onAdd = function () {
+      const container = L.DomUtil.create(
+        "div",
+        "leaflet-bar location-corridor",
+      );
+      const title = L.DomUtil.create(
+        "b",
+        "location-corridor__title",
+        container,
+      );
+      title.textContent = ui.corridorTitle;
+
+      const lineLabel = L.DomUtil.create(
+        "label",
+        "location-corridor__field",
+        container,
+      );
+      lineLabel.append(ui.corridorLineLabel);
+      const lineSelect = L.DomUtil.create("select", "", lineLabel);
+      const placeholder = L.DomUtil.create("option", "", lineSelect);
+      placeholder.value = "";
+      placeholder.textContent = ui.corridorLinePlaceholder;
+      Object.keys(mediaMap.routeLines).forEach((line) => {
+        const option = L.DomUtil.create("option", "", lineSelect);
+        option.value = line;
+        option.textContent = line;
+      });
+
+      const distanceLabel = L.DomUtil.create(
+        "label",
+        "location-corridor__field",
+        container,
+      );
+      distanceLabel.append(ui.corridorDistanceLabel);
+      const distanceSelect = L.DomUtil.create("select", "", distanceLabel);
+      corridor.distances.forEach((distance) => {
+        const option = L.DomUtil.create("option", "", distanceSelect);
+        option.value = distance;
+        option.textContent = `${I18n.formatNumber(distance)} m`;
+      });
+
+      const onChange = () => {
+        mediaMap.setCorridor(
+          lineSelect.value || null,
+          Number(distanceSelect.value),
+        );
+      };
+      L.DomEvent.on(lineSelect, "change", onChange);
+      L.DomEvent.on(distanceSelect, "change", onChange);
+
+      this._lineSelect = lineSelect;
+      this._distanceSelect = distanceSelect;
+      this._results = L.DomUtil.create(
+        "div",
+        "location-corridor__results",
+        container,
+      );
+
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+
+      this.update();
+      return container;
+    };
+
+    /**
+     * Show the current corridor and the locations in it
+     */
+    control.update = function () {
+      if (!this._results) return;
+
+      const active = mediaMap.state.corridor;
+      this._lineSelect.value = active?.line || "";
+      this._distanceSelect.value = String(
+        active?.distance ?? corridor.defaultDistance,
+      );
+      this._results.replaceChildren();
+      if (!active) return;
+
+      const markers = mediaMap.corridorMarkers;
+      const count = L.DomUtil.create(
+        "div",
+        "location-corridor__count",
+        this._results,
+      );
+      count.textContent = I18n.format(ui.corridorCountText, {
+        count: I18n.formatNumber(markers.length),
+        distance: I18n.formatNumber(active.distance),
+        line: active.line,
+      });
+
+      const categories = L.DomUtil.create(
+        "ul",
+        "location-corridor__categories",
+        this._results,
+      );
+      Object.entries(
+        TransitCorridor.countByCategory(
+          markers,
+          Object.keys(mediaMap.advertisingLayers),
+        ),
+      ).forEach(([category, categoryCount]) => {
+        const item = L.DomUtil.create("li", "", categories);
+        const swatch = L.DomUtil.create(
+          "span",
+          "location-corridor__swatch",
+          item,
+        );
+        swatch.style.backgroundColor =
+          mediaMap.advertisingLayers[category].color;
+        item.append(`${category}: ${I18n.formatNumber(categoryCount)}`);
+      });
+
+      const list = L.DomUtil.create(
+        "ul",
+        "location-corridor__locations",
+        this._results,
+      );
+      markers.forEach((marker) => {
+        const item = L.DomUtil.create("li", "", list);
+        const button = L.DomUtil.create(
+          "button",
+          "location-corridor__location",
+          item,
+        );
+        button.type = "button";
+        button.textContent = marker.feature.properties.name || "–";
+        L.DomEvent.on(button, "click", () => mediaMap.openLocation(marker));
+      });
+    };
+
+    return control;
+  },
+};
+
+// Export for global access
+window.TransitCorridor = TransitCorridor;
@@ -1,8 +1,9 @@
 /**
  * Netlify Function to serve configuration
  * 
- * This function securely provides environment variables to the client
- * using Netlify's server-side environment variables.
+ * This function provides public, non-secret configuration to the client.
+ * Secrets such as the Google Sheets API key stay on the server; the client
+ * only learns where the Sheets proxy function lives.
  */
 
 exports.handler = async (event, context) => {
@@ -15,12 +16,11 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    // Get environment variables from Netlify
     const config = {};
     
-    // Only include API key if it exists
+    // Advertise the Sheets proxy only if it can actually reach Google
     if (process.env.GOOGLE_SHEETS_API_KEY) {
-      config.GOOGLE_SHEETS_API_KEY = process.env.GOOGLE_SHEETS_API_KEY;
+      config.SHEETS_PROXY_URL = '/.netlify/functions/sheets';
     }
 
     return {
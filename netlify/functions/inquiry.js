@@ -0,0 +1,388 @@
+/**
+ * Netlify Function receiving booking inquiries from the media maps
+ *
+ * Validates an inquiry (locations, booking period, contact details), checks
+ * the period against each location's lead time and booking interval (see
+ * media-maps/js/booking-rules.js, shared with the form) and hands it to the
+ * configured store.
+ *
+ * POST /.netlify/functions/inquiry
+ *   { city, map, locale, locations: [{ id, district }],
+ *     period: { start, end },
+ *     contact: { name, company, email, phone, message } }
+ *   → 201 { id } | 400/422 { error, problems }
+ *
+ * The function looks the locations up by id in the map's own data - the
+ * sheet, read through the Sheets proxy, or the local fallback file if the
+ * sheet is unavailable - and takes names, categories, lead times and booking
+ * intervals from there. Values sent for them are ignored.
+ *
+ * Environment:
+ *   INQUIRY_STORE        - "file" or "webhook"; defaults to "file" under
+ *                          netlify dev, otherwise inquiries are refused (503)
+ *   INQUIRY_STORE_PATH   - file store: JSON file (default .data/inquiries.json)
+ *   INQUIRY_WEBHOOK_URL  - webhook store: URL the inquiry is POSTed to as JSON
+ *   GOOGLE_SHEETS_API_KEY and the other Sheets proxy variables (sheets.js)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const vm = require('vm');
+const BookingRules = require('../../media-maps/js/booking-rules.js');
+const sheets = require('./sheets.js');
+
+// Repository root; the configs and data read below are listed in
+// [functions] included_files in netlify.toml
+const ROOT = path.resolve(__dirname, '../..');
+
+const MAX_BODY_LENGTH = 100000;
+const MAX_LOCATIONS = 500;
+
+// Longest accepted text per field (longer values are rejected, not cut)
+const MAX_LENGTHS = {
+  short: 200,
+  message: 2000
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Stores keep an inquiry somewhere the sales team sees it. Each factory
+ * returns { save(inquiry) → Promise }; add one here to support another
+ * backend and select it with INQUIRY_STORE.
+ */
+const STORES = {
+  // Appends to a local JSON array - for development, the functions'
+  // filesystem is not persistent on Netlify
+  file() {
+    const filePath = path.resolve(process.env.INQUIRY_STORE_PATH || '.data/inquiries.json');
+    let queue = Promise.resolve();
+
+    const append = async (inquiry) => {
+      let inquiries = [];
+      try {
+        inquiries = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      inquiries.push(inquiry);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, `${JSON.stringify(inquiries, null, 2)}\n`);
+    };
+
+    return {
+      // One write at a time, so concurrent requests do not drop entries
+      save(inquiry) {
+        queue = queue.catch(() => {}).then(() => append(inquiry));
+        return queue;
+      }
+    };
+  },
+
+  // Forwards to a webhook (mail service, CRM, automation tool)
+  webhook() {
+    const url = process.env.INQUIRY_WEBHOOK_URL;
+    if (!url) throw new Error('INQUIRY_WEBHOOK_URL is not set');
+
+    return {
+      async save(inquiry) {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(inquiry)
+        });
+        if (!response.ok) throw new Error(`Webhook error: ${response.status}`);
+      }
+    };
+  }
+};
+
+/**
+ * Config of a live media map, run like in the browser (see
+ * scripts/validate-configs.js), with SheetsDataProcessor in its scope
+ * @param {string} city - City id in cities.json
+ * @returns {Promise<Object|null>} { config, context }, null for unknown maps
+ */
+async function loadMap(city) {
+  const { cities } = JSON.parse(await fs.readFile(path.join(ROOT, 'cities.json'), 'utf8'));
+  if (!cities.some((entry) => entry.id === city && entry.maps?.media === 'live')) return null;
+
+  const context = vm.createContext({ console, URLSearchParams });
+  context.window = context;
+  const runScript = async (file) => {
+    vm.runInContext(await fs.readFile(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  };
+
+  await runScript('media-maps/js/sheets-data-processor.js');
+  const before = new Set(Object.keys(context));
+  await runScript(`media-maps/config/${city}-media-config.js`);
+  const name = Object.keys(context).find((key) => !before.has(key));
+  return name ? { config: context[name], context } : null;
+}
+
+// City id → promise of loadMap(), kept for the function instance
+const maps = new Map();
+
+function getMap(city) {
+  if (!maps.has(city)) {
+    maps.set(city, loadMap(city).catch((error) => {
+      maps.delete(city);
+      throw error;
+    }));
+  }
+  return maps.get(city);
+}
+
+/**
+ * Locations of a map grouped by category, as the map loads them: from the
+ * sheet through the Sheets proxy (which caches it), else the fallback file
+ */
+async function readLocationData({ config, context }) {
+  const source = config.dataSources?.mediaLocations;
+  const sheet = source?.googleSheets;
+
+  if (sheet) {
+    const response = await sheets.handler({
+      httpMethod: 'GET',
+      queryStringParameters: { sheetId: sheet.sheetId, range: sheet.range },
+      headers: {}
+    });
+    if (response.statusCode === 200) {
+      const { values } = JSON.parse(response.body);
+      return context.SheetsDataProcessor.processSheetData(
+        values,
+        sheet.columns || context.SheetsDataProcessor.defaultColumns
+      );
+    }
+    console.warn(`Sheet unavailable (${response.statusCode}), using the fallback locations`);
+  }
+
+  const fallback = typeof source === 'string' ? source : source?.fallback;
+  if (!fallback) throw new Error('No location data configured');
+  // Relative to the map page, like in the browser
+  const file = path.resolve(ROOT, 'media-maps', fallback);
+  if (!file.startsWith(ROOT + path.sep)) throw new Error(`Fallback outside the site: ${fallback}`);
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+/**
+ * Locations of a map by id, with the fields an inquiry takes from the data
+ * @param {string} city - City id in cities.json
+ * @returns {Promise<Map|null>} id → { name, category, bookingInterval,
+ *   leadTime }, null for unknown maps
+ */
+async function loadLocations(city) {
+  const map = await getMap(city);
+  if (!map) return null;
+
+  const { intervalField = 'bookingInterval', leadTimeField = 'leadTime' } = map.config.inquiry || {};
+  const text = (value) => (value === undefined || value === null ? '' : String(value));
+  const locations = new Map();
+
+  // Same ids as the map (MediaMap.getLocationId)
+  const data = await readLocationData(map);
+  const duplicates = map.context.SheetsDataProcessor.assignLocationIds(data);
+  if (duplicates.length > 0) {
+    console.warn(`Locations of ${city} sharing an id, told apart by their order: ${duplicates.join(', ')}`);
+  }
+
+  Object.entries(data).forEach(([category, collection]) => {
+    (collection?.features || [])
+      .filter((feature) => feature.geometry?.type === 'Point')
+      .forEach((feature) => {
+        const { properties = {} } = feature;
+        locations.set(feature.id, {
+          name: text(properties.name),
+          category,
+          bookingInterval: text(properties[intervalField]),
+          leadTime: text(properties[leadTimeField])
+        });
+      });
+  });
+  return locations;
+}
+
+let store = null;
+
+/**
+ * Store selected by the environment, created once per function instance
+ * @returns {Object|null} Store, null if inquiries are not configured
+ */
+function getStore() {
+  const name = process.env.INQUIRY_STORE || (process.env.NETLIFY_DEV === 'true' ? 'file' : null);
+  if (!name) return null;
+  if (!STORES[name]) throw new Error(`Unknown inquiry store: ${name}`);
+
+  if (!store) store = STORES[name]();
+  return store;
+}
+
+function jsonResponse(statusCode, payload) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  };
+}
+
+/**
+ * Trimmed text of an optional field; problems are collected in `problems`
+ */
+function readText(problems, object, field, { required = false, maxLength = MAX_LENGTHS.short } = {}) {
+  const value = object?.[field];
+  if (value === undefined || value === null || value === '') {
+    if (required) problems.push({ code: 'required', field });
+    return '';
+  }
+  if (typeof value !== 'string' || value.trim().length > maxLength) {
+    problems.push({ code: 'invalid', field });
+    return '';
+  }
+  return value.trim();
+}
+
+/**
+ * Check an inquiry and bring it into the stored form
+ * @param {Object} payload - Parsed request body
+ * @param {string} today - "YYYY-MM-DD"
+ * @param {Map|null} knownLocations - The map's locations by id (see
+ *   loadLocations), null if the map is unknown
+ * @returns {{ inquiry: Object|null, problems: Array<Object> }}
+ */
+function validateInquiry(payload, today, knownLocations) {
+  const problems = [];
+
+  const city = readText(problems, payload, 'city', { required: true });
+  if (city && !knownLocations) {
+    problems.push({ code: 'invalid', field: 'city' });
+  }
+
+  const locations = Array.isArray(payload?.locations) ? payload.locations : [];
+  if (locations.length === 0 || locations.length > MAX_LOCATIONS) {
+    problems.push({ code: 'invalid', field: 'locations' });
+  }
+  const cleanLocations = locations.slice(0, MAX_LOCATIONS).map((location, index) => {
+    const fieldProblems = [];
+    const id = readText(fieldProblems, location, 'id', { required: true });
+    const district = readText(fieldProblems, location, 'district');
+    fieldProblems.forEach((problem) => {
+      problems.push({ ...problem, field: `locations[${index}].${problem.field}` });
+    });
+
+    // Booking rules from the data, never from the request
+    const known = id && knownLocations?.get(id);
+    if (id && knownLocations && !known) {
+      problems.push({ code: 'unknownLocation', id });
+    }
+    return { id, district, ...(known || { name: '', category: '', bookingInterval: '', leadTime: '' }) };
+  });
+
+  const contact = payload?.contact || {};
+  const cleanContact = {
+    name: readText(problems, contact, 'name', { required: true }),
+    company: readText(problems, contact, 'company'),
+    email: readText(problems, contact, 'email', { required: true }),
+    phone: readText(problems, contact, 'phone'),
+    message: readText(problems, contact, 'message', { maxLength: MAX_LENGTHS.message })
+  };
+  if (cleanContact.email && !EMAIL_PATTERN.test(cleanContact.email)) {
+    problems.push({ code: 'invalid', field: 'email' });
+  }
+
+  const readDate = (field) => {
+    const value = payload?.period?.[field];
+    return typeof value === 'string' ? value : '';
+  };
+  const period = { start: readDate('start'), end: readDate('end') };
+  problems.push(...BookingRules.checkPeriod(cleanLocations, period, today));
+
+  if (problems.length) return { inquiry: null, problems };
+
+  return {
+    problems,
+    inquiry: {
+      city,
+      map: readText([], payload, 'map'),
+      locale: readText([], payload, 'locale'),
+      period,
+      locations: cleanLocations,
+      contact: cleanContact
+    }
+  };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  if ((event.body || '').length > MAX_BODY_LENGTH) {
+    return jsonResponse(413, { error: 'Request too large' });
+  }
+
+  let payload;
+  try {
+    const body = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+    payload = JSON.parse(body);
+  } catch (error) {
+    return jsonResponse(400, { error: 'Invalid JSON' });
+  }
+
+  // Hidden form field only bots fill in: accept, but keep nothing
+  if (payload?.website) {
+    return jsonResponse(201, { id: crypto.randomUUID() });
+  }
+
+  let knownLocations = null;
+  const city = payload?.city;
+  if (typeof city === 'string' && /^[a-z0-9-]+$/.test(city)) {
+    try {
+      knownLocations = await loadLocations(city);
+    } catch (error) {
+      console.error('Locations could not be loaded:', error);
+      return jsonResponse(502, {
+        error: 'Bad gateway',
+        message: 'Could not load the locations'
+      });
+    }
+  }
+
+  const today = BookingRules.getToday();
+  const { inquiry, problems } = validateInquiry(payload, today, knownLocations);
+  if (!inquiry) {
+    return jsonResponse(422, { error: 'Invalid inquiry', problems });
+  }
+
+  let inquiryStore;
+  try {
+    inquiryStore = getStore();
+  } catch (error) {
+    console.error('Inquiry store error:', error);
+  }
+  if (!inquiryStore) {
+    return jsonResponse(503, { error: 'Inquiries are not configured' });
+  }
+
+  const id = crypto.randomUUID();
+  try {
+    await inquiryStore.save({ id, receivedAt: new Date().toISOString(), ...inquiry });
+  } catch (error) {
+    console.error('Inquiry could not be stored:', error);
+    return jsonResponse(502, {
+      error: 'Bad gateway',
+      message: 'Could not store the inquiry'
+    });
+  }
+
+  return jsonResponse(201, { id });
+};
+
+// Exposed for the tests (test/inquiry.test.js)
+exports.STORES = STORES;
+exports.validateInquiry = validateInquiry;
+exports.loadLocations = loadLocations;
+exports.resetStore = () => {
+  store = null;
+};
+exports.clearMaps = () => maps.clear();
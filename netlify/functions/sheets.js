@@ -0,0 +1,134 @@
+/**
+ * Netlify Function proxying Google Sheets reads
+ *
+ * Fetches an allow-listed sheet range server-side so the API key never
+ * reaches the browser. Responses are cached per sheet/range for the lifetime
+ * of the function instance and carry an ETag for conditional requests.
+ *
+ * GET /.netlify/functions/sheets?sheetId=<id>&range=<range>
+ *   → { range, values }
+ *
+ * Environment:
+ *   GOOGLE_SHEETS_API_KEY  - required
+ *   SHEETS_API_BASE_URL    - optional, point at a stub server for local testing
+ *   SHEETS_CACHE_TTL       - optional, cache lifetime in seconds (default 300)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_API_BASE_URL = 'https://sheets.googleapis.com/v4/spreadsheets';
+const DEFAULT_CACHE_TTL = 300;
+
+// Only these sheet ranges can be read through the proxy: the sheets in the
+// dataSources of the map configs
+// BEGIN sheets (generated by scripts/cities.js from the map configs)
+const ALLOWED_SOURCES = {
+  // Berlin city map
+  '16j8VuT1ziwtkP-M5uuhFg7Z0AWqkxlLDTCwmdTwIEVA': ['Berlin!A:F'],
+  // Berlin media map
+  '1ltHBwFfhnMvTEh1qzpZ6WFvMKBG9Q1v0358kyKSrLcg': ['Tabellenblatt1!A:K']
+};
+// END sheets
+
+// Per-instance response cache: "sheetId|range" → { body, etag, fetchedAt }
+const cache = new Map();
+
+function isAllowed(sheetId, range) {
+  const ranges = ALLOWED_SOURCES[sheetId];
+  return Array.isArray(ranges) && ranges.includes(range);
+}
+
+function getCacheTtl() {
+  const ttl = Number(process.env.SHEETS_CACHE_TTL);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_CACHE_TTL;
+}
+
+function jsonResponse(statusCode, payload, headers = {}) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: JSON.stringify(payload)
+  };
+}
+
+async function fetchSheetValues(sheetId, range, apiKey) {
+  const baseUrl = process.env.SHEETS_API_BASE_URL || DEFAULT_API_BASE_URL;
+  const url = `${baseUrl}/${encodeURIComponent(sheetId)}/values/${encodeURIComponent(range)}?key=${encodeURIComponent(apiKey)}`;
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    const error = new Error(`Google Sheets API error: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  return {
+    range: data.range || range,
+    values: Array.isArray(data.values) ? data.values : []
+  };
+}
+
+exports.handler = async (event) => {
+  // Only allow GET requests
+  if (event.httpMethod !== 'GET') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  const { sheetId, range } = event.queryStringParameters || {};
+  if (!sheetId || !range) {
+    return jsonResponse(400, { error: 'sheetId and range are required' });
+  }
+
+  if (!isAllowed(sheetId, range)) {
+    return jsonResponse(403, { error: 'Sheet range not allowed' });
+  }
+
+  const apiKey = process.env.GOOGLE_SHEETS_API_KEY;
+  if (!apiKey) {
+    return jsonResponse(503, { error: 'Google Sheets is not configured' });
+  }
+
+  const ttl = getCacheTtl();
+  const cacheKey = `${sheetId}|${range}`;
+  let entry = cache.get(cacheKey);
+
+  try {
+    if (!entry || Date.now() - entry.fetchedAt > ttl * 1000) {
+      const body = JSON.stringify(await fetchSheetValues(sheetId, range, apiKey));
+      const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+      entry = { body, etag, fetchedAt: Date.now() };
+      cache.set(cacheKey, entry);
+    }
+  } catch (error) {
+    console.error('Sheets proxy error:', error);
+
+    // Serve stale data rather than failing if we have any
+    if (!entry) {
+      return jsonResponse(502, {
+        error: 'Bad gateway',
+        message: 'Could not load sheet data'
+      });
+    }
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Cache-Control': `public, max-age=${ttl}`,
+    ETag: entry.etag
+  };
+
+  const ifNoneMatch = event.headers?.['if-none-match'] || event.headers?.['If-None-Match'];
+  if (ifNoneMatch === entry.etag) {
+    return { statusCode: 304, headers, body: '' };
+  }
+
+  return { statusCode: 200, headers, body: entry.body };
+};
+
+// Exposed for the tests (test/sheets.test.js)
+exports.ALLOWED_SOURCES = ALLOWED_SOURCES;
+exports.clearCache = () => cache.clear();
@@ -0,0 +1,523 @@
+#!/usr/bin/env node
+/**
+ * Data integrity check
+ *
+ * Cross-checks the configs of every live map in cities.json against the
+ * data they point to. Mismatches here do not fail in the browser - a
+ * district just stays grey, a route or a location just does not show - so
+ * they are easy to miss.
+ *
+ * City maps:
+ *   - district GeoJSON: every district has a name and a unique cartodb_id
+ *   - transportation.routesToDisplay names exist in the routes GeoJSON
+ *   - district stats export (--stats): every row's cartodb_id matches a
+ *     district (with the same name), and every district has a row
+ *
+ * Media maps:
+ *   - district GeoJSON: every district has a unique name
+ *   - districtSelection.districts, districtStatistics and any district radio
+ *     buttons in the page use the GeoJSON names
+ *   - corridor.lines names exist in the routes GeoJSON
+ *   - locations (the local fallback file, and the sheet export given with
+ *     --locations): valid rows, known categories, every point in a district
+ *
+ * Exports are the sheet downloaded as CSV, or the JSON returned by the
+ * Sheets proxy ({ "values": [...] }).
+ *
+ * Usage:
+ *   node scripts/check-data.js [city ids...] [--stats <export>] [--locations <export>]
+ *
+ * --stats and --locations need exactly one city id. Exit code 1 if any
+ * inconsistency is found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { runScript, loadConfigs } = require('./validate-configs');
+
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT, 'cities.json');
+
+const MAP_DIRS = {
+  city: 'city-maps',
+  media: 'media-maps'
+};
+
+// Columns of the district stats sheet read by InteractiveMap.parseDistrictStats
+const STATS_NUMBER_COLUMNS = ['population', 'area', 'adcount'];
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+/**
+ * Collects the problems of one map
+ */
+class Report {
+  constructor(title) {
+    this.title = title;
+    this.problems = [];
+    this.notes = [];
+  }
+
+  problem(message) {
+    this.problems.push(message);
+  }
+
+  note(message) {
+    this.notes.push(message);
+  }
+
+  print() {
+    const status = this.problems.length === 0 ? '✓' : '✗';
+    const log = this.problems.length === 0 ? console.log : console.error;
+    log(`${status} ${this.title}`);
+    this.notes.forEach((note) => log(`    ${note}`));
+    this.problems.forEach((problem) => log(`    ✗ ${problem}`));
+  }
+}
+
+/**
+ * Browser-like global scope; warnings (e.g. skipped sheet rows) are collected
+ */
+function createContext() {
+  const warnings = [];
+  const context = vm.createContext({
+    console: {
+      log() {},
+      info() {},
+      warn: (message) => warnings.push(String(message)),
+      error: (message) => warnings.push(String(message))
+    },
+    URLSearchParams
+  });
+  context.window = context;
+  context.warnings = warnings;
+  runScript(context, 'media-maps/js/sheets-data-processor.js');
+  runScript(context, 'shared/js/geo-utils.js');
+  return context;
+}
+
+function loadConfig(context, type, id) {
+  const file = `${MAP_DIRS[type]}/config/${id}-${type}-config.js`;
+  if (!fs.existsSync(path.join(ROOT, file))) {
+    throw new Error(`${file} does not exist`);
+  }
+  const [entry] = loadConfigs(context, file);
+  if (!entry) {
+    throw new Error(`${file} does not export a config on window`);
+  }
+  return entry.config;
+}
+
+/**
+ * Read a local data source (path relative to the map page). Remote sources
+ * are skipped.
+ */
+function readDataSource(report, type, source, what) {
+  if (!source) return null;
+  if (/^https?:\/\//.test(source)) {
+    report.note(`${what} is remote (${source}), not checked`);
+    return null;
+  }
+
+  const file = path.join(ROOT, MAP_DIRS[type], source);
+  const relative = path.relative(ROOT, file);
+  if (!fs.existsSync(file)) {
+    report.problem(`${what}: ${relative} does not exist`);
+    return null;
+  }
+
+  try {
+    return { data: JSON.parse(fs.readFileSync(file, 'utf8')), file: relative };
+  } catch (error) {
+    report.problem(`${what}: ${relative} is not valid JSON - ${error.message}`);
+    return null;
+  }
+}
+
+function readGeoJson(report, type, source, what) {
+  const result = readDataSource(report, type, source, what);
+  if (!result) return null;
+
+  if (result.data?.type !== 'FeatureCollection' || !Array.isArray(result.data.features)) {
+    report.problem(`${what}: ${result.file} is not a GeoJSON FeatureCollection`);
+    return null;
+  }
+  return result;
+}
+
+/**
+ * Read a sheet export as rows of cells (header row first)
+ */
+function readSheetExport(file) {
+  const text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+
+  if (/^\s*[[{]/.test(text)) {
+    const data = JSON.parse(text);
+    const values = Array.isArray(data) ? data : data.values;
+    if (!Array.isArray(values)) {
+      throw new Error('JSON export must be an array of rows or have a "values" array');
+    }
+    return values;
+  }
+
+  return parseCsv(text);
+}
+
+/**
+ * Minimal CSV parser: quoted fields, "" escapes, comma or semicolon
+ * delimiter (whichever the header row uses)
+ */
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+// ---------------------------------------------------------------------------
+// Checks
+// ---------------------------------------------------------------------------
+
+/**
+ * District names and ids; returns the districts by name and by cartodb_id
+ */
+function checkDistricts(report, { data, file }, { requireId }) {
+  const byName = new Map();
+  const byId = new Map();
+
+  data.features.forEach((feature, index) => {
+    const { name, cartodb_id: id } = feature.properties || {};
+    const label = name ? `"${name}"` : `#${index + 1}`;
+
+    if (!['Polygon', 'MultiPolygon'].includes(feature.geometry?.type)) {
+      report.problem(`${file}: district ${label} is not a Polygon or MultiPolygon`);
+    }
+
+    if (!name) {
+      report.problem(`${file}: district ${label} has no name`);
+    } else if (byName.has(name)) {
+      report.problem(`${file}: district name "${name}" is used twice`);
+    } else {
+      byName.set(name, feature);
+    }
+
+    if (id === undefined || id === null || id === '') {
+      if (requireId) report.problem(`${file}: district ${label} has no cartodb_id`);
+    } else if (byId.has(String(id))) {
+      report.problem(`${file}: cartodb_id ${id} is used by ${byId.get(String(id)).properties.name} and ${label}`);
+    } else {
+      byId.set(String(id), feature);
+    }
+  });
+
+  report.note(`${file}: ${data.features.length} districts`);
+  return { byName, byId };
+}
+
+function checkRoutes(report, routes, lines, where) {
+  const names = new Set(routes.data.features.map((feature) => feature.properties?.route_name));
+  const unnamed = routes.data.features.filter((feature) => !feature.properties?.route_name).length;
+
+  if (unnamed > 0) {
+    report.note(`${routes.file}: ${unnamed} route segment(s) have no route_name and are never shown`);
+  }
+
+  lines.forEach((route) => {
+    if (!names.has(route)) {
+      report.problem(`${where}: "${route}" is not a route_name in ${routes.file}`);
+    }
+  });
+
+  report.note(`${routes.file}: ${routes.data.features.length} route segments, ${names.size} routes`);
+}
+
+/**
+ * Match district stats rows to districts by cartodb_id, as the city map does
+ */
+function checkDistrictStats(report, values, file, districts) {
+  const [headers = [], ...rows] = values;
+  const colIndex = Object.fromEntries(headers.map((header, index) => [String(header).trim().toLowerCase(), index]));
+
+  if (colIndex.cartodb_id === undefined) {
+    report.problem(`${file}: has no cartodb_id column`);
+    return;
+  }
+  STATS_NUMBER_COLUMNS.forEach((column) => {
+    if (colIndex[column] === undefined) report.problem(`${file}: has no ${column} column`);
+  });
+
+  const seen = new Set();
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const id = String(row[colIndex.cartodb_id] ?? '').trim();
+    const name = colIndex.name === undefined ? '' : String(row[colIndex.name] ?? '').trim();
+    const label = name ? ` ("${name}")` : '';
+
+    if (!id) {
+      report.problem(`${file} row ${rowNumber}${label}: has no cartodb_id and is ignored`);
+      return;
+    }
+    if (seen.has(id)) {
+      report.problem(`${file} row ${rowNumber}: cartodb_id ${id} appears more than once`);
+    }
+    seen.add(id);
+
+    const district = districts.byId.get(id);
+    if (!district) {
+      report.problem(`${file} row ${rowNumber}: cartodb_id ${id}${label} matches no district`);
+    } else if (name && name !== district.properties.name) {
+      report.problem(`${file} row ${rowNumber}: cartodb_id ${id} is "${district.properties.name}" in the GeoJSON, but "${name}" here`);
+    }
+
+    STATS_NUMBER_COLUMNS.forEach((column) => {
+      const value = String(row[colIndex[column]] ?? '').trim();
+      if (colIndex[column] !== undefined && value !== '' && !Number.isFinite(Number(value))) {
+        report.problem(`${file} row ${rowNumber}: ${column} "${value}" is not a number`);
+      }
+    });
+  });
+
+  districts.byId.forEach((district, id) => {
+    if (!seen.has(id)) {
+      report.problem(`${file}: no row for district "${district.properties.name}" (cartodb_id ${id})`);
+    }
+  });
+
+  report.note(`${file}: ${rows.length} rows`);
+}
+
+function checkDistrictNames(report, names, where, districts) {
+  names.forEach((name) => {
+    if (!districts.byName.has(name)) {
+      report.problem(`${where}: "${name}" is not a district in the GeoJSON`);
+    }
+  });
+}
+
+/**
+ * District radio buttons written into the page by hand (normally they are
+ * rendered from districtSelection.districts)
+ */
+function checkPageDistricts(report, id, config, districts) {
+  const page = `${MAP_DIRS.media}/${id}.html`;
+  const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+  const containerId = config.districtSelection?.containerId;
+
+  if (config.features?.showDistrictSelection !== false && containerId &&
+      !new RegExp(`id=["']${containerId}["']`).test(html)) {
+    report.problem(`districtSelection.containerId: ${page} has no element with id "${containerId}"`);
+  }
+
+  const radios = html.match(/<input\b[^>]*type=["']radio["'][^>]*>/g) || [];
+  const values = radios
+    .map((tag) => (tag.match(/\bvalue=["']([^"']*)["']/) || [])[1])
+    .filter(Boolean);
+  checkDistrictNames(report, values, `${page} district radio button`, districts);
+}
+
+/**
+ * Locations grouped by category (the fallback file / processed sheet format)
+ */
+function checkLocations(report, data, file, config, districts) {
+  const categories = config.advertisingTypes || {};
+  let count = 0;
+
+  Object.entries(data).forEach(([group, collection]) => {
+    (collection?.features || []).forEach((feature) => {
+      const { name = '(unnamed)', category = group } = feature.properties || {};
+      const [lng, lat] = feature.geometry?.coordinates || [];
+      const label = `location "${name}"`;
+      count++;
+
+      if (!categories[category]) {
+        report.problem(`${file}: ${label} has category "${category}", which is not in advertisingTypes`);
+      }
+      if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        report.problem(`${file}: ${label} has invalid coordinates`);
+        return;
+      }
+      if (!districts.index.findFeature([lng, lat])) {
+        report.problem(`${file}: ${label} at ${lat}, ${lng} lies in no district`);
+      }
+    });
+  });
+
+  report.note(`${file}: ${count} locations`);
+}
+
+// ---------------------------------------------------------------------------
+// Maps
+// ---------------------------------------------------------------------------
+
+function checkCityMap(context, id, options) {
+  const report = new Report(`${id} city map`);
+  const config = loadConfig(context, 'city', id);
+
+  const districtData = readGeoJson(report, 'city', config.dataSources?.districts, 'dataSources.districts');
+  const districts = districtData && checkDistricts(report, districtData, { requireId: true });
+
+  const routes = readGeoJson(report, 'city', config.dataSources?.transportation, 'dataSources.transportation');
+  if (routes) {
+    checkRoutes(report, routes, config.transportation?.routesToDisplay || [], 'transportation.routesToDisplay');
+  }
+
+  if (options.stats && districts) {
+    const file = options.stats;
+    checkDistrictStats(report, readSheetExport(options.stats), file, districts);
+  } else if (!options.stats) {
+    report.note('district stats not checked (pass a sheet export with --stats)');
+  }
+
+  return report;
+}
+
+function checkMediaMap(context, id, options) {
+  const report = new Report(`${id} media map`);
+  const config = loadConfig(context, 'media', id);
+
+  const districtData = readGeoJson(report, 'media', config.dataSources?.districts, 'dataSources.districts');
+  if (!districtData) return report;
+  const districts = checkDistricts(report, districtData, { requireId: false });
+  districts.index = context.GeoUtils.createFeatureIndex([...districts.byName.values()]);
+
+  checkDistrictNames(report, config.districtSelection?.districts || [], 'districtSelection.districts', districts);
+  checkDistrictNames(report, Object.keys(config.districtStatistics || {}), 'districtStatistics', districts);
+  checkPageDistricts(report, id, config, districts);
+
+  const routes = readGeoJson(report, 'media', config.dataSources?.transportation, 'dataSources.transportation');
+  if (routes) checkRoutes(report, routes, config.corridor?.lines || [], 'corridor.lines');
+
+  const source = config.dataSources?.mediaLocations;
+  const fallback = typeof source === 'string' ? source : source?.fallback;
+  const fallbackData = readDataSource(report, 'media', fallback, 'mediaLocations fallback');
+  if (fallbackData) {
+    checkLocations(report, fallbackData.data, fallbackData.file, config, districts);
+  }
+
+  if (options.locations) {
+    const file = options.locations;
+    const columns = source?.googleSheets?.columns || context.SheetsDataProcessor.defaultColumns;
+    context.warnings.length = 0;
+    const data = context.SheetsDataProcessor.processSheetData(readSheetExport(options.locations), columns);
+    context.warnings.forEach((warning) => report.problem(`${file}: ${warning}`));
+    checkLocations(report, data, file, config, districts);
+  } else if (source?.googleSheets) {
+    report.note('Google Sheets locations not checked (pass a sheet export with --locations)');
+  }
+
+  return report;
+}
+
+const CHECKS = {
+  city: checkCityMap,
+  media: checkMediaMap
+};
+
+// ---------------------------------------------------------------------------
+// Command line
+// ---------------------------------------------------------------------------
+
+function parseArgs(args) {
+  const ids = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else {
+      ids.push(args[i]);
+    }
+  }
+
+  return { ids, options };
+}
+
+const USAGE = 'Usage: node scripts/check-data.js [city ids...] [--stats <export>] [--locations <export>]';
+
+function main() {
+  const { ids, options } = parseArgs(process.argv.slice(2));
+  const unknownOption = Object.keys(options).find((key) => !['stats', 'locations'].includes(key));
+  const missingValue = Object.keys(options).find((key) => !options[key]);
+
+  if (unknownOption || missingValue || ((options.stats || options.locations) && ids.length !== 1)) {
+    console.error(USAGE);
+    console.error('--stats and --locations need exactly one city id');
+    process.exit(1);
+  }
+
+  const { cities } = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+  const unknownId = ids.find((id) => !cities.some((city) => city.id === id));
+  if (unknownId) {
+    console.error(`Unknown city "${unknownId}" (see cities.json)`);
+    process.exit(1);
+  }
+
+  const context = createContext();
+  let problems = 0;
+
+  cities
+    .filter((city) => ids.length === 0 || ids.includes(city.id))
+    .forEach((city) => {
+      Object.entries(city.maps || {})
+        .filter(([, status]) => status === 'live')
+        .forEach(([type]) => {
+          let report;
+          try {
+            report = CHECKS[type](context, city.id, options);
+          } catch (error) {
+            report = new Report(`${city.id} ${type} map`);
+            report.problem(error.message);
+          }
+          report.print();
+          problems += report.problems.length;
+        });
+    });
+
+  if (problems > 0) {
+    console.error(`\n${problems} problem(s) found`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,723 @@
+#!/usr/bin/env node
+/**
+ * City registry
+ *
+ * cities.json is the single list of cities and their maps. Each map type is
+ * either "live" (page exists) or "planned" (listed as in construction). This
+ * command scaffolds new map pages and regenerates everything that lists the
+ * cities: the redirects in netlify.toml, the landing page in index.html and
+ * the precache list of the service worker (sw.js).
+ *
+ * Usage:
+ *   node scripts/cities.js create <id> --name <Name> --center <lat,lng>
+ *     [--zoom 11] [--maps city,media]
+ *   node scripts/cities.js sync [--check]
+ *
+ * create adds the city to cities.json (or makes a planned map live), writes
+ * <type>-maps/<id>.html and <type>-maps/config/<id>-<type>-config.js per map
+ * type from the Berlin pages, then runs sync. Existing files are never
+ * overwritten.
+ *
+ * sync rewrites the generated blocks in netlify.toml, index.html, sw.js and
+ * netlify/functions/sheets.js (the sheet ranges the Sheets proxy may read,
+ * taken from the dataSources of the live maps' configs). With --check nothing is written; the exit code is 1 if a block is out of
+ * date - also after adding, removing or changing a precached file (shared
+ * files, map scripts, pages), as the worker's cache version hashes them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { loadConfigs } = require('./validate-configs.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT, 'cities.json');
+const TEMPLATE_CITY = 'berlin';
+
+const MAP_TYPES = {
+  city: {
+    dir: 'city-maps',
+    redirectComment: 'City Maps (districts and transportation)',
+    getSheets: (config) => [config.dataSources?.districtStatsSheet]
+  },
+  media: {
+    dir: 'media-maps',
+    redirectComment: 'Media Maps (advertising locations)',
+    getSheets: (config) => [config.dataSources?.mediaLocations?.googleSheets]
+  }
+};
+
+const STATUSES = ['live', 'planned'];
+
+const GENERATED_NOTE = 'generated by scripts/cities.js from cities.json';
+
+// ---------------------------------------------------------------------------
+// Manifest
+// ---------------------------------------------------------------------------
+
+function readManifest() {
+  return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+}
+
+function writeManifest(manifest) {
+  fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+/**
+ * Check the manifest, returning a list of problems (empty if valid)
+ */
+function validateManifest(manifest) {
+  const errors = [];
+  const ids = new Set();
+
+  if (!Array.isArray(manifest?.cities)) {
+    return ['cities.json must contain a "cities" array'];
+  }
+
+  manifest.cities.forEach((city, index) => {
+    const where = city?.id ? `City "${city.id}"` : `City #${index + 1}`;
+
+    if (!/^[a-z][a-z0-9-]*$/.test(city?.id || '')) {
+      errors.push(`${where}: id must be lowercase letters, digits and dashes`);
+    } else if (ids.has(city.id)) {
+      errors.push(`${where}: duplicate id`);
+    }
+    ids.add(city?.id);
+
+    if (typeof city?.name !== 'string' || !city.name.trim()) {
+      errors.push(`${where}: name is required`);
+    }
+    if (!isLatLng(city?.center)) {
+      errors.push(`${where}: center must be [lat, lng]`);
+    }
+
+    Object.entries(city?.maps || {}).forEach(([type, status]) => {
+      if (!MAP_TYPES[type]) {
+        errors.push(`${where}: unknown map type "${type}"`);
+      } else if (!STATUSES.includes(status)) {
+        errors.push(`${where}: ${type} map status must be one of ${STATUSES.join(', ')}`);
+      } else if (status === 'live' && !fs.existsSync(path.join(ROOT, getPagePath(city.id, type)))) {
+        errors.push(`${where}: ${type} map is live but ${getPagePath(city.id, type)} does not exist`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+function isLatLng(value) {
+  return Array.isArray(value) &&
+    value.length === 2 &&
+    value.every(Number.isFinite) &&
+    Math.abs(value[0]) <= 90 &&
+    Math.abs(value[1]) <= 180;
+}
+
+// ---------------------------------------------------------------------------
+// Names and paths
+// ---------------------------------------------------------------------------
+
+/**
+ * Identifier forms of a city id: "frankfurt-am-main" → FrankfurtAmMain
+ */
+function getIdentifiers(id) {
+  const pascal = id
+    .split('-')
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+  return { pascal, camel: pascal.charAt(0).toLowerCase() + pascal.slice(1) };
+}
+
+function getPagePath(id, type) {
+  return `${MAP_TYPES[type].dir}/${id}.html`;
+}
+
+function getConfigPath(id, type) {
+  return `${MAP_TYPES[type].dir}/config/${id}-${type}-config.js`;
+}
+
+// ---------------------------------------------------------------------------
+// Scaffolding
+// ---------------------------------------------------------------------------
+
+/**
+ * Turn the Berlin page into the page of another city
+ */
+function renderPage(templateHtml, city) {
+  const { pascal, camel } = getIdentifiers(city.id);
+  const template = getIdentifiers(TEMPLATE_CITY);
+
+  return templateHtml
+    .replace(new RegExp(`\\b${template.pascal}(?=[A-Z])`, 'g'), pascal)
+    .replace(new RegExp(`\\b${template.camel}(?=[A-Z])`, 'g'), camel)
+    .replace(new RegExp(`\\b${TEMPLATE_CITY}-`, 'g'), `${city.id}-`)
+    .replace(new RegExp(`\\b${template.pascal}\\b`, 'g'), escapeHtml(city.name));
+}
+
+function renderCityConfig(city) {
+  const { pascal } = getIdentifiers(city.id);
+  const configName = `${pascal}CityConfig`;
+
+  return `/**
+ * ${city.name} City Map Configuration
+ *
+ * Created by scripts/cities.js. Add the district boundaries (GeoJSON with a
+ * "name" property per district) and enable more features as data arrives.
+ */
+
+const ${configName} = {
+  // Map settings
+  center: [${city.center.join(', ')}],
+  zoom: ${city.zoom},
+  minZoom: ${city.zoom - 1},
+  maxZoom: ${city.zoom + 3},
+  containerId: "map",
+
+  // Data sources
+  dataSources: {
+    districts: "../shared/data/geojson/${city.id}_districts.geojson",
+    transportation: null, // e.g. "../shared/data/geojson/${city.id}_routes.geojson"
+    districtStats: null, // Set by setupGoogleSheets once a sheet is configured
+    districtStatsSheet: null, // { sheetId, range }, then run scripts/cities.js sync
+  },
+
+  // Transportation routes to display
+  transportation: {
+    routesToDisplay: [],
+    routeColors: {},
+  },
+
+  // Languages - texts not listed here come from shared/js/locales
+  i18n: {
+    defaultLocale: "de",
+    locales: ["de", "en"],
+    messages: {
+      de: { title: ${JSON.stringify(`${city.name} Stadtkarte`)} },
+      en: { title: ${JSON.stringify(`${city.name} City Map`)} },
+    },
+  },
+
+  // Feature flags
+  features: {
+    showTransportation: false,
+    showDistrictStats: true, // Only used once districtStats is set
+    showChoropleth: false,
+    enableScrollZoom: true,
+    showDistrictInfo: true,
+    showLanguageSwitch: true,
+    showTransitLegend: true,
+    showPrint: true,
+  },
+
+  // Sites allowed to control the map when embedding it (keep in sync with
+  // the frame-ancestors CSP in netlify.toml)
+  embed: {
+    allowedOrigins: [],
+  },
+
+  // Performance settings
+  performance: {
+    debounceTime: 250,
+    throttleTime: 100,
+  },
+};
+
+// District statistics from the Google Sheet in dataSources.districtStatsSheet
+${configName}.setupGoogleSheets = async function () {
+  const sheet = this.dataSources.districtStatsSheet;
+  if (!sheet) return null;
+
+  await EnvLoader.load();
+  const url = EnvLoader.buildSheetsUrl(sheet.sheetId, sheet.range);
+  if (url) {
+    this.dataSources.districtStats = url;
+    console.log(${JSON.stringify(`Google Sheets configured for ${city.name} district stats`)});
+  }
+
+  return url;
+};
+
+// Export configuration
+window.${configName} = ${configName};
+`;
+}
+
+function renderMediaConfig(city) {
+  const { pascal } = getIdentifiers(city.id);
+  const configName = `${pascal}MediaConfig`;
+
+  return `/**
+ * ${city.name} Media Locations Map Configuration
+ *
+ * Created by scripts/cities.js. Add the location data and the advertising
+ * categories it uses; see media-maps/config/berlin-media-config.js for a
+ * complete example including Google Sheets columns.
+ */
+
+const ${configName} = {
+  // Map settings
+  map: {
+    center: [${city.center.join(', ')}],
+    zoom: ${city.zoom},
+    minZoom: ${city.zoom - 1},
+    maxZoom: 19,
+    containerId: "map",
+  },
+
+  // Data sources
+  dataSources: {
+    // GeoJSON FeatureCollections keyed by category (same shape as
+    // standort_daten.json); add googleSheets here to load from a sheet
+    mediaLocations: {
+      fallback: "../shared/data/geojson/${city.id}_standorte.json",
+    },
+    districts: "../shared/data/geojson/${city.id}_districts.geojson",
+  },
+
+  // Advertising categories (keys must match the Werbeträger values in the
+  // data), e.g. Großfläche: { color: "#9467bd", visible: true }
+  advertisingTypes: {},
+
+  // District selector shown above the map (empty: GeoJSON order)
+  districtSelection: {
+    containerId: "district-selector",
+    districts: [],
+  },
+
+  // Languages - texts not listed here come from shared/js/locales
+  i18n: {
+    defaultLocale: "de",
+    locales: ["de", "en"],
+    messages: {
+      de: { title: ${JSON.stringify(`${city.name} Werbestandorte`)} },
+      en: { title: ${JSON.stringify(`${city.name} Media Locations`)} },
+    },
+  },
+
+  // Location popup template (values are escaped, image URLs sanitised)
+  popup: {
+    titleField: "name",
+    fields: [
+      { field: "category", label: { de: "Werbeträger", en: "Category" } },
+      { field: "location", label: { de: "Ort", en: "Location" } },
+      { field: "site", label: { de: "Standort", en: "Site" } },
+      { field: "dimensions", label: { de: "Maße", en: "Dimensions" } },
+    ],
+    imageFields: ["image1", "image2"],
+  },
+
+  // Attribute filters (combined with the category checkboxes)
+  filters: {
+    fields: [{ field: "district", label: { de: "Bezirk", en: "District" } }],
+    position: "topright",
+  },
+
+  // Export of the shown locations (semicolons for German spreadsheet apps)
+  export: {
+    formats: ["csv", "geojson", "kml"],
+    fileName: ${JSON.stringify(`${city.id}-werbestandorte`)},
+    csvDelimiter: ";",
+    position: "topleft",
+  },
+
+  // Campaign shortlist, stored per city in the browser
+  shortlist: {
+    summaryFields: ["district"],
+    storageKey: ${JSON.stringify(`${city.id}-merkliste`)},
+    position: "topright",
+  },
+
+  // Booking inquiries for the shortlisted locations
+  inquiry: {
+    city: ${JSON.stringify(city.id)},
+    endpoint: "/api/inquiry",
+  },
+
+  // Feature flags
+  features: {
+    showDistrictSelection: true,
+    enableScrollZoom: true,
+    showLoadingIndicator: true,
+    showPopups: true,
+    enableClustering: true,
+    showSearch: true,
+    showFilters: true,
+    showExport: true,
+    showLanguageSwitch: true,
+    showCorridor: false, // Needs dataSources.transportation (routes GeoJSON)
+    showAreaSelection: true,
+    showHeatmap: true,
+    showPrint: true,
+    showShortlist: true,
+    showInquiry: true, // Needs INQUIRY_STORE on Netlify (docs/SETUP.md)
+  },
+
+  // Sites allowed to control the map when embedding it (keep in sync with
+  // the frame-ancestors CSP in netlify.toml)
+  embed: {
+    allowedOrigins: [],
+  },
+};
+
+// Export configuration
+window.${configName} = ${configName};
+`;
+}
+
+const CONFIG_RENDERERS = {
+  city: renderCityConfig,
+  media: renderMediaConfig
+};
+
+/**
+ * Add or update a city in the manifest and write its pages and configs
+ */
+function createCity(id, options) {
+  const manifest = readManifest();
+  const existing = manifest.cities.find((city) => city.id === id);
+  const types = (options.maps || 'city,media').split(',').map((type) => type.trim());
+
+  const unknownType = types.find((type) => !MAP_TYPES[type]);
+  if (unknownType) {
+    throw new Error(`Unknown map type "${unknownType}" (use ${Object.keys(MAP_TYPES).join(', ')})`);
+  }
+
+  const city = existing || { id, maps: {} };
+  if (options.name) city.name = options.name;
+  if (options.center) city.center = options.center.split(',').map(Number);
+  if (options.zoom) city.zoom = Number(options.zoom);
+  if (!Number.isFinite(city.zoom)) city.zoom = 11;
+
+  const files = types.flatMap((type) => [getPagePath(id, type), getConfigPath(id, type)]);
+  const existingFile = files.find((file) => fs.existsSync(path.join(ROOT, file)));
+  if (existingFile) {
+    throw new Error(`${existingFile} already exists`);
+  }
+
+  // Validate before writing anything (pages do not exist yet, so check as planned)
+  types.forEach((type) => {
+    city.maps[type] = 'planned';
+  });
+  if (!existing) manifest.cities.push(city);
+  const errors = validateManifest(manifest);
+  if (errors.length) {
+    throw new Error(errors.join('\n'));
+  }
+
+  types.forEach((type) => {
+    const { dir } = MAP_TYPES[type];
+    const templateHtml = fs.readFileSync(path.join(ROOT, dir, `${TEMPLATE_CITY}.html`), 'utf8');
+
+    fs.writeFileSync(path.join(ROOT, getPagePath(id, type)), renderPage(templateHtml, city));
+    fs.writeFileSync(path.join(ROOT, getConfigPath(id, type)), CONFIG_RENDERERS[type](city));
+    city.maps[type] = 'live';
+    console.log(`Created ${getPagePath(id, type)} and ${getConfigPath(id, type)}`);
+  });
+
+  writeManifest(manifest);
+  sync({ check: false });
+}
+
+// ---------------------------------------------------------------------------
+// Generated blocks
+// ---------------------------------------------------------------------------
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderRedirects(manifest) {
+  return Object.entries(MAP_TYPES)
+    .map(([type, { dir, redirectComment }]) => {
+      const rules = manifest.cities
+        .filter((city) => city.maps?.[type] === 'live')
+        .map((city) => [
+          '[[redirects]]',
+          `  from = "/${dir}/${city.id}"`,
+          `  to = "/${dir}/${city.id}.html"`,
+          '  status = 200'
+        ].join('\n'));
+      return [`# ${redirectComment}`, rules.join('\n\n')].join('\n');
+    })
+    .join('\n\n');
+}
+
+/**
+ * Landing page list items for one map type, indented like index.html
+ */
+function renderLandingList(manifest, type) {
+  const indent = ' '.repeat(14);
+  const items = manifest.cities
+    .filter((city) => city.maps?.[type])
+    .map((city) => {
+      const name = escapeHtml(city.name);
+      if (city.maps[type] === 'planned') {
+        return `<li>${name} - in construction</li>`;
+      }
+      return [
+        '<li style="margin-bottom: 0.5rem">',
+        '  <a',
+        `    href="${getPagePath(city.id, type)}"`,
+        '    style="',
+        '      color: var(--accent);',
+        '      text-decoration: none;',
+        '      font-weight: 500;',
+        '    "',
+        '  >',
+        `    ${name}`,
+        '  </a>',
+        '</li>'
+      ].join('\n');
+    });
+
+  return items
+    .join('\n')
+    .split('\n')
+    .map((line) => indent + line)
+    .join('\n');
+}
+
+/**
+ * Files the service worker caches on install: the landing page, everything
+ * in shared/, the scripts and styles of the map types and the page and
+ * config of every live map
+ */
+function getPrecacheFiles(manifest) {
+  const listFiles = (dir, extensions) => {
+    const fullDir = path.join(ROOT, dir);
+    if (!fs.existsSync(fullDir)) return [];
+
+    return fs.readdirSync(fullDir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .flatMap((entry) => {
+        const file = `${dir}/${entry.name}`;
+        if (entry.isDirectory()) return listFiles(file, extensions);
+        return extensions.includes(path.extname(entry.name)) ? [file] : [];
+      });
+  };
+
+  const liveTypes = Object.keys(MAP_TYPES)
+    .filter((type) => manifest.cities.some((city) => city.maps?.[type] === 'live'));
+
+  const files = [
+    'index.html',
+    'manifest.webmanifest',
+    ...listFiles('shared', ['.js', '.css', '.json', '.geojson', '.svg']),
+    ...liveTypes.flatMap((type) => [
+      ...listFiles(`${MAP_TYPES[type].dir}/js`, ['.js']),
+      ...listFiles(`${MAP_TYPES[type].dir}/css`, ['.css'])
+    ]),
+    ...manifest.cities.flatMap((city) => liveTypes
+      .filter((type) => city.maps?.[type] === 'live')
+      .flatMap((type) => [getPagePath(city.id, type), getConfigPath(city.id, type)]))
+  ];
+
+  return files;
+}
+
+/**
+ * Cache version and precache list of the service worker. The version is a
+ * hash of the worker's own code (workerCode, without this block) and of the
+ * precached files, so every change to them ships as a new worker.
+ */
+function renderPrecacheBlock(manifest, workerCode) {
+  const files = getPrecacheFiles(manifest);
+  const hash = crypto.createHash('sha256').update(workerCode);
+  files.forEach((file) => {
+    hash.update(`\0${file}\0`).update(fs.readFileSync(path.join(ROOT, file)));
+  });
+
+  return [
+    `const CACHE_VERSION = '${hash.digest('hex').slice(0, 12)}';`,
+    '',
+    'const PRECACHE_URLS = [',
+    ['./', ...files.map((file) => `./${file}`)].map((url) => `  '${url}'`).join(',\n'),
+    '];'
+  ].join('\n');
+}
+
+/**
+ * Sheet ranges the Sheets proxy may read (ALLOWED_SOURCES in
+ * netlify/functions/sheets.js): the sheets in the configs of the live maps
+ */
+function renderSheetSources(manifest) {
+  const sources = new Map();
+
+  manifest.cities.forEach((city) => {
+    Object.entries(MAP_TYPES)
+      .filter(([type]) => city.maps?.[type] === 'live')
+      .forEach(([type, { getSheets }]) => {
+        const file = getConfigPath(city.id, type);
+        const context = vm.createContext({ console, URLSearchParams });
+        context.window = context;
+
+        loadConfigs(context, file).forEach(({ config }) => {
+          getSheets(config).filter(Boolean).forEach(({ sheetId, range }) => {
+            if (typeof sheetId !== 'string' || typeof range !== 'string') {
+              throw new Error(`${file}: a Google Sheet needs a sheetId and a range`);
+            }
+            const source = sources.get(sheetId) || { ranges: [], maps: [] };
+            if (!source.ranges.includes(range)) source.ranges.push(range);
+            source.maps.push(`${city.name} ${type} map`);
+            sources.set(sheetId, source);
+          });
+        });
+      });
+  });
+
+  const quote = (value) => `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  const entries = [...sources].map(([sheetId, { ranges, maps }]) =>
+    `  // ${maps.join(', ')}\n  ${quote(sheetId)}: [${ranges.map(quote).join(', ')}]`
+  );
+  return ['const ALLOWED_SOURCES = {', entries.join(',\n'), '};'].join('\n');
+}
+
+/**
+ * Replace the text between two marker lines, keeping the markers
+ */
+function replaceBlock(text, begin, end, content, fileName) {
+  const start = text.indexOf(begin);
+  const stop = text.indexOf(end, start);
+  if (start === -1 || stop === -1) {
+    throw new Error(`${fileName}: markers "${begin}" / "${end}" not found`);
+  }
+
+  const blockStart = text.indexOf('\n', start) + 1;
+  const blockEnd = text.lastIndexOf('\n', stop) + 1;
+  return text.slice(0, blockStart) + content + '\n' + text.slice(blockEnd);
+}
+
+function getGeneratedFiles(manifest) {
+  const netlifyPath = path.join(ROOT, 'netlify.toml');
+  const indexPath = path.join(ROOT, 'index.html');
+  const swPath = path.join(ROOT, 'sw.js');
+  const sheetsPath = path.join(ROOT, 'netlify/functions/sheets.js');
+
+  const netlify = replaceBlock(
+    fs.readFileSync(netlifyPath, 'utf8'),
+    `# BEGIN cities (${GENERATED_NOTE})`,
+    '# END cities',
+    renderRedirects(manifest),
+    'netlify.toml'
+  );
+
+  let index = fs.readFileSync(indexPath, 'utf8');
+  Object.keys(MAP_TYPES).forEach((type) => {
+    index = replaceBlock(
+      index,
+      `<!-- BEGIN cities:${type} (${GENERATED_NOTE}) -->`,
+      `<!-- END cities:${type} -->`,
+      renderLandingList(manifest, type),
+      'index.html'
+    );
+  });
+
+  const swText = fs.readFileSync(swPath, 'utf8');
+  const swMarkers = [`// BEGIN precache (${GENERATED_NOTE})`, '// END precache'];
+  const sw = replaceBlock(
+    swText,
+    ...swMarkers,
+    renderPrecacheBlock(manifest, replaceBlock(swText, ...swMarkers, '', 'sw.js')),
+    'sw.js'
+  );
+
+  const sheets = replaceBlock(
+    fs.readFileSync(sheetsPath, 'utf8'),
+    '// BEGIN sheets (generated by scripts/cities.js from the map configs)',
+    '// END sheets',
+    renderSheetSources(manifest),
+    'netlify/functions/sheets.js'
+  );
+
+  return [[netlifyPath, netlify], [indexPath, index], [swPath, sw], [sheetsPath, sheets]];
+}
+
+/**
+ * Regenerate the generated blocks, or only report with check
+ * @returns {boolean} True if everything was (or is) up to date
+ */
+function sync({ check }) {
+  const manifest = readManifest();
+  const errors = validateManifest(manifest);
+  if (errors.length) {
+    throw new Error(errors.join('\n'));
+  }
+
+  let upToDate = true;
+  getGeneratedFiles(manifest).forEach(([filePath, content]) => {
+    const fileName = path.relative(ROOT, filePath);
+    if (fs.readFileSync(filePath, 'utf8') === content) return;
+
+    upToDate = false;
+    if (check) {
+      console.error(`${fileName} is out of date - run: node scripts/cities.js sync`);
+    } else {
+      fs.writeFileSync(filePath, content);
+      console.log(`Updated ${fileName}`);
+    }
+  });
+
+  return upToDate;
+}
+
+// ---------------------------------------------------------------------------
+// Command line
+// ---------------------------------------------------------------------------
+
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const key = args[i].slice(2);
+      const next = args[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        options[key] = true;
+      } else {
+        options[key] = next;
+        i++;
+      }
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { positional, options };
+}
+
+const USAGE = `Usage:
+  node scripts/cities.js create <id> --name <Name> --center <lat,lng> [--zoom 11] [--maps city,media]
+  node scripts/cities.js sync [--check]`;
+
+function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [command, id] = positional;
+
+  try {
+    if (command === 'create' && id) {
+      createCity(id, options);
+    } else if (command === 'sync') {
+      const upToDate = sync({ check: Boolean(options.check) });
+      if (options.check && !upToDate) process.exit(1);
+      if (upToDate) console.log('netlify.toml, index.html, sw.js and netlify/functions/sheets.js are up to date');
+    } else {
+      console.error(USAGE);
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { validateManifest, renderPage, renderRedirects, renderLandingList, getPrecacheFiles, renderPrecacheBlock, renderSheetSources };
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Stub Google Sheets API for local testing of the Sheets proxy function
+ *
+ * Serves the same `values` for every spreadsheet/range request, mimicking
+ * GET /v4/spreadsheets/:sheetId/values/:range.
+ *
+ * Usage:
+ *   node scripts/stub-sheets-server.js <values.json> [port]
+ *   SHEETS_API_BASE_URL=http://localhost:8787/v4/spreadsheets \
+ *     GOOGLE_SHEETS_API_KEY=stub netlify dev
+ *
+ * values.json is either a 2D array (header row first) or an object with a
+ * `values` property, e.g. a response saved from the real API.
+ */
+
+const fs = require('fs');
+const http = require('http');
+
+const [fixturePath, port = '8787'] = process.argv.slice(2);
+
+if (!fixturePath) {
+  console.error('Usage: node scripts/stub-sheets-server.js <values.json> [port]');
+  process.exit(1);
+}
+
+const server = http.createServer((req, res) => {
+  const match = req.url.match(/\/spreadsheets\/([^/]+)\/values\/([^?]+)/);
+  if (!match) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { code: 404, message: 'Not found' } }));
+    return;
+  }
+
+  // Re-read on every request so the fixture can be edited while running
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const values = Array.isArray(fixture) ? fixture : fixture.values || [];
+  const range = decodeURIComponent(match[2]);
+
+  console.log(`${req.method} sheet=${decodeURIComponent(match[1])} range=${range}`);
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ range, majorDimension: 'ROWS', values }));
+});
+
+server.listen(Number(port), () => {
+  console.log(`Stub Sheets API listening on http://localhost:${port}/v4/spreadsheets`);
+});
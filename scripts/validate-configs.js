@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Validate map configurations
+ *
+ * Runs the same checks as the map factories (ConfigSchemas, ConfigValidator
+ * and the factories' validateConfig) against every config in the repo, or
+ * only the given files.
+ *
+ * Usage:
+ *   node scripts/validate-configs.js [config files...]
+ *
+ * Exit code 1 if any config has problems.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Browser scripts providing the validation logic
+const VALIDATOR_SCRIPTS = [
+  'shared/js/config-schemas.js',
+  'shared/js/config-validator.js',
+  'city-maps/js/city-map-factory.js',
+  'media-maps/js/media-map-factory.js'
+];
+
+const CONFIG_DIRS = {
+  city: 'city-maps/config',
+  media: 'media-maps/config'
+};
+
+/**
+ * Browser-like global scope the scripts are run in
+ */
+function createContext() {
+  const context = vm.createContext({ console, URLSearchParams });
+  context.window = context;
+  VALIDATOR_SCRIPTS.forEach((file) => runScript(context, file));
+  return context;
+}
+
+function runScript(context, file) {
+  const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  vm.runInContext(code, context, { filename: file });
+}
+
+/**
+ * Run a config file and return the configs it exports on window
+ */
+function loadConfigs(context, file) {
+  const before = new Set(Object.keys(context));
+  runScript(context, file);
+  return Object.keys(context)
+    .filter((key) => !before.has(key))
+    .map((name) => ({ name, config: context[name] }));
+}
+
+function getMapType(file) {
+  return Object.keys(CONFIG_DIRS).find((type) =>
+    path.relative(ROOT, path.resolve(file)).startsWith(CONFIG_DIRS[type] + path.sep)
+  );
+}
+
+function findConfigFiles() {
+  return Object.values(CONFIG_DIRS).flatMap((dir) =>
+    fs.readdirSync(path.join(ROOT, dir))
+      .filter((file) => file.endsWith('-config.js'))
+      .map((file) => path.join(ROOT, dir, file))
+  );
+}
+
+function main() {
+  const files = process.argv.length > 2
+    ? process.argv.slice(2).map((file) => path.resolve(file))
+    : findConfigFiles();
+  const context = createContext();
+  let problems = 0;
+
+  files.forEach((file) => {
+    const relative = path.relative(ROOT, file);
+    const type = getMapType(file);
+    if (!type) {
+      console.error(`${relative}: not in ${Object.values(CONFIG_DIRS).join(' or ')}`);
+      problems++;
+      return;
+    }
+
+    const factory = type === 'city' ? context.CityMapFactory : context.MediaMapFactory;
+    let configs;
+    try {
+      configs = loadConfigs(context, relative);
+    } catch (error) {
+      console.error(`${relative}: could not be loaded - ${error.message}`);
+      problems++;
+      return;
+    }
+
+    if (configs.length === 0) {
+      console.error(`${relative}: does not export a config on window`);
+      problems++;
+      return;
+    }
+
+    configs.forEach(({ name, config }) => {
+      const errors = factory.validateConfig(config);
+      problems += errors.length;
+
+      if (errors.length === 0) {
+        console.log(`✓ ${relative} (${name})`);
+      } else {
+        console.error(`✗ ${relative} (${name}): ${errors.length} problem(s)`);
+        errors.forEach((error) => console.error(`    ${error}`));
+      }
+    });
+  });
+
+  if (problems > 0) process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runScript, loadConfigs };
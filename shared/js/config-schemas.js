@@ -0,0 +1,500 @@
+/**
+ * Configuration Schemas
+ *
+ * JSON Schemas (draft 2020-12 subset, see ConfigValidator) for city and
+ * media map configurations. Configs are partial - every key not given falls
+ * back to the map class defaults - so only the keys a map cannot work
+ * without are required. Unknown keys are reported to catch typos.
+ */
+
+const ConfigSchemas = (() => {
+  const latLng = {
+    type: 'array',
+    items: { type: 'number' },
+    minItems: 2,
+    maxItems: 2,
+    description: '[lat, lng]'
+  };
+  const zoom = { type: 'number', minimum: 0, maximum: 22 };
+  const color = { type: 'string', pattern: '^(#[0-9a-fA-F]{3,8}|[a-z]+|rgba?\\(.*\\))$' };
+  const url = { type: 'string', minLength: 1 };
+  const controlPosition = { enum: ['topleft', 'topright', 'bottomleft', 'bottomright'] };
+
+  // "Text" or { de: "Text", en: "Text" } (see I18n.localize)
+  const label = {
+    anyOf: [
+      { type: 'string' },
+      { type: 'object', additionalProperties: { type: 'string' } }
+    ]
+  };
+
+  const i18n = {
+    type: 'object',
+    properties: {
+      defaultLocale: { type: 'string', pattern: '^[a-z]{2}$' },
+      locales: { type: 'array', items: { type: 'string', pattern: '^[a-z]{2}$' }, minItems: 1 },
+      messages: {
+        type: 'object',
+        propertyNames: { pattern: '^[a-z]{2}$' },
+        additionalProperties: { type: 'object', additionalProperties: { type: 'string' } }
+      }
+    },
+    additionalProperties: false
+  };
+
+  const ui = { type: 'object', additionalProperties: { type: 'string' } };
+
+  const embed = {
+    type: 'object',
+    properties: {
+      allowedOrigins: {
+        type: 'array',
+        items: { type: 'string', pattern: '^https?://[^/]+$' }
+      }
+    },
+    additionalProperties: false
+  };
+
+  // Print layout (see MapPrint)
+  const print = {
+    type: 'object',
+    properties: {
+      paperSize: { enum: ['A4', 'A3'] },
+      orientation: { enum: ['landscape', 'portrait'] },
+      position: controlPosition
+    },
+    additionalProperties: false
+  };
+
+  const performance = {
+    type: 'object',
+    properties: {
+      debounceTime: { type: 'number', minimum: 0 },
+      throttleTime: { type: 'number', minimum: 0 }
+    },
+    additionalProperties: false
+  };
+
+  const booleanFlags = (names) => ({
+    type: 'object',
+    properties: Object.fromEntries(names.map((name) => [name, { type: 'boolean' }])),
+    additionalProperties: false
+  });
+
+  const city = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'interactive-maps/city-config',
+    title: 'City map configuration',
+    type: 'object',
+    required: ['center', 'zoom', 'dataSources'],
+    properties: {
+      containerId: { type: 'string', minLength: 1 },
+      center: latLng,
+      zoom,
+      minZoom: zoom,
+      maxZoom: zoom,
+      scrollWheelZoom: { anyOf: [{ type: 'boolean' }, { const: 'center' }] },
+      dataSources: {
+        type: 'object',
+        properties: {
+          districts: { type: ['string', 'null'] },
+          transportation: { type: ['string', 'null'] },
+          districtStats: { type: ['string', 'null'] },
+          // Allow-listed in the Sheets proxy by scripts/cities.js sync
+          districtStatsSheet: {
+            anyOf: [
+              {
+                type: 'object',
+                required: ['sheetId', 'range'],
+                properties: {
+                  sheetId: { type: 'string', minLength: 1 },
+                  range: { type: 'string', pattern: '!' }
+                },
+                additionalProperties: false
+              },
+              { type: 'null' }
+            ]
+          }
+        },
+        additionalProperties: false
+      },
+      transportation: {
+        type: 'object',
+        properties: {
+          routesToDisplay: { type: 'array', items: { type: 'string' } },
+          routeColors: { type: 'object', additionalProperties: color },
+          // Legend groups (see TransitLines.defaultGroups)
+          routeGroups: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['id', 'routeTypes'],
+              properties: {
+                id: { type: 'string', minLength: 1 },
+                label,
+                message: { type: 'string' },
+                routeTypes: { type: 'array', items: { type: 'integer', minimum: 0 } }
+              },
+              additionalProperties: false
+            }
+          }
+        },
+        additionalProperties: false
+      },
+      choropleth: {
+        type: 'object',
+        properties: {
+          defaultMetric: { type: ['string', 'null'] },
+          classification: { enum: ['quantile', 'equalInterval'] },
+          classes: { type: 'integer', minimum: 2, maximum: 9 },
+          colorRamp: { type: 'array', items: color, minItems: 2 },
+          fillOpacity: { type: 'number', minimum: 0, maximum: 1 },
+          metrics: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                label,
+                field: { type: 'string' },
+                numerator: { type: 'string' },
+                denominator: { type: 'string' },
+                scale: { type: 'number' },
+                decimals: { type: 'integer', minimum: 0, maximum: 6 }
+              },
+              anyOf: [{ required: ['field'] }, { required: ['numerator', 'denominator'] }],
+              additionalProperties: false
+            }
+          }
+        },
+        additionalProperties: false
+      },
+      print,
+      embed,
+      i18n,
+      ui,
+      features: booleanFlags([
+        'showTransportation',
+        'showDistrictStats',
+        'showChoropleth',
+        'enableScrollZoom',
+        'showDistrictInfo',
+        'showLanguageSwitch',
+        'showTransitLegend',
+        'showPrint'
+      ]),
+      performance
+    },
+    // Underscore keys hold notes or legacy settings and are not checked
+    patternProperties: { '^_': {} },
+    additionalProperties: false
+  };
+
+  const sheetColumn = {
+    type: 'object',
+    required: ['header'],
+    properties: {
+      header: { type: 'string', minLength: 1 },
+      type: { enum: ['string', 'number', 'boolean', 'url', 'coordinates'] },
+      required: { type: 'boolean' },
+      order: { enum: ['lnglat', 'latlng'] },
+      trueValues: { type: 'array', items: { type: 'string' } },
+      falseValues: { type: 'array', items: { type: 'string' } }
+    },
+    additionalProperties: false
+  };
+
+  const districtStyle = {
+    type: 'object',
+    properties: {
+      color,
+      opacity: { type: 'number', minimum: 0, maximum: 1 },
+      fillColor: color,
+      fillOpacity: { type: 'number', minimum: 0, maximum: 1 },
+      weight: { type: 'number', minimum: 0 },
+      dashArray: { type: 'string' }
+    },
+    additionalProperties: false
+  };
+
+  const media = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'interactive-maps/media-config',
+    title: 'Media map configuration',
+    type: 'object',
+    required: ['map', 'dataSources', 'advertisingTypes'],
+    properties: {
+      map: {
+        type: 'object',
+        required: ['center', 'zoom'],
+        properties: {
+          containerId: { type: 'string', minLength: 1 },
+          center: latLng,
+          zoom,
+          minZoom: zoom,
+          maxZoom: zoom
+        },
+        additionalProperties: false
+      },
+      dataSources: {
+        type: 'object',
+        properties: {
+          mediaLocations: {
+            anyOf: [
+              url,
+              {
+                type: 'object',
+                properties: {
+                  googleSheets: {
+                    type: 'object',
+                    required: ['sheetId', 'range'],
+                    properties: {
+                      sheetId: { type: 'string', minLength: 1 },
+                      range: { type: 'string', pattern: '!' },
+                      columns: { type: 'object', additionalProperties: sheetColumn }
+                    },
+                    additionalProperties: false
+                  },
+                  fallback: url
+                },
+                anyOf: [{ required: ['googleSheets'] }, { required: ['fallback'] }],
+                additionalProperties: false
+              },
+              { type: 'null' }
+            ]
+          },
+          districts: { type: ['string', 'null'] },
+          transportation: { type: ['string', 'null'] }
+        },
+        additionalProperties: false
+      },
+      advertisingTypes: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            color,
+            visible: { type: 'boolean' }
+          },
+          additionalProperties: false
+        }
+      },
+      districtStatistics: {
+        type: 'object',
+        additionalProperties: { type: 'number', minimum: 0 }
+      },
+      districtSelection: {
+        type: 'object',
+        properties: {
+          containerId: { type: 'string', minLength: 1 },
+          districts: { type: 'array', items: { type: 'string' } }
+        },
+        additionalProperties: false
+      },
+      popup: {
+        type: 'object',
+        properties: {
+          titleField: { type: 'string' },
+          fields: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['field'],
+              properties: {
+                field: { type: 'string' },
+                label,
+                format: { enum: ['text', 'number', 'yesNo'] }
+              },
+              additionalProperties: false
+            }
+          },
+          imageFields: { type: 'array', items: { type: 'string' } },
+          logo: {
+            anyOf: [
+              {
+                type: 'object',
+                required: ['src'],
+                properties: { src: url, alt: { type: 'string' } },
+                additionalProperties: false
+              },
+              { type: 'null' }
+            ]
+          },
+          booleanLabels: {
+            type: 'object',
+            required: ['true', 'false'],
+            properties: { true: label, false: label },
+            additionalProperties: false
+          }
+        },
+        additionalProperties: false
+      },
+      search: {
+        type: 'object',
+        properties: {
+          fields: { type: 'array', items: { type: 'string' }, minItems: 1 },
+          maxResults: { type: 'integer', minimum: 1 },
+          position: controlPosition
+        },
+        additionalProperties: false
+      },
+      filters: {
+        type: 'object',
+        properties: {
+          fields: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['field'],
+              properties: { field: { type: 'string' }, label },
+              additionalProperties: false
+            }
+          },
+          position: controlPosition
+        },
+        additionalProperties: false
+      },
+      export: {
+        type: 'object',
+        properties: {
+          formats: { type: 'array', items: { enum: ['csv', 'geojson', 'kml'] } },
+          fileName: { type: 'string', minLength: 1 },
+          csvDelimiter: { enum: [',', ';', '\t'] },
+          position: controlPosition
+        },
+        additionalProperties: false
+      },
+      corridor: {
+        type: 'object',
+        properties: {
+          lines: { type: 'array', items: { type: 'string' } },
+          distances: { type: 'array', items: { type: 'number', minimum: 1 }, minItems: 1 },
+          defaultDistance: { type: 'number', minimum: 1 },
+          color,
+          position: controlPosition
+        },
+        additionalProperties: false
+      },
+      area: {
+        type: 'object',
+        properties: {
+          summaryFields: { type: 'array', items: { type: 'string' } },
+          color,
+          fileName: { type: 'string', minLength: 1 },
+          position: controlPosition
+        },
+        additionalProperties: false
+      },
+      shortlist: {
+        type: 'object',
+        properties: {
+          summaryFields: { type: 'array', items: { type: 'string' } },
+          storageKey: { type: 'string', minLength: 1 },
+          position: controlPosition
+        },
+        additionalProperties: false
+      },
+      inquiry: {
+        type: 'object',
+        properties: {
+          city: { type: 'string', pattern: '^[a-z0-9-]+$' },
+          endpoint: { type: 'string', minLength: 1 },
+          intervalField: { type: 'string', minLength: 1 },
+          leadTimeField: { type: 'string', minLength: 1 }
+        },
+        additionalProperties: false
+      },
+      heatmap: {
+        type: 'object',
+        properties: {
+          weights: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } },
+          radius: { type: 'number', minimum: 1 },
+          blur: { type: 'number', minimum: 0 },
+          minOpacity: { type: 'number', minimum: 0, maximum: 1 },
+          gradient: {
+            type: ['object', 'null'],
+            propertyNames: { pattern: '^(0(\\.\\d+)?|1(\\.0+)?)$' },
+            additionalProperties: color
+          },
+          markerZoom: { type: 'integer', minimum: 0, maximum: 22 },
+          position: controlPosition
+        },
+        additionalProperties: false
+      },
+      clustering: {
+        type: 'object',
+        properties: {
+          maxClusterRadius: { type: 'number', minimum: 1 },
+          disableClusteringAtZoom: { type: ['integer', 'null'], minimum: 0, maximum: 22 },
+          chart: { enum: ['pie', 'donut'] },
+          showBreakdown: { type: 'boolean' }
+        },
+        additionalProperties: false
+      },
+      print,
+      markers: {
+        type: 'object',
+        properties: {
+          color,
+          radius: { type: 'number', minimum: 1 },
+          weight: { type: 'number', minimum: 0 },
+          opacity: { type: 'number', minimum: 0, maximum: 1 },
+          interactive: { type: 'boolean' },
+          fillOpacity: { type: 'number', minimum: 0, maximum: 1 }
+        },
+        additionalProperties: false
+      },
+      districtStyles: {
+        type: 'object',
+        properties: {
+          default: districtStyle,
+          hover: districtStyle,
+          hoverWhileSelected: districtStyle,
+          selected: districtStyle
+        },
+        additionalProperties: false
+      },
+      defaultMapStyle: { type: 'string' },
+      mapStyles: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['url'],
+          properties: {
+            name: { type: 'string' },
+            url: { type: 'string', pattern: '\\{z\\}' },
+            options: { type: 'object' }
+          },
+          additionalProperties: false
+        }
+      },
+      embed,
+      i18n,
+      ui,
+      features: booleanFlags([
+        'showDistrictSelection',
+        'enableScrollZoom',
+        'showLoadingIndicator',
+        'showPopups',
+        'enableClustering',
+        'showSearch',
+        'showFilters',
+        'showExport',
+        'showLanguageSwitch',
+        'showCorridor',
+        'showAreaSelection',
+        'showHeatmap',
+        'showPrint',
+        'showShortlist',
+        'showInquiry'
+      ]),
+      performance
+    },
+    patternProperties: { '^_': {} },
+    additionalProperties: false
+  };
+
+  return { city, media };
+})();
+
+// Export for use in other modules
+window.ConfigSchemas = ConfigSchemas;
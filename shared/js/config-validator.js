@@ -0,0 +1,316 @@
+/**
+ * Configuration Validator
+ *
+ * Checks map configurations against ConfigSchemas and reports problems as
+ * readable "path: message" lines. Implements the JSON Schema keywords the
+ * schemas use: type, enum, const, minimum, maximum, minLength, pattern,
+ * minItems, maxItems, items, properties, required, patternProperties,
+ * additionalProperties, propertyNames and anyOf.
+ *
+ * Functions in a config (helpers such as setupGoogleSheets, custom popup
+ * formatters) are code, not data, and are not validated.
+ *
+ * Runs in the page (called by the map factories) and in Node via
+ * scripts/validate-configs.js.
+ */
+
+const ConfigValidator = {
+  /**
+   * Validate a value against a schema
+   * @param {*} value - Value to check
+   * @param {Object} schema - JSON Schema
+   * @param {string} path - Path of the value, for messages
+   * @returns {Array<{path: string, message: string}>} Problems found
+   */
+  validate(value, schema, path = '') {
+    if (typeof value === 'function' || !schema) return [];
+
+    const errors = [];
+    const fail = (message, at = path) => errors.push({ path: at, message });
+
+    if (schema.anyOf) {
+      const branchErrors = schema.anyOf.map((branch) => this.validate(value, branch, path));
+      if (!branchErrors.some((branch) => branch.length === 0)) {
+        errors.push(...this.describeAnyOf(value, schema.anyOf, branchErrors, path));
+      }
+    }
+
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      const types = [].concat(schema.type).join(' or ');
+      fail(`must be ${types}, got ${this.describeValue(value)}`);
+      return errors;
+    }
+
+    if ('const' in schema && value !== schema.const) {
+      fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      fail(`must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        fail(`must be at least ${schema.minimum}, got ${value}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        fail(`must be at most ${schema.maximum}, got ${value}`);
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        fail('must not be empty');
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        fail(`has an invalid format: ${JSON.stringify(value)}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail(`needs at least ${schema.minItems} entries, got ${value.length}`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        fail(`allows at most ${schema.maxItems} entries, got ${value.length}`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(...this.validate(item, schema.items, `${path}[${index}]`));
+        });
+      }
+    }
+
+    if (this.isPlainObject(value)) {
+      errors.push(...this.validateObject(value, schema, path));
+    }
+
+    return errors;
+  },
+
+  /**
+   * Object keywords: required, properties, patternProperties,
+   * additionalProperties and propertyNames
+   */
+  validateObject(value, schema, path) {
+    const errors = [];
+    const properties = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {});
+
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({ path: this.joinPath(path, key), message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = this.joinPath(path, key);
+
+      if (schema.propertyNames?.pattern && !new RegExp(schema.propertyNames.pattern).test(key)) {
+        errors.push({ path: childPath, message: 'is not a valid key here' });
+      }
+
+      if (properties[key]) {
+        errors.push(...this.validate(child, properties[key], childPath));
+        return;
+      }
+
+      const pattern = patterns.find(([regex]) => new RegExp(regex).test(key));
+      if (pattern) {
+        errors.push(...this.validate(child, pattern[1], childPath));
+        return;
+      }
+
+      if (schema.additionalProperties === false) {
+        if (typeof child === 'function') return;
+        const suggestion = this.suggestKey(key, Object.keys(properties));
+        errors.push({
+          path: childPath,
+          message: suggestion ? `is not a known option (did you mean "${suggestion}"?)` : 'is not a known option'
+        });
+      } else if (this.isPlainObject(schema.additionalProperties)) {
+        errors.push(...this.validate(child, schema.additionalProperties, childPath));
+      }
+    });
+
+    return errors;
+  },
+
+  /**
+   * Explain why no anyOf branch matched
+   */
+  describeAnyOf(value, branches, branchErrors, path) {
+    // Branches that only list required keys: "needs field, or numerator and denominator"
+    if (branches.every((branch) => branch.required && Object.keys(branch).length === 1)) {
+      const options = branches.map((branch) => branch.required.join(' and '));
+      return [{ path, message: `needs ${options.join(', or ')}` }];
+    }
+
+    // If exactly one branch accepts the value's type, its errors are the useful ones
+    const typed = branches
+      .map((branch, index) => ({ branch, errors: branchErrors[index] }))
+      .filter(({ branch }) => !branch.type || this.matchesType(value, branch.type))
+      .filter(({ branch }) => !('const' in branch));
+    if (typed.length === 1) return typed[0].errors;
+
+    const options = branches.map((branch) =>
+      'const' in branch ? JSON.stringify(branch.const) : [].concat(branch.type || 'valid value').join(' or ')
+    );
+    return [{ path, message: `must be ${options.join(' or ')}, got ${this.describeValue(value)}` }];
+  },
+
+  matchesType(value, type) {
+    return [].concat(type).some((name) => {
+      switch (name) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return this.isPlainObject(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === name;
+      }
+    });
+  },
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  },
+
+  describeValue(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'string') return JSON.stringify(value);
+    return typeof value === 'object' ? 'object' : String(value);
+  },
+
+  joinPath(path, key) {
+    const segment = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+    if (!path) return segment;
+    return segment.startsWith('"') ? `${path}[${segment}]` : `${path}.${segment}`;
+  },
+
+  /**
+   * Closest known key for a misspelled one (case or up to two edits)
+   */
+  suggestKey(key, candidates) {
+    const lower = key.toLowerCase();
+    let best = null;
+    let bestDistance = 3;
+
+    candidates.forEach((candidate) => {
+      const distance = candidate.toLowerCase() === lower ? 0 : this.editDistance(lower, candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+
+    return best;
+  },
+
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  },
+
+  /**
+   * Validate a config against its schema plus checks shared by all map
+   * types that a schema cannot express
+   *
+   * @param {string} type - "city" or "media"
+   * @param {Object} config - Map configuration
+   * @returns {Array<string>} "path: message" lines (empty if valid)
+   */
+  validateConfig(type, config) {
+    const errors = this.validate(config, ConfigSchemas[type]);
+
+    const { defaultLocale, locales } = config?.i18n || {};
+    if (defaultLocale && locales && !locales.includes(defaultLocale)) {
+      errors.push({ path: 'i18n.defaultLocale', message: `"${defaultLocale}" is not listed in i18n.locales` });
+    }
+
+    const { minZoom, maxZoom, zoom } = type === 'media' ? config?.map || {} : config || {};
+    if (minZoom !== undefined && maxZoom !== undefined && minZoom > maxZoom) {
+      errors.push({ path: type === 'media' ? 'map.minZoom' : 'minZoom', message: 'must not be greater than maxZoom' });
+    } else if (zoom !== undefined && (zoom < (minZoom ?? zoom) || zoom > (maxZoom ?? zoom))) {
+      errors.push({ path: type === 'media' ? 'map.zoom' : 'zoom', message: 'must be between minZoom and maxZoom' });
+    }
+
+    return this.formatErrors(errors);
+  },
+
+  formatErrors(errors) {
+    return errors.map(({ path, message }) => `${path || '(config)'}: ${message}`);
+  },
+
+  /**
+   * Local development: localhost, file:// pages or ?debug in the URL
+   */
+  isDevMode() {
+    const { hostname, search } = window.location;
+    return ['localhost', '127.0.0.1', '[::1]', ''].includes(hostname) ||
+      hostname.endsWith('.local') ||
+      new URLSearchParams(search).has('debug');
+  },
+
+  /**
+   * Log configuration problems; in dev mode also list them on the page
+   * @param {string} title - Which configuration was checked
+   * @param {Array<string>} errors - Lines from validateConfig
+   */
+  report(title, errors) {
+    if (errors.length === 0) return;
+
+    console.error(`${title}: ${errors.length} problem(s)\n  ${errors.join('\n  ')}`);
+    if (this.isDevMode()) {
+      this.showReport(title, errors);
+    }
+  },
+
+  showReport(title, errors) {
+    const panel = document.createElement('section');
+    panel.className = 'config-errors';
+    panel.setAttribute('role', 'alert');
+
+    const heading = document.createElement('h2');
+    heading.className = 'config-errors__title';
+    heading.textContent = `${title}: ${errors.length} problem(s)`;
+
+    const list = document.createElement('ul');
+    list.className = 'config-errors__list';
+    errors.forEach((error) => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      list.appendChild(item);
+    });
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'config-errors__close';
+    closeButton.setAttribute('aria-label', 'Close');
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => panel.remove());
+
+    const hint = document.createElement('p');
+    hint.className = 'config-errors__hint';
+    hint.textContent = 'Shown in development only. Run node scripts/validate-configs.js to check all configs.';
+
+    panel.append(closeButton, heading, list, hint);
+    document.body.appendChild(panel);
+    return panel;
+  }
+};
+
+// Export for use in other modules
+window.ConfigValidator = ConfigValidator;
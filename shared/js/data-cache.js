@@ -0,0 +1,223 @@
+/**
+ * Persistent Data Cache
+ *
+ * Caches remote data per source key across page loads (IndexedDB, with
+ * localStorage as fallback) and serves it stale-while-revalidate: cached
+ * data is returned immediately while a fresh copy is fetched in the
+ * background and handed to an update callback.
+ */
+
+const DataCache = {
+  dbName: 'interactive-maps-cache',
+  storeName: 'entries',
+  storagePrefix: 'interactive-maps-cache:',
+  defaultMaxAge: 5 * 60 * 1000, // 5 minutes
+
+  // In-memory copies: key → { data, timestamp }
+  memory: new Map(),
+  // Running background refreshes: key → Promise
+  pending: new Map(),
+  dbPromise: null,
+
+  /**
+   * Get data for a source, using the cache where possible
+   *
+   * @param {string} key - Source key (e.g. sheet id + range or URL)
+   * @param {Function} loader - Async function fetching fresh data
+   * @param {Object} options - { maxAge, onUpdate(data, timestamp) }
+   * @returns {Promise<Object>} { data, timestamp, stale }
+   */
+  async fetch(key, loader, options = {}) {
+    const { maxAge = this.defaultMaxAge, onUpdate = null } = options;
+    const cached = await this.get(key);
+
+    if (!cached) {
+      const entry = await this.refresh(key, loader);
+      return { ...entry, stale: false };
+    }
+
+    const stale = Date.now() - cached.timestamp > maxAge;
+    if (stale) {
+      // Serve stale data now, refresh in the background
+      this.refresh(key, loader)
+        .then((entry) => {
+          if (onUpdate) onUpdate(entry.data, entry.timestamp);
+        })
+        .catch((error) => {
+          console.warn(`Background refresh failed for ${key}:`, error.message);
+        });
+    }
+
+    return { ...cached, stale };
+  },
+
+  /**
+   * Load fresh data and store it, sharing concurrent requests per key
+   */
+  refresh(key, loader) {
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const request = (async () => {
+      try {
+        const data = await loader();
+        return await this.set(key, data);
+      } finally {
+        this.pending.delete(key);
+      }
+    })();
+
+    this.pending.set(key, request);
+    return request;
+  },
+
+  /**
+   * Read a cached entry
+   * @returns {Promise<Object|null>} { data, timestamp } or null
+   */
+  async get(key) {
+    if (this.memory.has(key)) return this.memory.get(key);
+
+    let entry = null;
+    try {
+      const db = await this.openDb();
+      entry = db
+        ? await this.dbRequest(db, 'readonly', (store) => store.get(key))
+        : this.readLocalStorage(key);
+    } catch (error) {
+      console.warn('Cache read failed:', error.message);
+      entry = this.readLocalStorage(key);
+    }
+
+    if (entry) this.memory.set(key, entry);
+    return entry || null;
+  },
+
+  /**
+   * Store data for a source key
+   * @returns {Promise<Object>} The stored { data, timestamp } entry
+   */
+  async set(key, data) {
+    const entry = { data, timestamp: Date.now() };
+    this.memory.set(key, entry);
+
+    try {
+      const db = await this.openDb();
+      if (db) {
+        await this.dbRequest(db, 'readwrite', (store) => store.put(entry, key));
+      } else {
+        this.writeLocalStorage(key, entry);
+      }
+    } catch (error) {
+      // Persisting is best effort - the in-memory copy still works
+      console.warn('Cache write failed:', error.message);
+    }
+
+    return entry;
+  },
+
+  /**
+   * Remove one source from the cache
+   */
+  async remove(key) {
+    this.memory.delete(key);
+
+    try {
+      const db = await this.openDb();
+      if (db) {
+        await this.dbRequest(db, 'readwrite', (store) => store.delete(key));
+      } else {
+        window.localStorage.removeItem(this.storagePrefix + key);
+      }
+    } catch (error) {
+      console.warn('Cache remove failed:', error.message);
+    }
+  },
+
+  /**
+   * Remove all sources whose key starts with a prefix (all if omitted)
+   */
+  async clear(prefix = '') {
+    const keys = new Set([...this.memory.keys()]);
+
+    try {
+      const db = await this.openDb();
+      if (db) {
+        const dbKeys = await this.dbRequest(db, 'readonly', (store) => store.getAllKeys());
+        dbKeys.forEach((key) => keys.add(key));
+      } else {
+        Object.keys(window.localStorage)
+          .filter((key) => key.startsWith(this.storagePrefix))
+          .forEach((key) => keys.add(key.slice(this.storagePrefix.length)));
+      }
+    } catch (error) {
+      console.warn('Cache clear failed:', error.message);
+    }
+
+    await Promise.all(
+      [...keys].filter((key) => key.startsWith(prefix)).map((key) => this.remove(key))
+    );
+  },
+
+  /**
+   * Timestamp of the data currently held for a source, or null
+   */
+  getLastUpdated(key) {
+    return this.memory.get(key)?.timestamp ?? null;
+  },
+
+  /**
+   * Open (once) the IndexedDB database, resolving null if unavailable
+   */
+  openDb() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve) => {
+      if (!window.indexedDB) {
+        resolve(null);
+        return;
+      }
+
+      try {
+        const request = window.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+        request.onblocked = () => resolve(null);
+      } catch (error) {
+        // e.g. disabled storage in private browsing
+        resolve(null);
+      }
+    });
+
+    return this.dbPromise;
+  },
+
+  dbRequest(db, mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  readLocalStorage(key) {
+    try {
+      const raw = window.localStorage.getItem(this.storagePrefix + key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  writeLocalStorage(key, entry) {
+    try {
+      window.localStorage.setItem(this.storagePrefix + key, JSON.stringify(entry));
+    } catch (error) {
+      console.warn('Cache write to localStorage failed:', error.message);
+    }
+  }
+};
+
+// Export for use in other modules
+window.DataCache = DataCache;
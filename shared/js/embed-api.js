@@ -0,0 +1,151 @@
+/**
+ * Embed API
+ *
+ * postMessage protocol for maps embedded in an iframe. The parent page sends
+ * commands, the map answers and reports what the user does. Only origins on
+ * the allow-list (plus the map's own origin) are accepted. See docs/EMBED.md.
+ *
+ * Every message is an object { protocol: 'interactive-maps', type, payload }.
+ * Commands may carry an `id`, which is repeated in the 'result'/'error'
+ * reply.
+ *
+ * A map takes part by implementing getEmbedCommands() (command name →
+ * handler(payload)) and getUrlState(), and by firing Leaflet events on its
+ * map: 'districtselect' { name }, 'locationclick' { id, properties } and
+ * 'filterchange' { ... }.
+ */
+
+const EmbedApi = {
+  protocol: 'interactive-maps',
+
+  // Map events forwarded to the parent page: Leaflet event → message type
+  events: {
+    districtselect: 'districtSelected',
+    locationclick: 'locationClicked',
+    filterchange: 'filterChanged'
+  },
+
+  /**
+   * Check an origin against the allow-list
+   */
+  isAllowedOrigin(origin, allowedOrigins = []) {
+    return origin === window.location.origin || allowedOrigins.includes(origin);
+  },
+
+  /**
+   * Origin of the embedding page: location.ancestorOrigins where the
+   * browser has it, otherwise the referrer (the page that loaded the frame)
+   * @returns {string|null} Origin, null if the browser does not tell
+   */
+  getParentOrigin() {
+    const ancestor = window.location.ancestorOrigins?.[0];
+    if (ancestor) return ancestor;
+
+    try {
+      return document.referrer ? new URL(document.referrer).origin : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Event data without Leaflet's own fields (layers cannot be posted)
+   */
+  getEventPayload(event) {
+    const leafletKeys = ['type', 'target', 'sourceTarget', 'propagatedFrom'];
+    return Object.fromEntries(
+      Object.entries(event).filter(([key]) => !leafletKeys.includes(key))
+    );
+  },
+
+  /**
+   * Connect a map instance to its parent frame
+   *
+   * @param {Object} target - Map instance (InteractiveMap, MediaMap)
+   * @param {Object} options - { mapType, allowedOrigins }
+   * @returns {Object|null} Controller with emit() and destroy(), or null
+   *   when the page is not embedded
+   */
+  bind(target, options = {}) {
+    if (window.parent === window) return null;
+
+    const { mapType = 'map', allowedOrigins = [] } = options;
+    const map = target.getMap();
+    const commands = {
+      ...target.getEmbedCommands(),
+      getState: () => target.getUrlState()
+    };
+    if (window.I18n) {
+      commands.setLocale = ({ locale }) => {
+        I18n.setLocale(locale);
+        return I18n.getLocale();
+      };
+    }
+
+    // Messages go to the parent's origin only, and only if it is allowed.
+    // Without one (no referrer) the first allowed command sets it.
+    let parentOrigin = this.getParentOrigin();
+    if (parentOrigin && !this.isAllowedOrigin(parentOrigin, allowedOrigins)) {
+      console.warn(`Embedding page ${parentOrigin} is not allowed, no events are sent`);
+      parentOrigin = null;
+    }
+
+    const emit = (type, payload = {}, id = undefined) => {
+      if (!parentOrigin) return;
+      const message = { protocol: this.protocol, type, payload };
+      if (id !== undefined) message.id = id;
+
+      try {
+        window.parent.postMessage(message, parentOrigin);
+      } catch (error) {
+        console.warn('Embed message could not be sent:', error.message);
+      }
+    };
+
+    const onMessage = async (event) => {
+      const message = event.data;
+      if (event.source !== window.parent) return;
+      if (!message || message.protocol !== this.protocol) return;
+
+      if (!this.isAllowedOrigin(event.origin, allowedOrigins)) {
+        console.warn(`Embed command from ${event.origin} ignored (origin not allowed)`);
+        return;
+      }
+      parentOrigin = event.origin;
+
+      const { type, payload = {}, id } = message;
+      const handler = commands[type];
+      if (!handler) {
+        emit('error', { command: type, message: `Unknown command: ${type}` }, id);
+        return;
+      }
+
+      try {
+        const result = await handler(payload);
+        emit('result', { command: type, result: result ?? null }, id);
+      } catch (error) {
+        emit('error', { command: type, message: error.message }, id);
+      }
+    };
+
+    const forwarders = Object.entries(this.events).map(([eventName, type]) => {
+      const forward = (event) => emit(type, this.getEventPayload(event));
+      map.on(eventName, forward);
+      return [eventName, forward];
+    });
+
+    window.addEventListener('message', onMessage);
+    emit('ready', { mapType, commands: Object.keys(commands), state: target.getUrlState() });
+
+    return {
+      emit,
+      destroy() {
+        window.removeEventListener('message', onMessage);
+        forwarders.forEach(([eventName, forward]) => map.off(eventName, forward));
+      }
+    };
+  }
+};
+
+// Export for use in other modules
+window.EmbedApi = EmbedApi;
@@ -1,8 +1,9 @@
 /**
  * Environment Configuration Loader for Netlify
  * 
- * Handles environment variables properly for Netlify deployment.
- * Uses build-time injection for sensitive values like API keys.
+ * Handles public runtime configuration for Netlify deployment.
+ * Secrets never reach the browser: Google Sheets data is read through
+ * the server-side proxy function (netlify/functions/sheets.js).
  */
 
 const EnvLoader = {
@@ -35,18 +36,6 @@ const EnvLoader = {
         console.info('No Netlify function config available');
       }
 
-      // Final fallback: try local .env for development
-      try {
-        const response = await fetch('/.env');
-        if (response.ok) {
-          const content = await response.text();
-          this.variables = this.parse(content);
-          console.info('Loaded local .env for development');
-        }
-      } catch (envError) {
-        console.info('No .env file found - using defaults');
-      }
-
       this.loaded = true;
       return this.variables;
     } catch (error) {
@@ -56,29 +45,6 @@ const EnvLoader = {
     }
   },
 
-  /**
-   * Parse .env content (for local development)
-   */
-  parse(content) {
-    const vars = {};
-    content.split('\n').forEach(line => {
-      line = line.trim();
-      if (!line || line.startsWith('#')) return;
-      
-      const [key, ...valueParts] = line.split('=');
-      if (key && valueParts.length) {
-        let value = valueParts.join('=').trim();
-        // Remove quotes
-        if ((value.startsWith('"') && value.endsWith('"')) ||
-            (value.startsWith("'") && value.endsWith("'"))) {
-          value = value.slice(1, -1);
-        }
-        vars[key.trim()] = value;
-      }
-    });
-    return vars;
-  },
-
   /**
    * Get environment variable
    */
@@ -87,16 +53,18 @@ const EnvLoader = {
   },
 
   /**
-   * Build Google Sheets URL
+   * Build the Sheets proxy URL for a sheet range
+   * Returns null if the proxy is not configured on the server
    */
   buildSheetsUrl(sheetId, range) {
-    const apiKey = this.get('GOOGLE_SHEETS_API_KEY');
+    const proxyUrl = this.get('SHEETS_PROXY_URL');
     
-    if (!apiKey || apiKey === 'your_google_sheets_api_key_here') {
+    if (!proxyUrl) {
       return null;
     }
 
-    return `https://sheets.googleapis.com/v4/spreadsheets/${sheetId}/values/${range}?key=${apiKey}`;
+    const params = new URLSearchParams({ sheetId, range });
+    return `${proxyUrl}?${params}`;
   }
 };
 
@@ -0,0 +1,348 @@
+/**
+ * Geometry Utilities
+ *
+ * Plain GeoJSON geometry helpers shared by city maps, media maps and the
+ * data scripts: point-in-polygon (with holes), bounds, a static R-tree for
+ * bounding box lookups, distances and line buffers.
+ *
+ * Points are GeoJSON positions ([lng, lat]), bounds are
+ * [minLng, minLat, maxLng, maxLat]. Metric calculations use a local
+ * equirectangular projection, which is accurate enough at city scale.
+ */
+
+const GeoUtils = {
+  // Mean earth radius in metres
+  earthRadius: 6371008.8,
+
+  // Maximum number of entries per R-tree node
+  nodeSize: 9,
+
+  /**
+   * Position of a Leaflet LatLng
+   */
+  toPoint(latlng) {
+    return [latlng.lng, latlng.lat];
+  },
+
+  /**
+   * Polygons of a Polygon or MultiPolygon geometry (other types: none)
+   * @returns {Array} Polygons, each an outer ring followed by its holes
+   */
+  getPolygons(geometry) {
+    if (geometry?.type === 'Polygon') return [geometry.coordinates];
+    if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+  },
+
+  /**
+   * Ray casting test against a single ring. Horizontal edges never cross
+   * the ray, so the division is always defined.
+   */
+  isPointInRing([x, y], ring) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  },
+
+  /**
+   * Whether a point lies in a polygon: inside the outer ring, outside all holes
+   */
+  isPointInPolygon(point, [outer, ...holes] = []) {
+    return Boolean(outer) &&
+      this.isPointInRing(point, outer) &&
+      !holes.some((hole) => this.isPointInRing(point, hole));
+  },
+
+  /**
+   * Whether a point lies in a Polygon or MultiPolygon geometry
+   */
+  isPointInGeometry(point, geometry) {
+    return this.getPolygons(geometry).some((polygon) => this.isPointInPolygon(point, polygon));
+  },
+
+  /**
+   * Faster ray casting for repeated tests against the same ring: the edges
+   * are bucketed into horizontal bands, so a test only looks at the edges
+   * of the band the point is in
+   * @returns {Function} (point) → whether the point lies in the ring
+   */
+  createRingTest(ring, edgesPerBand = 8) {
+    const lats = ring.map(([, y]) => y);
+    const minY = Math.min(...lats);
+    const maxY = Math.max(...lats);
+    const bandCount = Math.max(1, Math.ceil(ring.length / edgesPerBand));
+    const bandHeight = (maxY - minY) / bandCount || 1;
+    const getBand = (y) => Math.min(bandCount - 1, Math.floor((y - minY) / bandHeight));
+    const bands = Array.from({ length: bandCount }, () => []);
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      const edge = [xi, yi, xj, yj];
+      for (let band = getBand(Math.min(yi, yj)); band <= getBand(Math.max(yi, yj)); band++) {
+        bands[band].push(edge);
+      }
+    }
+
+    return ([x, y]) => {
+      if (!(y >= minY && y <= maxY)) return false;
+
+      let inside = false;
+      bands[getBand(y)].forEach(([xi, yi, xj, yj]) => {
+        if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+          inside = !inside;
+        }
+      });
+      return inside;
+    };
+  },
+
+  /**
+   * Bounds of a geometry or of (nested) coordinate arrays
+   * @returns {Array<number>|null} [minLng, minLat, maxLng, maxLat], null if empty
+   */
+  getBounds(geometryOrCoordinates) {
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+
+    const extend = (coordinates) => {
+      if (typeof coordinates[0] === 'number') {
+        const [x, y] = coordinates;
+        bounds[0] = Math.min(bounds[0], x);
+        bounds[1] = Math.min(bounds[1], y);
+        bounds[2] = Math.max(bounds[2], x);
+        bounds[3] = Math.max(bounds[3], y);
+        return;
+      }
+      coordinates.forEach(extend);
+    };
+
+    const coordinates = Array.isArray(geometryOrCoordinates)
+      ? geometryOrCoordinates
+      : geometryOrCoordinates?.coordinates;
+    if (coordinates) extend(coordinates);
+
+    return bounds[0] <= bounds[2] ? bounds : null;
+  },
+
+  boundsIntersect(a, b) {
+    return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+  },
+
+  boundsContain(bounds, [x, y]) {
+    return x >= bounds[0] && x <= bounds[2] && y >= bounds[1] && y <= bounds[3];
+  },
+
+  /**
+   * Static R-tree over bounding boxes, bulk loaded with sort-tile-recursive
+   * packing. Built once; rebuild it when the items change.
+   * @param {Array<{bounds: Array<number>, value: *}>} items - Entries to index
+   * @returns {{search: Function}} search(bounds) → values of all entries
+   *   whose bounds intersect
+   */
+  createIndex(items, nodeSize = this.nodeSize) {
+    const getCenter = ({ bounds }, axis) => (bounds[axis] + bounds[axis + 2]) / 2;
+    const getNodeBounds = (children) => children.reduce((bounds, { bounds: child }) => [
+      Math.min(bounds[0], child[0]),
+      Math.min(bounds[1], child[1]),
+      Math.max(bounds[2], child[2]),
+      Math.max(bounds[3], child[3])
+    ], [Infinity, Infinity, -Infinity, -Infinity]);
+
+    // Pack one level: slices along x, then runs of nodeSize along y
+    const pack = (entries) => {
+      const sliceSize = nodeSize * Math.ceil(Math.sqrt(Math.ceil(entries.length / nodeSize)));
+      const sorted = [...entries].sort((a, b) => getCenter(a, 0) - getCenter(b, 0));
+      const nodes = [];
+
+      for (let i = 0; i < sorted.length; i += sliceSize) {
+        const slice = sorted.slice(i, i + sliceSize).sort((a, b) => getCenter(a, 1) - getCenter(b, 1));
+        for (let j = 0; j < slice.length; j += nodeSize) {
+          const children = slice.slice(j, j + nodeSize);
+          nodes.push({ bounds: getNodeBounds(children), children });
+        }
+      }
+
+      return nodes;
+    };
+
+    let level = items.filter((item) => item.bounds);
+    while (level.length > nodeSize) level = pack(level);
+    const root = { bounds: getNodeBounds(level), children: level };
+
+    return {
+      search: (bounds) => {
+        const found = [];
+        const stack = [root];
+
+        while (stack.length) {
+          const node = stack.pop();
+          node.children.forEach((child) => {
+            if (!this.boundsIntersect(bounds, child.bounds)) return;
+            if (child.children) {
+              stack.push(child);
+            } else {
+              found.push(child.value);
+            }
+          });
+        }
+
+        return found;
+      }
+    };
+  },
+
+  /**
+   * Index for finding the polygon feature containing a point (e.g. the
+   * district of a location). Each polygon is indexed by its bounds, so only
+   * the few polygons around a point get the exact test, which uses banded
+   * ring tests (see createRingTest).
+   * @param {Array} features - GeoJSON features with (Multi)Polygon geometry
+   * @returns {{findFeature: Function}} findFeature([lng, lat]) → first
+   *   feature containing the point, or null
+   */
+  createFeatureIndex(features) {
+    const items = [];
+
+    features.forEach((feature) => {
+      this.getPolygons(feature?.geometry).forEach(([outer, ...holes]) => {
+        if (!outer?.length) return;
+        const [isInOuter, ...isInHoles] = [outer, ...holes].map((ring) => this.createRingTest(ring));
+        const contains = (point) => isInOuter(point) && !isInHoles.some((isInHole) => isInHole(point));
+        items.push({ bounds: this.getBounds(outer), value: { feature, contains } });
+      });
+    });
+
+    const index = this.createIndex(items);
+
+    return {
+      findFeature: ([x, y]) => {
+        const match = index.search([x, y, x, y]).find(({ contains }) => contains([x, y]));
+        return match ? match.feature : null;
+      }
+    };
+  },
+
+  /**
+   * Great-circle distance in metres between two points
+   */
+  getDistance([lng1, lat1], [lng2, lat2]) {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * this.earthRadius * Math.asin(Math.min(1, Math.sqrt(a)));
+  },
+
+  /**
+   * Equirectangular projection to metres around a reference latitude
+   * @returns {{toXY: Function, toLngLat: Function}}
+   */
+  createProjection(referenceLat) {
+    const metresPerDegree = (this.earthRadius * Math.PI) / 180;
+    const scaleX = metresPerDegree * Math.cos((referenceLat * Math.PI) / 180);
+
+    return {
+      toXY: ([lng, lat]) => [lng * scaleX, lat * metresPerDegree],
+      toLngLat: ([x, y]) => [x / scaleX, y / metresPerDegree]
+    };
+  },
+
+  /**
+   * Shortest distance in metres from a point to a line
+   * @param {Array<number>} point - [lng, lat]
+   * @param {Array} paths - Line paths (arrays of [lng, lat])
+   */
+  getDistanceToLine(point, paths) {
+    const projection = this.createProjection(point[1]);
+    const [px, py] = projection.toXY(point);
+    let shortest = Infinity;
+
+    paths.forEach((path) => {
+      const points = path.map(projection.toXY);
+      for (let i = 0; i < points.length; i++) {
+        const [ax, ay] = points[i];
+        const [bx, by] = points[i + 1] || points[i];
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared
+          ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared))
+          : 0;
+        shortest = Math.min(shortest, Math.hypot(px - (ax + t * dx), py - (ay + t * dy)));
+      }
+    });
+
+    return shortest;
+  },
+
+  /**
+   * Rings outlining the area within a distance of a line: a rectangle per
+   * segment and a circle per vertex, all with the same orientation, so
+   * they render as one shape with fillRule "nonzero".
+   * @param {Array} paths - Line paths (arrays of [lng, lat])
+   * @param {number} distance - Buffer distance in metres
+   * @returns {Array} Rings of [lng, lat]
+   */
+  createBufferRings(paths, distance, circleSteps = 16) {
+    const bounds = this.getBounds(paths);
+    if (!bounds) return [];
+
+    const projection = this.createProjection((bounds[1] + bounds[3]) / 2);
+    const rings = [];
+
+    paths.forEach((path) => {
+      const points = path.map(projection.toXY);
+
+      points.forEach(([x, y], i) => {
+        const circle = [];
+        for (let step = 0; step < circleSteps; step++) {
+          const angle = (2 * Math.PI * step) / circleSteps;
+          circle.push([x + distance * Math.cos(angle), y + distance * Math.sin(angle)]);
+        }
+        rings.push(circle);
+
+        const next = points[i + 1];
+        if (!next) return;
+        const length = Math.hypot(next[0] - x, next[1] - y);
+        if (length === 0) return;
+        const nx = (-(next[1] - y) / length) * distance;
+        const ny = ((next[0] - x) / length) * distance;
+        rings.push([
+          [x + nx, y + ny],
+          [x - nx, y - ny],
+          [next[0] - nx, next[1] - ny],
+          [next[0] + nx, next[1] + ny]
+        ]);
+      });
+    });
+
+    return rings.map((ring) => {
+      const oriented = this.getSignedArea(ring) < 0 ? ring.reverse() : ring;
+      return oriented.map(projection.toLngLat);
+    });
+  },
+
+  /**
+   * Signed area of a ring in planar coordinates (positive: counter-clockwise)
+   */
+  getSignedArea(ring) {
+    let area = 0;
+    ring.forEach(([x1, y1], i) => {
+      const [x2, y2] = ring[(i + 1) % ring.length];
+      area += x1 * y2 - x2 * y1;
+    });
+    return area / 2;
+  }
+};
+
+// Export for use in other modules
+window.GeoUtils = GeoUtils;
@@ -0,0 +1,222 @@
+/**
+ * Internationalisation
+ *
+ * Locale bundles (see shared/js/locales/), the current language and
+ * locale-aware formatting for city and media maps.
+ *
+ * Bundles have a `common` section plus one section per map type ("city",
+ * "media"). A map's UI texts are resolved in this order, later wins:
+ * fallback locale bundle, current locale bundle, the config's `ui` (same
+ * in every language) and the config's `i18n.messages[locale]`.
+ *
+ * Labels elsewhere in a config (metrics, popup fields, filters) may be a
+ * plain string or an object per locale: { de: "Einwohner", en: "Population" }.
+ */
+
+const I18n = {
+  fallbackLocale: 'en',
+  storageKey: 'interactive-maps-locale',
+
+  // locale → { name, intlLocale, messages: { common, city, media } }
+  bundles: {},
+  locale: null,
+  locales: [],
+  listeners: new Set(),
+
+  /**
+   * Register a locale bundle
+   * @param {string} locale - Language code, e.g. "de"
+   * @param {Object} bundle - { name, intlLocale, messages }
+   */
+  addBundle(locale, bundle) {
+    this.bundles[locale] = bundle;
+  },
+
+  /**
+   * Set the languages a map offers and pick the initial one:
+   * ?lang= in the URL, then the stored choice, then the configured default
+   *
+   * @param {Object} config - { defaultLocale, locales }
+   */
+  configure(config = {}) {
+    const { defaultLocale = this.fallbackLocale, locales = [defaultLocale] } = config;
+    this.locales = locales.filter((locale) => this.bundles[locale]);
+    if (this.locales.length === 0) this.locales = [this.fallbackLocale];
+
+    const candidates = [
+      new URLSearchParams(window.location.search).get('lang'),
+      this.readStoredLocale(),
+      defaultLocale
+    ];
+    const locale = candidates.find((candidate) => this.locales.includes(candidate)) || this.locales[0];
+    this.applyLocale(locale);
+  },
+
+  getLocale() {
+    return this.locale || this.fallbackLocale;
+  },
+
+  /**
+   * Locale tag for Intl APIs, e.g. "de-DE"
+   */
+  getIntlLocale() {
+    return this.bundles[this.getLocale()]?.intlLocale || this.getLocale();
+  },
+
+  /**
+   * Switch the language and notify listeners (controls re-render)
+   */
+  setLocale(locale) {
+    if (!this.bundles[locale] || !this.locales.includes(locale)) {
+      throw new Error(`Unknown locale: ${locale}`);
+    }
+    if (locale === this.locale) return;
+
+    this.applyLocale(locale);
+    try {
+      window.localStorage.setItem(this.storageKey, locale);
+    } catch (error) {
+      // Storage may be unavailable (private mode, sandboxed iframe)
+    }
+    this.listeners.forEach((listener) => listener(locale));
+  },
+
+  applyLocale(locale) {
+    this.locale = locale;
+    document.documentElement.lang = locale;
+  },
+
+  readStoredLocale() {
+    try {
+      return window.localStorage.getItem(this.storageKey);
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Subscribe to language changes
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  },
+
+  /**
+   * Resolve all UI texts for a map type
+   *
+   * @param {string} scope - "city" or "media"
+   * @param {Object} config - Map config with optional `ui` and `i18n.messages`
+   * @returns {Object} UI texts for the current locale
+   */
+  getMessages(scope, config = {}) {
+    const fromBundle = (locale) => {
+      const messages = this.bundles[locale]?.messages || {};
+      return { ...messages.common, ...messages[scope] };
+    };
+
+    return {
+      ...fromBundle(this.fallbackLocale),
+      ...fromBundle(this.getLocale()),
+      ...config.ui,
+      ...config.i18n?.messages?.[this.getLocale()]
+    };
+  },
+
+  /**
+   * Translate a shared message, filling "{name}" placeholders
+   */
+  t(key, params = {}) {
+    const messages = this.getMessages('common');
+    return this.format(messages[key] ?? key, params);
+  },
+
+  /**
+   * Fill "{name}" placeholders in a text
+   */
+  format(text, params = {}) {
+    return String(text).replace(/\{(\w+)\}/g, (match, key) =>
+      key in params ? params[key] : match
+    );
+  },
+
+  /**
+   * Pick the current language from a per-locale label
+   * @param {string|Object} value - "Text" or { de: "Text", en: "Text" }
+   */
+  localize(value) {
+    if (value === null || value === undefined || typeof value !== 'object') return value;
+    return value[this.getLocale()] ?? value[this.fallbackLocale] ?? Object.values(value)[0];
+  },
+
+  formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(this.getIntlLocale(), options).format(value);
+  },
+
+  /**
+   * Format an area in km², e.g. "12,3 km²"
+   */
+  formatArea(value, maximumFractionDigits = 1) {
+    return `${this.formatNumber(value, { maximumFractionDigits })} km²`;
+  },
+
+  formatDateTime(timestamp) {
+    return new Intl.DateTimeFormat(this.getIntlLocale(), {
+      dateStyle: 'short',
+      timeStyle: 'short'
+    }).format(timestamp);
+  },
+
+  /**
+   * Format a calendar date given as "YYYY-MM-DD"
+   */
+  formatDate(value) {
+    return new Intl.DateTimeFormat(this.getIntlLocale(), {
+      dateStyle: 'medium',
+      timeZone: 'UTC'
+    }).format(new Date(value));
+  },
+
+  /**
+   * Language switch control, one button per configured locale
+   * @returns {L.Control|null} Control, or null if only one language exists
+   */
+  createSwitcher(position = 'topright') {
+    if (this.locales.length < 2) return null;
+
+    const control = L.control({ position });
+    control.onAdd = () => {
+      const container = L.DomUtil.create('div', 'leaflet-bar language-switch');
+      container.setAttribute('role', 'group');
+      container.setAttribute('aria-label', this.t('languageSwitchLabel'));
+
+      this.locales.forEach((locale) => {
+        const button = L.DomUtil.create('button', 'language-switch__button', container);
+        button.type = 'button';
+        button.lang = locale;
+        button.textContent = locale.toUpperCase();
+        button.title = this.bundles[locale].name || locale;
+        button.setAttribute('aria-pressed', String(locale === this.getLocale()));
+        L.DomEvent.on(button, 'click', () => this.setLocale(locale));
+      });
+
+      L.DomEvent.disableClickPropagation(container);
+      return container;
+    };
+
+    control.update = () => {
+      const container = control.getContainer();
+      if (!container) return;
+      container.setAttribute('aria-label', this.t('languageSwitchLabel'));
+      container.querySelectorAll('button').forEach((button) => {
+        button.setAttribute('aria-pressed', String(button.lang === this.getLocale()));
+      });
+    };
+
+    return control;
+  }
+};
+
+// Export for use in other modules
+window.I18n = I18n;
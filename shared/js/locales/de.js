@@ -0,0 +1,150 @@
+/**
+ * German locale bundle
+ */
+
+I18n.addBundle('de', {
+  name: 'Deutsch',
+  intlLocale: 'de-DE',
+  messages: {
+    common: {
+      zoomInstructionText: 'Strg + Mausrad zum Zoomen',
+      zoomOutLimitText: 'Maximaler Zoom erreicht',
+      zoomInLimitText: 'Minimaler Zoom erreicht',
+      loadingConfigText: 'Lade Konfiguration...',
+      loadingDataText: 'Lade Daten...',
+      loadingDistrictsText: 'Lade Bezirksgrenzen...',
+      errorNetworkText: 'Netzwerkfehler: Daten konnten nicht geladen werden.',
+      errorNotFoundText: 'Die angeforderten Daten wurden nicht gefunden.',
+      errorServerText: 'Serverfehler: Bitte versuchen Sie es später erneut.',
+      errorUnexpectedText: 'Ein unerwarteter Fehler ist aufgetreten.',
+      languageSwitchLabel: 'Sprache',
+      offlineBannerText: 'Offline – Daten vom {date}',
+      offlineBannerNoDateText: 'Offline – zuletzt geladene Daten',
+      printButtonText: 'Drucken',
+      printTitle: 'Druck- und Präsentationsansicht (A4/A3)',
+      printPaperLabel: 'Papierformat',
+      printOrientationLabel: 'Ausrichtung',
+      printLandscapeText: 'Querformat',
+      printPortraitText: 'Hochformat',
+      printCloseText: 'Schließen',
+      printLegendTitle: 'Legende',
+      printLocationsTitle: 'Standorte im Kartenausschnitt ({count})',
+      printNumberLabel: 'Nr.',
+      printNameLabel: 'Name',
+      printDateText: 'Stand: {date}'
+    },
+
+    city: {
+      title: 'Stadtkarte',
+      transportToggleText: 'Öffentliche Verkehrsmittel',
+      districtSelectPrompt: 'Bezirk auswählen',
+      districtSelectHint: 'Wähle einen Bezirk auf der Karte, um Details anzuzeigen.',
+      loadingText: 'Lade Kartendaten...',
+      loadingStatsText: 'Lade Bezirksstatistiken...',
+      loadingTransportText: 'Lade Verkehrsdaten...',
+      errorText: 'Fehler beim Laden der Daten',
+      dataSource: 'Datenquelle: Bezirksamt',
+      lastUpdatedText: 'Stand',
+      choroplethTitle: 'Bezirke einfärben nach',
+      choroplethNoneText: 'Keine Einfärbung',
+      legendNoDataText: 'Keine Daten',
+      areaLabel: 'Fläche',
+      populationLabel: 'Einwohner',
+      adsLabel: 'Werbeträger',
+      notesLabel: 'Hinweise',
+      transitLegendTitle: 'Linien',
+      transitSubwayLabel: 'U-Bahn',
+      transitRailLabel: 'Bahn',
+      transitTramLabel: 'Straßenbahn',
+      transitBusLabel: 'Bus',
+      transitFerryLabel: 'Fähre',
+      transitOtherLabel: 'Weitere Linien'
+    },
+
+    media: {
+      title: 'Werbestandorte',
+      initText: 'Initialisiere Karte...',
+      loadingText: 'Lade Medienstandorte...',
+      loadingSheetsText: 'Lade aktuelle Daten...',
+      loadingFallbackText: 'Lade Backup-Daten...',
+      errorText: 'Fehler beim Laden der Medienstandorte',
+      noDataText: 'Keine Medienstandorte gefunden',
+      districtSelectPrompt: 'Bezirk auswählen',
+      districtInfoHint: 'Wähle einen Bezirk aus der Liste oder klicke auf der Karte',
+      adCountLabel: 'Anzahl der Werbeträger',
+      searchPlaceholder: 'Standort suchen...',
+      searchNoResultsText: 'Keine passenden Standorte',
+      filterTitle: 'Filter',
+      filterResetText: 'Filter zurücksetzen',
+      filterCountText: '{shown} von {total} Standorten angezeigt',
+      exportTitle: 'Export',
+      exportEmptyText: 'Keine Standorte zum Exportieren',
+      loadingRoutesText: 'Lade Linien...',
+      corridorTitle: 'Entlang einer Linie',
+      corridorLineLabel: 'Linie',
+      corridorLinePlaceholder: 'Linie wählen',
+      corridorDistanceLabel: 'Abstand',
+      corridorCountText: '{count} Standorte bis {distance} m von der {line}',
+      areaTitle: 'Fläche auswählen',
+      areaPolygonText: 'Polygon',
+      areaRectangleText: 'Rechteck',
+      areaCircleText: 'Kreis',
+      areaPolygonHint: 'Punkte in die Karte klicken, Doppelklick oder Klick auf den ersten Punkt schließt ab (Esc bricht ab)',
+      areaRectangleHint: 'Rechteck aufziehen oder zwei Ecken anklicken (Esc bricht ab)',
+      areaCircleHint: 'Vom Mittelpunkt aus aufziehen oder Mittelpunkt und Rand anklicken (Esc bricht ab)',
+      areaCountText: '{count} Standorte in der Fläche',
+      areaRadiusText: 'Radius {radius} m',
+      categoriesTitle: 'Werbeträger',
+      noValueText: 'ohne Angabe',
+      areaSaveText: 'Speichern',
+      areaSaveTitle: 'Fläche mit den ausgewählten Standorten als GeoJSON speichern',
+      areaClearText: 'Löschen',
+      heatmapButtonText: 'Heatmap',
+      heatmapTitle: 'Standortdichte statt einzelner Standorte zeigen',
+      heatmapZoomHint: 'In dieser Zoomstufe werden die einzelnen Standorte gezeigt',
+      clusterCountText: '{count} Standorte',
+      printCategoriesTitle: 'Werbeträger',
+      shortlistButtonText: 'Merkliste ({count})',
+      shortlistSharedTitle: 'Geteilte Merkliste ({count})',
+      shortlistSharedHint: 'Es werden nur die Standorte dieser Merkliste gezeigt.',
+      shortlistEmptyText: 'Noch keine Standorte gemerkt – „Zur Merkliste“ im Standort-Popup fügt sie hinzu.',
+      shortlistAddText: 'Zur Merkliste',
+      shortlistRemoveText: 'Von der Merkliste entfernen',
+      shortlistShareText: 'Link kopieren',
+      shortlistShareTitle: 'Link zu einer Ansicht mit nur diesen Standorten',
+      shortlistLinkCopiedText: 'Link in die Zwischenablage kopiert',
+      shortlistLinkPrompt: 'Link zur Merkliste:',
+      shortlistClearText: 'Leeren',
+      shortlistClearConfirm: 'Alle Standorte von der Merkliste entfernen?',
+      shortlistAdoptText: 'In meine Merkliste übernehmen',
+      shortlistExitText: 'Alle Standorte zeigen',
+      inquiryButtonText: 'Anfrage senden',
+      inquiryTitle: 'Buchungsanfrage',
+      inquiryLocationsText: '{count} Standorte',
+      inquiryNameColumn: 'Standort',
+      inquiryIntervalColumn: 'Buchungsintervall',
+      inquiryLeadTimeColumn: 'Vorlaufzeit',
+      inquiryPeriodLegend: 'Wunschzeitraum',
+      inquiryStartLabel: 'Beginn',
+      inquiryEndLabel: 'Ende',
+      inquiryPeriodHint: 'Frühester Beginn: {start} – kürzeste Buchung ab diesem Beginn bis {end}.',
+      inquiryContactLegend: 'Kontakt',
+      inquiryNameLabel: 'Name',
+      inquiryCompanyLabel: 'Firma',
+      inquiryEmailLabel: 'E-Mail',
+      inquiryPhoneLabel: 'Telefon',
+      inquiryMessageLabel: 'Nachricht',
+      inquirySubmitText: 'Anfrage senden',
+      inquiryCancelText: 'Abbrechen',
+      inquiryCloseText: 'Schließen',
+      inquirySendingText: 'Anfrage wird gesendet …',
+      inquirySuccessText: 'Vielen Dank! Ihre Anfrage ist eingegangen (Nr. {id}).',
+      inquiryErrorText: 'Die Anfrage konnte nicht gesendet werden. Bitte versuchen Sie es später erneut.',
+      inquiryLeadTimeError: '{name} kann wegen der Vorlaufzeit frühestens ab {date} gebucht werden.',
+      inquiryIntervalError: '{name} muss wegen des Buchungsintervalls mindestens bis {date} gebucht werden.',
+      inquiryPeriodError: 'Bitte einen gültigen Zeitraum angeben.',
+      inquiryContactError: 'Bitte Name und eine gültige E-Mail-Adresse angeben.',
+      inquiryUnknownLocationError: '{name} ist nicht mehr buchbar – bitte von der Merkliste entfernen.'
+    }
+  }
+});
@@ -0,0 +1,150 @@
+/**
+ * English locale bundle (also the fallback for missing texts)
+ */
+
+I18n.addBundle('en', {
+  name: 'English',
+  intlLocale: 'en-GB',
+  messages: {
+    common: {
+      zoomInstructionText: 'Ctrl + Mouse Wheel to Zoom',
+      zoomOutLimitText: 'Fully zoomed out',
+      zoomInLimitText: 'Fully zoomed in',
+      loadingConfigText: 'Loading configuration...',
+      loadingDataText: 'Loading data...',
+      loadingDistrictsText: 'Loading district boundaries...',
+      errorNetworkText: 'Network error: data could not be loaded.',
+      errorNotFoundText: 'The requested data was not found.',
+      errorServerText: 'Server error: please try again later.',
+      errorUnexpectedText: 'An unexpected error occurred.',
+      languageSwitchLabel: 'Language',
+      offlineBannerText: 'Offline - data as of {date}',
+      offlineBannerNoDateText: 'Offline - showing the last loaded data',
+      printButtonText: 'Print',
+      printTitle: 'Print and presentation view (A4/A3)',
+      printPaperLabel: 'Paper size',
+      printOrientationLabel: 'Orientation',
+      printLandscapeText: 'Landscape',
+      printPortraitText: 'Portrait',
+      printCloseText: 'Close',
+      printLegendTitle: 'Legend',
+      printLocationsTitle: 'Locations in the map view ({count})',
+      printNumberLabel: 'No.',
+      printNameLabel: 'Name',
+      printDateText: 'As of {date}'
+    },
+
+    city: {
+      title: 'City Map',
+      transportToggleText: 'Public transport',
+      districtSelectPrompt: 'Select District',
+      districtSelectHint: 'Choose a district on the map to view details.',
+      loadingText: 'Loading map data...',
+      loadingStatsText: 'Loading district statistics...',
+      loadingTransportText: 'Loading transportation data...',
+      errorText: 'Error loading data',
+      dataSource: 'Data source: Local government',
+      lastUpdatedText: 'Last updated',
+      choroplethTitle: 'Colour districts by',
+      choroplethNoneText: 'Outlines only',
+      legendNoDataText: 'No data',
+      areaLabel: 'Area',
+      populationLabel: 'Population',
+      adsLabel: 'Advertising spaces',
+      notesLabel: 'Notes',
+      transitLegendTitle: 'Lines',
+      transitSubwayLabel: 'Underground',
+      transitRailLabel: 'Rail',
+      transitTramLabel: 'Tram',
+      transitBusLabel: 'Bus',
+      transitFerryLabel: 'Ferry',
+      transitOtherLabel: 'Other lines'
+    },
+
+    media: {
+      title: 'Media Locations',
+      initText: 'Initializing map...',
+      loadingText: 'Loading media locations...',
+      loadingSheetsText: 'Loading current data...',
+      loadingFallbackText: 'Loading backup data...',
+      errorText: 'Error loading media locations',
+      noDataText: 'No media locations found',
+      districtSelectPrompt: 'Select District',
+      districtInfoHint: 'Choose a district from the list or click on the map',
+      adCountLabel: 'Number of advertising spaces',
+      searchPlaceholder: 'Search locations...',
+      searchNoResultsText: 'No matching locations',
+      filterTitle: 'Filter',
+      filterResetText: 'Reset filters',
+      filterCountText: '{shown} of {total} locations shown',
+      exportTitle: 'Export',
+      exportEmptyText: 'No locations to export',
+      loadingRoutesText: 'Loading transit lines...',
+      corridorTitle: 'Along a line',
+      corridorLineLabel: 'Line',
+      corridorLinePlaceholder: 'Choose a line',
+      corridorDistanceLabel: 'Distance',
+      corridorCountText: '{count} locations within {distance} m of the {line}',
+      areaTitle: 'Select an area',
+      areaPolygonText: 'Polygon',
+      areaRectangleText: 'Rectangle',
+      areaCircleText: 'Circle',
+      areaPolygonHint: 'Click points on the map, double-click or click the first point to finish (Esc cancels)',
+      areaRectangleHint: 'Drag a rectangle or click two corners (Esc cancels)',
+      areaCircleHint: 'Drag from the centre or click the centre and the edge (Esc cancels)',
+      areaCountText: '{count} locations in the area',
+      areaRadiusText: 'Radius {radius} m',
+      categoriesTitle: 'Categories',
+      noValueText: 'not specified',
+      areaSaveText: 'Save',
+      areaSaveTitle: 'Save the area with the selected locations as GeoJSON',
+      areaClearText: 'Clear',
+      heatmapButtonText: 'Heatmap',
+      heatmapTitle: 'Show location density instead of single locations',
+      heatmapZoomHint: 'Single locations are shown at this zoom level',
+      clusterCountText: '{count} locations',
+      printCategoriesTitle: 'Categories',
+      shortlistButtonText: 'Shortlist ({count})',
+      shortlistSharedTitle: 'Shared shortlist ({count})',
+      shortlistSharedHint: 'Only the locations of this shortlist are shown.',
+      shortlistEmptyText: 'No locations yet - add them with "Add to shortlist" in a location popup.',
+      shortlistAddText: 'Add to shortlist',
+      shortlistRemoveText: 'Remove from shortlist',
+      shortlistShareText: 'Copy link',
+      shortlistShareTitle: 'Link to a view showing only these locations',
+      shortlistLinkCopiedText: 'Link copied to the clipboard',
+      shortlistLinkPrompt: 'Link to the shortlist:',
+      shortlistClearText: 'Clear',
+      shortlistClearConfirm: 'Remove all locations from the shortlist?',
+      shortlistAdoptText: 'Add to my shortlist',
+      shortlistExitText: 'Show all locations',
+      inquiryButtonText: 'Send inquiry',
+      inquiryTitle: 'Booking inquiry',
+      inquiryLocationsText: '{count} locations',
+      inquiryNameColumn: 'Location',
+      inquiryIntervalColumn: 'Booking interval',
+      inquiryLeadTimeColumn: 'Lead time',
+      inquiryPeriodLegend: 'Desired period',
+      inquiryStartLabel: 'Start',
+      inquiryEndLabel: 'End',
+      inquiryPeriodHint: 'Earliest start: {start} - the shortest booking from this start lasts until {end}.',
+      inquiryContactLegend: 'Contact',
+      inquiryNameLabel: 'Name',
+      inquiryCompanyLabel: 'Company',
+      inquiryEmailLabel: 'Email',
+      inquiryPhoneLabel: 'Phone',
+      inquiryMessageLabel: 'Message',
+      inquirySubmitText: 'Send inquiry',
+      inquiryCancelText: 'Cancel',
+      inquiryCloseText: 'Close',
+      inquirySendingText: 'Sending inquiry...',
+      inquirySuccessText: 'Thank you! Your inquiry has been received (no. {id}).',
+      inquiryErrorText: 'The inquiry could not be sent. Please try again later.',
+      inquiryLeadTimeError: 'Because of its lead time, {name} can be booked from {date} at the earliest.',
+      inquiryIntervalError: 'Because of its booking interval, {name} must be booked until {date} at least.',
+      inquiryPeriodError: 'Please enter a valid period.',
+      inquiryContactError: 'Please enter your name and a valid email address.',
+      inquiryUnknownLocationError: '{name} can no longer be booked - please remove it from the shortlist.'
+    }
+  }
+});
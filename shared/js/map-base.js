@@ -66,8 +66,11 @@ const MapBase = {
 
   /**
    * Setup custom scroll wheel zoom behavior with instruction overlay
+   *
+   * The returned setText() swaps the instruction text, e.g. after the
+   * language changed. Zoom limit texts are read from I18n when shown.
    */
-  setupCustomScrollZoom(map, instructionText = 'Strg + Mausrad zum Zoomen') {
+  setupCustomScrollZoom(map, instructionText = I18n.t('zoomInstructionText')) {
     const mapContainer = map.getContainer();
     
     // Create zoom instruction element
@@ -106,9 +109,9 @@ const MapBase = {
         } else {
           // At zoom limits - provide subtle feedback
           if (newZoom < minZoom) {
-            zoomInstruction.textContent = 'Maximaler Zoom erreicht';
+            zoomInstruction.textContent = I18n.t('zoomOutLimitText');
           } else {
-            zoomInstruction.textContent = 'Minimaler Zoom erreicht';
+            zoomInstruction.textContent = I18n.t('zoomInLimitText');
           }
           zoomInstruction.style.opacity = '1';
           
@@ -140,6 +143,10 @@ const MapBase = {
     
     return {
       element: zoomInstruction,
+      setText(text) {
+        instructionText = text;
+        zoomInstruction.textContent = text;
+      },
       cleanup() {
         if (zoomInstruction.parentNode) {
           zoomInstruction.parentNode.removeChild(zoomInstruction);
@@ -177,7 +184,7 @@ const MapBase = {
     let loadingIndicator = null;
 
     return {
-      show(message = 'Lade Daten...') {
+      show(message = I18n.t('loadingDataText')) {
         if (!loadingIndicator) {
           loadingIndicator = document.getElementById(containerId);
         }
@@ -239,7 +246,7 @@ const MapBase = {
     // Setup custom scroll zoom if requested
     let scrollZoom = null;
     if (enableCustomScrollZoom) {
-      const instructionText = config.ui?.zoomInstructionText || 'Strg + Mausrad zum Zoomen';
+      const instructionText = config.ui?.zoomInstructionText || I18n.t('zoomInstructionText');
       scrollZoom = this.setupCustomScrollZoom(map, instructionText);
     }
     
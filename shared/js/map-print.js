@@ -0,0 +1,332 @@
+/**
+ * Map Print
+ *
+ * Print and presentation layout for city and media maps: the current view
+ * on an A4 or A3 page with title, legend, district info, scale bar and
+ * attribution, followed by a numbered table of the shown locations keyed to
+ * numbered markers on the map. The layout opens as a preview in which the
+ * map can still be moved; printing (or saving as PDF) uses the browser's
+ * print dialog.
+ *
+ * A map takes part by implementing getPrintContent(bounds), returning
+ * {
+ *   title, subtitle,               // Page heading, subtitle may be null
+ *   legend: [{ title, items: [{ label, color }] }],  // color null: no data
+ *   info,                          // Element shown beside the map, or null
+ *   locations: { columns, rows: [{ latlng, title, cells }] } | null
+ * }
+ * for the given L.LatLngBounds. The content is read again whenever the
+ * map moves while the preview is open.
+ */
+
+const MapPrint = {
+  // Paper sizes in millimetres, portrait
+  paperSizes: {
+    A4: [210, 297],
+    A3: [297, 420]
+  },
+
+  orientations: ['landscape', 'portrait'],
+
+  // Page margin in millimetres
+  margin: 10,
+
+  // Pane of the numbered markers; the regular markers are hidden while
+  // locations are numbered (see CSS)
+  markerPane: 'printMarkerPane',
+
+  // Open preview, see open()
+  session: null,
+
+  /**
+   * Page content size in millimetres
+   * @returns {Array<number>} [width, height]
+   */
+  getPageSize(paperSize, orientation) {
+    const [short, long] = this.paperSizes[paperSize] || this.paperSizes.A4;
+    const [width, height] = orientation === 'portrait' ? [short, long] : [long, short];
+    return [width - 2 * this.margin, height - 2 * this.margin];
+  },
+
+  /**
+   * Create the print button for a map
+   * @param {Object} target - Map instance (InteractiveMap, MediaMap)
+   * @param {Object} options - { paperSize, orientation, position }
+   * @returns {L.Control} Control opening the print preview
+   */
+  createControl(target, options = {}) {
+    const control = L.control({ position: options.position || 'topleft' });
+
+    control.onAdd = () => {
+      const container = L.DomUtil.create('div', 'leaflet-bar map-print');
+      const button = L.DomUtil.create('button', 'map-print__button', container);
+      button.type = 'button';
+      button.textContent = I18n.t('printButtonText');
+      button.title = I18n.t('printTitle');
+      L.DomEvent.on(button, 'click', () => this.open(target, options));
+      L.DomEvent.disableClickPropagation(container);
+      return container;
+    };
+
+    return control;
+  },
+
+  /**
+   * Open the print preview for a map (closing any other one)
+   *
+   * @param {Object} target - Map instance implementing getPrintContent()
+   * @param {Object} options - { paperSize: 'A4'|'A3', orientation:
+   *   'landscape'|'portrait' }
+   * @returns {Object} Session with setPaper(), print() and close()
+   */
+  open(target, options = {}) {
+    this.close();
+
+    const map = target.getMap();
+    const mapContainer = map.getContainer();
+    const placeholder = document.createComment('map-print');
+    let paperSize = this.paperSizes[options.paperSize] ? options.paperSize : 'A4';
+    let orientation = this.orientations.includes(options.orientation) ? options.orientation : 'landscape';
+
+    map.closePopup();
+    const elements = this.createLayout();
+    const pageStyle = document.createElement('style');
+    document.head.append(pageStyle);
+
+    // The map itself moves into the layout and back on close
+    mapContainer.replaceWith(placeholder);
+    elements.map.append(mapContainer);
+    document.body.append(elements.root);
+    document.body.classList.add('is-print-preview');
+
+    const scale = L.control.scale({ imperial: false, position: 'bottomleft' }).addTo(map);
+    if (!map.getPane(this.markerPane)) {
+      map.createPane(this.markerPane).style.zIndex = 650;
+    }
+    const numberedMarkers = L.layerGroup().addTo(map);
+
+    const render = () => {
+      const content = target.getPrintContent(map.getBounds());
+      this.renderContent(elements, content);
+
+      numberedMarkers.clearLayers();
+      (content.locations?.rows || []).forEach(({ latlng }, index) => {
+        numberedMarkers.addLayer(this.createNumberedMarker(latlng, index + 1, this.markerPane));
+      });
+      elements.root.classList.toggle('print-layout--numbered', Boolean(content.locations));
+    };
+
+    const setPaper = (size = paperSize, direction = orientation) => {
+      const bounds = map.getBounds();
+      paperSize = this.paperSizes[size] ? size : paperSize;
+      orientation = this.orientations.includes(direction) ? direction : orientation;
+
+      const [width, height] = this.getPageSize(paperSize, orientation);
+      elements.root.style.setProperty('--print-page-width', `${width}mm`);
+      elements.root.style.setProperty('--print-page-height', `${height}mm`);
+      pageStyle.textContent = `@page { size: ${paperSize} ${orientation}; margin: ${this.margin}mm; }`;
+      elements.paperSelect.value = paperSize;
+      elements.orientationSelect.value = orientation;
+
+      // Keep the area that was shown, at the new size
+      map.invalidateSize(false);
+      map.fitBounds(bounds, { animate: false });
+      render();
+    };
+
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') this.close();
+    };
+
+    L.DomEvent.on(elements.paperSelect, 'change', () => setPaper(elements.paperSelect.value));
+    L.DomEvent.on(elements.orientationSelect, 'change', () => setPaper(undefined, elements.orientationSelect.value));
+    L.DomEvent.on(elements.printButton, 'click', () => window.print());
+    L.DomEvent.on(elements.closeButton, 'click', () => this.close());
+    document.addEventListener('keydown', onKeyDown);
+    map.on('moveend', render);
+
+    this.session = {
+      target,
+      setPaper,
+      print: () => window.print(),
+      close: () => {
+        map.off('moveend', render);
+        document.removeEventListener('keydown', onKeyDown);
+        numberedMarkers.remove();
+        scale.remove();
+        placeholder.replaceWith(mapContainer);
+        elements.root.remove();
+        pageStyle.remove();
+        document.body.classList.remove('is-print-preview');
+        map.invalidateSize(false);
+      }
+    };
+
+    setPaper();
+    elements.printButton.focus();
+    return this.session;
+  },
+
+  /**
+   * Close the open print preview, if any
+   */
+  close() {
+    if (!this.session) return;
+    const { close } = this.session;
+    this.session = null;
+    close();
+  },
+
+  /**
+   * Build the empty layout: toolbar (screen only), page with header, map
+   * and sidebar, and the location table
+   */
+  createLayout() {
+    const root = L.DomUtil.create('div', 'print-layout');
+
+    const toolbar = L.DomUtil.create('div', 'print-toolbar', root);
+    const paperLabel = L.DomUtil.create('label', 'print-toolbar__field', toolbar);
+    paperLabel.append(I18n.t('printPaperLabel'));
+    const paperSelect = L.DomUtil.create('select', '', paperLabel);
+    Object.keys(this.paperSizes).forEach((size) => {
+      const option = L.DomUtil.create('option', '', paperSelect);
+      option.value = size;
+      option.textContent = size;
+    });
+
+    const orientationLabel = L.DomUtil.create('label', 'print-toolbar__field', toolbar);
+    orientationLabel.append(I18n.t('printOrientationLabel'));
+    const orientationSelect = L.DomUtil.create('select', '', orientationLabel);
+    this.orientations.forEach((orientation) => {
+      const option = L.DomUtil.create('option', '', orientationSelect);
+      option.value = orientation;
+      option.textContent = I18n.t(orientation === 'portrait' ? 'printPortraitText' : 'printLandscapeText');
+    });
+
+    const printButton = L.DomUtil.create('button', 'btn btn--primary', toolbar);
+    printButton.type = 'button';
+    printButton.textContent = I18n.t('printButtonText');
+    const closeButton = L.DomUtil.create('button', 'btn', toolbar);
+    closeButton.type = 'button';
+    closeButton.textContent = I18n.t('printCloseText');
+
+    const page = L.DomUtil.create('section', 'print-layout__page', root);
+    const header = L.DomUtil.create('header', 'print-layout__header', page);
+    const title = L.DomUtil.create('h1', 'print-layout__title', header);
+    const subtitle = L.DomUtil.create('p', 'print-layout__subtitle', header);
+    const body = L.DomUtil.create('div', 'print-layout__body', page);
+    const map = L.DomUtil.create('div', 'print-layout__map', body);
+    const sidebar = L.DomUtil.create('aside', 'print-layout__sidebar', body);
+
+    const locations = L.DomUtil.create('section', 'print-layout__locations', root);
+
+    return {
+      root,
+      paperSelect,
+      orientationSelect,
+      printButton,
+      closeButton,
+      title,
+      subtitle,
+      map,
+      sidebar,
+      locations
+    };
+  },
+
+  /**
+   * Fill the layout with the map's print content
+   */
+  renderContent(elements, content) {
+    const { title, subtitle, legend = [], info = null, locations = null } = content;
+    const date = I18n.t('printDateText', { date: I18n.formatDateTime(Date.now()) });
+
+    elements.title.textContent = title || '';
+    elements.subtitle.textContent = [subtitle, date].filter(Boolean).join(' · ');
+
+    elements.sidebar.replaceChildren();
+    legend.filter(({ items }) => items.length).forEach((section) => {
+      elements.sidebar.append(this.createLegend(section));
+    });
+    if (info) {
+      const infoSection = L.DomUtil.create('section', 'print-layout__info', elements.sidebar);
+      const copy = info.cloneNode(true);
+      // The original stays in the page; ids must remain unique
+      [copy, ...copy.querySelectorAll('[id]')].forEach((element) => element.removeAttribute('id'));
+      copy.classList.remove('is-hidden');
+      infoSection.append(copy);
+    }
+
+    elements.locations.replaceChildren();
+    elements.locations.hidden = !locations;
+    if (locations) elements.locations.append(...this.createLocationTable(locations));
+  },
+
+  /**
+   * Legend section: title and one colour swatch per item
+   */
+  createLegend({ title, items }) {
+    const section = L.DomUtil.create('section', 'print-legend');
+    const heading = L.DomUtil.create('h2', 'print-legend__title', section);
+    heading.textContent = title || I18n.t('printLegendTitle');
+
+    const list = L.DomUtil.create('ul', 'print-legend__items', section);
+    items.forEach(({ label, color }) => {
+      const item = L.DomUtil.create('li', 'print-legend__item', list);
+      const swatch = L.DomUtil.create('span', 'print-legend__swatch', item);
+      if (color) {
+        swatch.style.backgroundColor = color;
+      } else {
+        swatch.classList.add('print-legend__swatch--empty');
+      }
+      item.append(label);
+    });
+
+    return section;
+  },
+
+  /**
+   * Heading and numbered table of the locations
+   * @returns {Array<HTMLElement>}
+   */
+  createLocationTable({ columns, rows }) {
+    const heading = L.DomUtil.create('h2', 'print-layout__locations-title');
+    heading.textContent = I18n.t('printLocationsTitle', { count: I18n.formatNumber(rows.length) });
+
+    const table = L.DomUtil.create('table', 'print-table');
+    const headRow = L.DomUtil.create('tr', '', L.DomUtil.create('thead', '', table));
+    [I18n.t('printNumberLabel'), I18n.t('printNameLabel'), ...columns].forEach((column) => {
+      L.DomUtil.create('th', '', headRow).textContent = column;
+    });
+
+    const tbody = L.DomUtil.create('tbody', '', table);
+    rows.forEach(({ title, cells }, index) => {
+      const row = L.DomUtil.create('tr', '', tbody);
+      [index + 1, title, ...cells].forEach((value) => {
+        L.DomUtil.create('td', '', row).textContent = value ?? '';
+      });
+    });
+
+    return [heading, table];
+  },
+
+  /**
+   * Marker showing the number of a location in the table
+   */
+  createNumberedMarker(latlng, number, pane = 'markerPane') {
+    return L.marker(latlng, {
+      pane,
+      icon: L.divIcon({
+        className: 'print-marker',
+        html: `<span>${number}</span>`,
+        iconSize: [22, 22]
+      }),
+      interactive: false,
+      keyboard: false,
+      zIndexOffset: 1000
+    });
+  }
+};
+
+// Export for global access
+window.MapPrint = MapPrint;
@@ -21,6 +21,34 @@ const MapUtils = {
     };
   },
 
+  /**
+   * Escape a value for safe insertion into HTML text or attributes
+   */
+  escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  /**
+   * Return the URL if it uses a safe scheme (http/https), otherwise null
+   * Protects src/href attributes against javascript: and data: URLs
+   */
+  sanitizeUrl(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+
+    try {
+      const url = new URL(value.trim(), window.location.href);
+      return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
   /**
    * Handle errors gracefully with user-friendly messages
    */
@@ -38,18 +66,18 @@ const MapUtils = {
    */
   getErrorMessage(error) {
     if (error.name === 'TypeError' && error.message.includes('fetch')) {
-      return 'Netzwerkfehler: Daten konnten nicht geladen werden.';
+      return I18n.t('errorNetworkText');
     }
     
     if (error.status === 404) {
-      return 'Die angeforderten Daten wurden nicht gefunden.';
+      return I18n.t('errorNotFoundText');
     }
     
     if (error.status >= 500) {
-      return 'Serverfehler: Bitte versuchen Sie es später erneut.';
+      return I18n.t('errorServerText');
     }
     
-    return 'Ein unerwarteter Fehler ist aufgetreten.';
+    return I18n.t('errorUnexpectedText');
   },
 
   /**
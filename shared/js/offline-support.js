@@ -0,0 +1,114 @@
+/**
+ * Offline Support
+ *
+ * Registers the service worker (sw.js), tells it which basemap tiles to
+ * cache and shows a banner while the browser is offline, with the time the
+ * shown data was loaded. The worker serves the last loaded data then.
+ */
+
+const OfflineSupport = {
+  // Relative to the map pages (city-maps/, media-maps/)
+  serviceWorkerUrl: '../sw.js',
+
+  // Promise of the registration, see register()
+  registration: null,
+
+  /**
+   * Register the service worker once per page
+   * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null
+   *   where service workers are not available (file://, old browsers)
+   */
+  register(url = this.serviceWorkerUrl) {
+    if (!this.registration) {
+      const supported = 'serviceWorker' in navigator && window.location.protocol !== 'file:';
+      this.registration = supported
+        ? navigator.serviceWorker.register(url).catch((error) => {
+          console.warn('Service worker could not be registered:', error.message);
+          return null;
+        })
+        : Promise.resolve(null);
+    }
+    return this.registration;
+  },
+
+  /**
+   * URL templates of the tile layers on a map
+   */
+  getTileTemplates(map) {
+    const templates = [];
+    map.eachLayer((layer) => {
+      if (layer instanceof L.TileLayer && layer._url) templates.push(layer._url);
+    });
+    return templates;
+  },
+
+  /**
+   * Send tile URL templates to the service worker, which only caches
+   * requests matching them
+   */
+  async sendTileTemplates(urls) {
+    if (!urls.length) return;
+
+    const registration = await this.register();
+    if (!registration) return;
+
+    const worker = registration.active || (await navigator.serviceWorker.ready).active;
+    worker?.postMessage({ type: 'tile-templates', urls });
+  },
+
+  /**
+   * Set up offline support for a map
+   *
+   * @param {Object} target - Map instance (InteractiveMap, MediaMap)
+   * @param {Object} options - { getLastUpdated: () → timestamp of the shown
+   *   data or null }
+   * @returns {Object} Controller with update() and destroy()
+   */
+  bind(target, options = {}) {
+    const { getLastUpdated = () => null } = options;
+    const map = target.getMap();
+
+    this.register();
+    this.sendTileTemplates(this.getTileTemplates(map));
+
+    // Basemap styles can be switched later
+    const onLayerAdd = ({ layer }) => {
+      if (layer instanceof L.TileLayer && layer._url) this.sendTileTemplates([layer._url]);
+    };
+    map.on('layeradd', onLayerAdd);
+
+    const banner = L.DomUtil.create('div', 'offline-banner', map.getContainer());
+    banner.setAttribute('role', 'status');
+    L.DomEvent.disableClickPropagation(banner);
+
+    const update = () => {
+      const offline = navigator.onLine === false;
+      banner.hidden = !offline;
+      if (!offline) return;
+
+      const timestamp = getLastUpdated();
+      banner.textContent = timestamp
+        ? I18n.t('offlineBannerText', { date: I18n.formatDateTime(timestamp) })
+        : I18n.t('offlineBannerNoDateText');
+    };
+
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    const removeLocaleListener = I18n.onChange(update);
+    update();
+
+    return {
+      update,
+      destroy: () => {
+        map.off('layeradd', onLayerAdd);
+        window.removeEventListener('online', update);
+        window.removeEventListener('offline', update);
+        removeLocaleListener();
+        banner.remove();
+      }
+    };
+  }
+};
+
+// Export for global access
+window.OfflineSupport = OfflineSupport;
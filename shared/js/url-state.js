@@ -0,0 +1,136 @@
+/**
+ * URL State
+ *
+ * Mirrors map state in the URL hash so a view can be shared as a link and
+ * restored on load, including browser back/forward.
+ *
+ * A map takes part by implementing:
+ * - getUrlState(): { key: value | Array | null } describing the current view
+ * - applyUrlState(params): restore a view from URLSearchParams
+ * and by firing 'mapstatechange' on its Leaflet map after user-visible
+ * changes (district, layers, ...). Those create history entries; panning
+ * and zooming only update the view keys of the current one.
+ */
+
+const UrlState = {
+  // Keys written on pan/zoom without creating a history entry
+  viewKeys: ['c', 'z'],
+
+  /**
+   * Parse a hash ("#z=12&d=Mitte") into URLSearchParams
+   */
+  parse(hash = window.location.hash) {
+    return new URLSearchParams(hash.replace(/^#/, ''));
+  },
+
+  /**
+   * Serialize a state object; arrays become repeated keys, null/undefined
+   * values are left out
+   */
+  stringify(state) {
+    const params = new URLSearchParams();
+
+    Object.entries(state).forEach(([key, value]) => {
+      if (value === null || value === undefined) return;
+      if (Array.isArray(value)) {
+        // An empty list is kept as "key=" so it differs from "not set"
+        if (value.length === 0) params.append(key, '');
+        value.forEach((item) => params.append(key, item));
+      } else {
+        params.append(key, value);
+      }
+    });
+
+    return params.toString();
+  },
+
+  /**
+   * Parse a "lat,lng" center value
+   * @returns {Array<number>|null} [lat, lng]
+   */
+  parseLatLng(value) {
+    const parts = (value || '').split(',').map(Number);
+    return parts.length === 2 && parts.every(Number.isFinite) ? parts : null;
+  },
+
+  /**
+   * Format a map center as "lat,lng" with ~1m precision
+   */
+  formatLatLng(latlng) {
+    return `${latlng.lat.toFixed(5)},${latlng.lng.toFixed(5)}`;
+  },
+
+  /**
+   * Keep a map instance in sync with the URL
+   *
+   * @param {Object} target - Map instance (InteractiveMap, MediaMap)
+   * @returns {Object} Controller with update(push) and destroy()
+   */
+  bind(target) {
+    const map = target.getMap();
+    let applying = false;
+
+    const apply = () => {
+      applying = true;
+      try {
+        target.applyUrlState(this.parse());
+      } catch (error) {
+        console.warn('Could not restore map state from URL:', error.message);
+      } finally {
+        applying = false;
+      }
+    };
+
+    const update = (push = false) => {
+      if (applying) return;
+
+      const state = target.getUrlState();
+      let hash;
+      if (push) {
+        hash = this.stringify(state);
+      } else {
+        const params = this.parse();
+        this.viewKeys.forEach((key) => params.delete(key));
+        const view = new URLSearchParams(
+          this.stringify(Object.fromEntries(this.viewKeys.map((key) => [key, state[key]])))
+        );
+        hash = `${view}${params.toString() ? `&${params}` : ''}`;
+      }
+      if (hash === this.parse().toString()) return;
+
+      const url = `${window.location.pathname}${window.location.search}#${hash}`;
+      try {
+        if (push) {
+          window.history.pushState(null, '', url);
+        } else {
+          window.history.replaceState(null, '', url);
+        }
+      } catch (error) {
+        // e.g. sandboxed iframes without same-origin access
+        console.warn('Could not update URL:', error.message);
+      }
+    };
+
+    const onMove = () => update(false);
+    const onStateChange = () => update(true);
+
+    if (window.location.hash.length > 1) apply();
+    update(false);
+
+    map.on('moveend', onMove);
+    map.on('mapstatechange', onStateChange);
+    window.addEventListener('popstate', apply);
+
+    return {
+      update,
+      destroy() {
+        map.off('moveend', onMove);
+        map.off('mapstatechange', onStateChange);
+        window.removeEventListener('popstate', apply);
+      }
+    };
+  }
+};
+
+// Export for use in other modules
+window.UrlState = UrlState;
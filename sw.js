@@ -0,0 +1,270 @@
+/**
+ * Service Worker
+ *
+ * Keeps the maps usable with a flaky or no connection (registered by
+ * OfflineSupport):
+ * - Shared scripts, styles and data, the map scripts and the pages of all
+ *   live maps are precached (PRECACHE_URLS).
+ * - Pages, scripts, styles and data files - the site's and third-party
+ *   libraries alike - come from the network while it answers and from the
+ *   cache when offline, so a page never runs against older scripts than
+ *   the ones it was deployed with. A network that has not answered within
+ *   NETWORK_TIMEOUT counts as offline if there is a cached copy; its
+ *   response still updates the cache for the next load.
+ * - Sheet data and the other Netlify functions: the same, network first.
+ * - Basemap tiles: cache first, at most MAX_TILES. The pages send the tile
+ *   URL templates of their layers, only matching requests are cached.
+ *
+ * CACHE_VERSION is a hash of this worker and the precached files, written
+ * by scripts/cities.js sync: any change to them installs a new worker,
+ * which precaches afresh and removes the old site cache on activation.
+ * Data, tile and third-party caches do not depend on the site's files and
+ * are kept, so Leaflet and the other libraries stay available offline
+ * across deploys.
+ */
+
+// Time to wait for the network before serving a cached copy
+const NETWORK_TIMEOUT = 3500;
+const MAX_TILES = 2000;
+// Trim the tile cache after this many new tiles rather than on every one
+const TILE_TRIM_INTERVAL = 50;
+const TILE_TEMPLATES_KEY = 'tile-templates.json';
+
+// BEGIN precache (generated by scripts/cities.js from cities.json)
+const CACHE_VERSION = 'd2c754a0c44e';
+
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  './manifest.webmanifest',
+  './shared/css/base.css',
+  './shared/css/components.css',
+  './shared/css/map-common.css',
+  './shared/data/geojson/berlin_districts.geojson',
+  './shared/data/geojson/berlin_routes.geojson',
+  './shared/data/geojson/standort_daten.json',
+  './shared/img/icon.svg',
+  './shared/js/config-schemas.js',
+  './shared/js/config-validator.js',
+  './shared/js/data-cache.js',
+  './shared/js/embed-api.js',
+  './shared/js/env-loader.js',
+  './shared/js/geo-utils.js',
+  './shared/js/i18n.js',
+  './shared/js/locales/de.js',
+  './shared/js/locales/en.js',
+  './shared/js/map-base.js',
+  './shared/js/map-print.js',
+  './shared/js/map-utils.js',
+  './shared/js/offline-support.js',
+  './shared/js/url-state.js',
+  './city-maps/js/choropleth.js',
+  './city-maps/js/city-map-factory.js',
+  './city-maps/js/map-core.js',
+  './city-maps/js/transit-lines.js',
+  './city-maps/css/city-maps.css',
+  './media-maps/js/area-selection.js',
+  './media-maps/js/booking-rules.js',
+  './media-maps/js/location-clusters.js',
+  './media-maps/js/location-export.js',
+  './media-maps/js/location-filter.js',
+  './media-maps/js/location-heatmap.js',
+  './media-maps/js/location-inquiry.js',
+  './media-maps/js/location-popup.js',
+  './media-maps/js/location-search.js',
+  './media-maps/js/location-shortlist.js',
+  './media-maps/js/media-map-factory.js',
+  './media-maps/js/media-map.js',
+  './media-maps/js/sheets-data-processor.js',
+  './media-maps/js/transit-corridor.js',
+  './media-maps/css/media-maps.css',
+  './city-maps/berlin.html',
+  './city-maps/config/berlin-city-config.js',
+  './media-maps/berlin.html',
+  './media-maps/config/berlin-media-config.js'
+];
+// END precache
+
+const CACHE_NAMES = {
+  static: `maps-static-${CACHE_VERSION}`,
+  data: 'maps-data',
+  // Third-party scripts, styles and fonts (pinned versions from CDNs)
+  vendor: 'maps-vendor',
+  tiles: 'maps-tiles',
+  meta: 'maps-meta'
+};
+
+let tileTemplates = null; // Promise of the known tile URL templates
+let tilesSinceTrim = 0;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAMES.static)
+      // Past the HTTP cache, which may still hold the previous deploy
+      .then((cache) => cache.addAll(PRECACHE_URLS.map((url) => new Request(url, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = Object.values(CACHE_NAMES);
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(
+        names
+          .filter((name) => name.startsWith('maps-') && !current.includes(name))
+          .map((name) => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'tile-templates' && Array.isArray(event.data.urls)) {
+    event.waitUntil(addTileTemplates(event.data.urls));
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    const isData = url.pathname.startsWith('/.netlify/functions/') || url.pathname.startsWith('/api/');
+    event.respondWith(networkFirst(request, isData ? CACHE_NAMES.data : CACHE_NAMES.static));
+    return;
+  }
+
+  event.respondWith((async () => {
+    if (await isTile(url)) return cacheFirstTile(request);
+    if (['script', 'style', 'font'].includes(request.destination)) {
+      return networkFirst(request, CACHE_NAMES.vendor);
+    }
+    return fetch(request);
+  })());
+});
+
+// ---------------------------------------------------------------------------
+// Strategies
+// ---------------------------------------------------------------------------
+
+/**
+ * Fetch a cross-origin resource with CORS where the server allows it, so
+ * the cached copy is a real response instead of an opaque one (opaque
+ * responses count several MB each against the storage quota)
+ */
+async function fetchCors(request) {
+  if (new URL(request.url).origin === self.location.origin) return fetch(request);
+
+  try {
+    return await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+  } catch (error) {
+    return fetch(request);
+  }
+}
+
+function isCacheable(response) {
+  return response.ok && response.type !== 'opaque';
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const findCached = async () => await cache.match(request) ||
+    caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+  const network = fetchCors(request).then((response) => {
+    if (isCacheable(response)) cache.put(request, response.clone());
+    return response;
+  });
+  // Reported through the race below, or of no interest once timed out
+  network.catch(() => {});
+
+  let timer;
+  const timedOut = new Promise((resolve) => {
+    timer = setTimeout(resolve, NETWORK_TIMEOUT);
+  });
+
+  try {
+    // Without a cached copy there is nothing better than waiting
+    return await Promise.race([network, timedOut.then(findCached)]) || await network;
+  } catch (error) {
+    const cached = await findCached();
+    if (cached) return cached;
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function cacheFirstTile(request) {
+  const cache = await caches.open(CACHE_NAMES.tiles);
+  const cached = await cache.match(request.url);
+  if (cached) return cached;
+
+  const response = await fetchCors(request);
+  if (isCacheable(response)) {
+    await cache.put(request.url, response.clone());
+    if (++tilesSinceTrim >= TILE_TRIM_INTERVAL) {
+      tilesSinceTrim = 0;
+      await trimCache(cache, MAX_TILES);
+    }
+  }
+  return response;
+}
+
+/**
+ * Delete the oldest entries (cache keys keep insertion order)
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+}
+
+// ---------------------------------------------------------------------------
+// Tile templates
+// ---------------------------------------------------------------------------
+
+/**
+ * Pattern for a Leaflet tile URL template
+ * ("https://{s}.example.com/{z}/{x}/{y}{r}.png")
+ */
+function templateToPattern(template) {
+  const source = template
+    .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+    .replace(/\{s\}/g, '[^./]+')
+    .replace(/\{[xyz]\}/g, '-?\\d+')
+    .replace(/\{r\}/g, '(@2x)?')
+    .replace(/\{\w+\}/g, '[^/?&]*');
+  return new RegExp(`^${source}(\\?.*)?$`);
+}
+
+/**
+ * Tile templates are kept in the cache, as the worker can be stopped and
+ * restarted between page loads
+ */
+function loadTileTemplates() {
+  if (!tileTemplates) {
+    tileTemplates = caches.open(CACHE_NAMES.meta)
+      .then((cache) => cache.match(TILE_TEMPLATES_KEY))
+      .then((response) => (response ? response.json() : []))
+      .catch(() => []);
+  }
+  return tileTemplates;
+}
+
+async function addTileTemplates(urls) {
+  const templates = [...new Set([...(await loadTileTemplates()), ...urls])];
+  tileTemplates = Promise.resolve(templates);
+
+  const cache = await caches.open(CACHE_NAMES.meta);
+  await cache.put(TILE_TEMPLATES_KEY, new Response(JSON.stringify(templates), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+async function isTile(url) {
+  const templates = await loadTileTemplates();
+  return templates.some((template) => templateToPattern(template).test(url.href));
+}
@@ -0,0 +1,100 @@
+/**
+ * BookingRules: durations from the location data and the checks of a
+ * booking period, shared by the inquiry form and the inquiry function
+ *
+ * Run with: npm test
+ */
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const BookingRules = require('../media-maps/js/booking-rules.js');
+
+describe('BookingRules.parseDuration', () => {
+  it('reads interval names', () => {
+    assert.deepEqual(BookingRules.parseDuration('Woche'), { days: 7 });
+    assert.deepEqual(BookingRules.parseDuration('Dekade'), { days: 10 });
+    assert.deepEqual(BookingRules.parseDuration('Monat'), { months: 1 });
+    assert.deepEqual(BookingRules.parseDuration(' Jahr '), { months: 12 });
+  });
+
+  it('reads counted units', () => {
+    assert.deepEqual(BookingRules.parseDuration('3 Wochen'), { days: 21 });
+    assert.deepEqual(BookingRules.parseDuration('ab 12 Monate'), { months: 12 });
+    assert.deepEqual(BookingRules.parseDuration('2 Tage'), { days: 2 });
+    assert.deepEqual(BookingRules.parseDuration('1 Jahr'), { months: 12 });
+  });
+
+  it('returns null for texts it does not understand', () => {
+    ['', 'nach Absprache', null, undefined].forEach((text) => {
+      assert.equal(BookingRules.parseDuration(text), null);
+    });
+  });
+});
+
+describe('BookingRules dates', () => {
+  it('accepts only real dates', () => {
+    assert.equal(BookingRules.formatDate(BookingRules.parseDate('2024-02-29')), '2024-02-29');
+    ['2023-02-29', '2024-13-01', '2024-1-05', '05.01.2024', '', null].forEach((value) => {
+      assert.equal(BookingRules.parseDate(value), null, String(value));
+    });
+  });
+
+  it('keeps added months in the month they land in', () => {
+    const add = (date, duration) =>
+      BookingRules.formatDate(BookingRules.addDuration(BookingRules.parseDate(date), duration));
+    assert.equal(add('2024-01-31', { months: 1 }), '2024-02-29');
+    assert.equal(add('2023-01-31', { months: 1 }), '2023-02-28');
+    assert.equal(add('2024-12-15', { months: 1 }), '2025-01-15');
+    assert.equal(add('2024-12-25', { days: 10 }), '2025-01-04');
+  });
+
+  it('takes today in Berlin', () => {
+    // 23:30 UTC on 31 December is already New Year in Berlin
+    assert.equal(BookingRules.getToday(new Date('2024-12-31T23:30:00Z')), '2025-01-01');
+    assert.equal(BookingRules.getToday(new Date('2024-07-01T21:59:00Z')), '2024-07-01');
+    assert.equal(BookingRules.getToday(new Date('2024-07-01T22:00:00Z')), '2024-07-02');
+  });
+});
+
+describe('BookingRules booking periods', () => {
+  const today = '2024-03-01';
+  const litfass = { id: 'a', leadTime: '2 Wochen', bookingInterval: 'Dekade' };
+  const billboard = { id: 'b', leadTime: '6 Wochen', bookingInterval: 'Monat' };
+  const unknown = { id: 'c', leadTime: '', bookingInterval: 'nach Absprache' };
+
+  it('starts after the longest lead time', () => {
+    assert.equal(BookingRules.getEarliestStart(litfass, today), '2024-03-15');
+    assert.equal(BookingRules.getEarliestStart([litfass, billboard], today), '2024-04-12');
+    assert.equal(BookingRules.getEarliestStart([unknown], today), today);
+  });
+
+  it('lasts at least the longest booking interval', () => {
+    assert.equal(BookingRules.getMinimumEnd(litfass, '2024-03-15'), '2024-03-24');
+    assert.equal(BookingRules.getMinimumEnd([litfass, billboard], '2024-04-12'), '2024-05-11');
+    assert.equal(BookingRules.getMinimumEnd([unknown], '2024-04-12'), '2024-04-12');
+  });
+
+  it('accepts a period that keeps all rules', () => {
+    const period = { start: '2024-04-12', end: '2024-05-11' };
+    assert.deepEqual(BookingRules.checkPeriod([litfass, billboard, unknown], period, today), []);
+  });
+
+  it('reports lead times and intervals per location', () => {
+    const period = { start: '2024-03-20', end: '2024-04-10' };
+    assert.deepEqual(BookingRules.checkPeriod([litfass, billboard], period, today), [
+      { code: 'leadTime', id: 'b', earliestStart: '2024-04-12' },
+      { code: 'interval', id: 'b', minimumEnd: '2024-04-19' }
+    ]);
+  });
+
+  it('reports invalid dates and reversed periods', () => {
+    assert.deepEqual(BookingRules.checkPeriod([litfass], { start: '2024-04-31', end: '' }, today), [
+      { code: 'invalidDate', field: 'start' },
+      { code: 'invalidDate', field: 'end' }
+    ]);
+    assert.equal(BookingRules.checkPeriod([litfass], null, today).length, 2);
+    assert.deepEqual(BookingRules.checkPeriod([litfass], { start: '2024-05-02', end: '2024-05-01' }, today), [
+      { code: 'endBeforeStart' }
+    ]);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * DataCache: stale-while-revalidate caching of remote data, here with the
+ * localStorage fallback used when IndexedDB is not available
+ *
+ * Run with: npm test
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const vm = require('vm');
+
+// A page load: a fresh DataCache on the given storage
+function loadDataCache(localStorage) {
+  const context = vm.createContext({ console, localStorage });
+  context.window = context;
+  const file = 'shared/js/data-cache.js';
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  return context.DataCache;
+}
+
+// localStorage keeps its items as own properties (Object.keys lists them)
+function createStorage() {
+  const storage = {};
+  Object.defineProperties(storage, {
+    getItem: { value: (key) => (Object.hasOwn(storage, key) ? storage[key] : null) },
+    setItem: { value: (key, value) => (storage[key] = String(value)) },
+    removeItem: { value: (key) => delete storage[key] }
+  });
+  return storage;
+}
+
+function createLoader(...results) {
+  const loader = async () => {
+    loader.calls += 1;
+    const result = results.length > 1 ? results.shift() : results[0];
+    if (result instanceof Error) throw result;
+    return result;
+  };
+  loader.calls = 0;
+  return loader;
+}
+
+describe('DataCache', () => {
+  it('loads data once and serves it from the cache', async () => {
+    const storage = createStorage();
+    const DataCache = loadDataCache(storage);
+    const loader = createLoader(['Alexanderplatz']);
+
+    const first = await DataCache.fetch('sheet:a', loader);
+    assert.equal(first.stale, false);
+    assert.deepEqual([...first.data], ['Alexanderplatz']);
+
+    const second = await DataCache.fetch('sheet:a', loader);
+    assert.equal(second.stale, false);
+    assert.equal(second.timestamp, first.timestamp);
+    assert.equal(loader.calls, 1);
+    assert.equal(DataCache.getLastUpdated('sheet:a'), first.timestamp);
+    assert.deepEqual(JSON.parse(storage['interactive-maps-cache:sheet:a']).data, ['Alexanderplatz']);
+  });
+
+  it('keeps data across page loads', async () => {
+    const storage = createStorage();
+    await loadDataCache(storage).fetch('sheet:a', createLoader(['Alexanderplatz']));
+
+    const loader = createLoader(['Hermannplatz']);
+    const entry = await loadDataCache(storage).fetch('sheet:a', loader);
+    assert.deepEqual([...entry.data], ['Alexanderplatz']);
+    assert.equal(loader.calls, 0);
+  });
+
+  it('serves stale data and hands the refreshed data to onUpdate', async () => {
+    const DataCache = loadDataCache(createStorage());
+    await DataCache.fetch('sheet:a', createLoader(['Alexanderplatz']));
+
+    const updated = new Promise((resolve) => {
+      DataCache.fetch('sheet:a', createLoader(['Hermannplatz']), {
+        maxAge: -1,
+        onUpdate: (data, timestamp) => resolve({ data, timestamp })
+      }).then((entry) => {
+        assert.equal(entry.stale, true);
+        assert.deepEqual([...entry.data], ['Alexanderplatz']);
+      });
+    });
+
+    const { data, timestamp } = await updated;
+    assert.deepEqual([...data], ['Hermannplatz']);
+    assert.equal(DataCache.getLastUpdated('sheet:a'), timestamp);
+  });
+
+  it('keeps stale data when the refresh fails', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const DataCache = loadDataCache(createStorage());
+    await DataCache.fetch('sheet:a', createLoader(['Alexanderplatz']));
+
+    const loader = createLoader(new Error('offline'));
+    const entry = await DataCache.fetch('sheet:a', loader, { maxAge: -1, onUpdate: assert.fail });
+    await DataCache.pending.get('sheet:a')?.catch(() => {});
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.deepEqual([...entry.data], ['Alexanderplatz']);
+    assert.equal(loader.calls, 1);
+    assert.match(warn.mock.calls[0].arguments[0], /Background refresh failed for sheet:a/);
+    assert.deepEqual([...(await DataCache.get('sheet:a')).data], ['Alexanderplatz']);
+  });
+
+  it('shares concurrent loads and retries after a failure', async () => {
+    const DataCache = loadDataCache(createStorage());
+    const loader = createLoader(new Error('offline'), ['Alexanderplatz']);
+
+    const failed = [DataCache.fetch('sheet:a', loader), DataCache.fetch('sheet:a', loader)];
+    await Promise.all(failed.map((request) => assert.rejects(request, /offline/)));
+    assert.equal(loader.calls, 1);
+
+    const entry = await DataCache.fetch('sheet:a', loader);
+    assert.deepEqual([...entry.data], ['Alexanderplatz']);
+    assert.equal(loader.calls, 2);
+  });
+
+  it('clears sources by key prefix', async () => {
+    const storage = createStorage();
+    const DataCache = loadDataCache(storage);
+    await DataCache.set('sheet:a', 1);
+    await DataCache.set('sheet:b', 2);
+    await DataCache.set('geojson:c', 3);
+
+    await DataCache.clear('sheet:');
+    assert.deepEqual(Object.keys(storage), ['interactive-maps-cache:geojson:c']);
+    assert.equal(await DataCache.get('sheet:a'), null);
+    assert.equal((await DataCache.get('geojson:c')).data, 3);
+
+    await DataCache.clear();
+    assert.deepEqual(Object.keys(storage), []);
+  });
+});
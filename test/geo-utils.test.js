@@ -0,0 +1,167 @@
+/**
+ * GeoUtils against the real Berlin district polygons
+ *
+ * The indexed lookup (createFeatureIndex) must find the same district as
+ * the plain point-in-polygon test for every point, including points on the
+ * far side of a hole.
+ *
+ * Run with: npm test
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function loadGeoUtils() {
+  const context = vm.createContext({});
+  context.window = context;
+  const file = 'shared/js/geo-utils.js';
+  vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  return context.GeoUtils;
+}
+
+const GeoUtils = loadGeoUtils();
+const { features } = JSON.parse(
+  fs.readFileSync(path.join(ROOT, 'shared/data/geojson/berlin_districts.geojson'), 'utf8')
+);
+
+// Landmarks and the district they lie in (null: outside Berlin)
+const LANDMARKS = [
+  { name: 'Alexanderplatz', point: [13.4132, 52.5219], district: 'Mitte' },
+  { name: 'Rathaus Spandau', point: [13.2003, 52.5357], district: 'Spandau' },
+  { name: 'Altstadt Köpenick', point: [13.5745, 52.4449], district: 'Treptow-Köpenick' },
+  { name: 'Rathaus Steglitz', point: [13.2846, 52.4339], district: 'Steglitz-Zehlendorf' },
+  { name: 'Hermannplatz', point: [13.4347, 52.4811], district: 'Neukölln' },
+  { name: 'Potsdam', point: [13.0645, 52.3906], district: null }
+];
+
+/**
+ * Evenly spread points over the bounds (plus a margin), n × n of them
+ */
+function createGrid([minX, minY, maxX, maxY], n, margin = 0.02) {
+  const points = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      points.push([
+        minX - margin + ((maxX - minX + 2 * margin) * (i + 0.5)) / n,
+        minY - margin + ((maxY - minY + 2 * margin) * (j + 0.5)) / n
+      ]);
+    }
+  }
+  return points;
+}
+
+function findLinear(featureList, point) {
+  return featureList.find((feature) => GeoUtils.isPointInGeometry(point, feature.geometry)) || null;
+}
+
+const getName = (feature) => feature?.properties.name ?? null;
+
+const berlinBounds = GeoUtils.getBounds(
+  features.flatMap((feature) => GeoUtils.getPolygons(feature.geometry).map(([outer]) => outer).flat())
+);
+
+describe('GeoUtils with the Berlin districts', () => {
+  const index = GeoUtils.createFeatureIndex(features);
+
+  it('has all twelve districts', () => {
+    assert.equal(features.length, 12);
+  });
+
+  it('finds the district of known places', () => {
+    LANDMARKS.forEach(({ name, point, district }) => {
+      assert.equal(getName(index.findFeature(point)), district, name);
+      assert.equal(getName(findLinear(features, point)), district, name);
+    });
+  });
+
+  it('agrees with the plain point-in-polygon test on a grid over Berlin', () => {
+    const points = createGrid(berlinBounds, 80);
+    let inside = 0;
+
+    points.forEach((point) => {
+      const expected = getName(findLinear(features, point));
+      assert.equal(getName(index.findFeature(point)), expected, `point ${point.join(', ')}`);
+      if (expected) inside++;
+    });
+
+    // The grid must actually hit districts, and miss some
+    assert.ok(inside > points.length / 3, `${inside} of ${points.length} points inside`);
+    assert.ok(inside < points.length, 'some points outside');
+  });
+
+  it('agrees next to the district borders', () => {
+    // Points just off the midpoints of border edges, on both sides
+    features.forEach((feature) => {
+      GeoUtils.getPolygons(feature.geometry).forEach(([outer]) => {
+        for (let i = 0; i < outer.length - 1; i += 25) {
+          const [[x1, y1], [x2, y2]] = [outer[i], outer[i + 1]];
+          const [mx, my] = [(x1 + x2) / 2, (y1 + y2) / 2];
+          const [nx, ny] = [-(y2 - y1) * 1e-3, (x2 - x1) * 1e-3];
+
+          [[mx + nx, my + ny], [mx - nx, my - ny]].forEach((point) => {
+            assert.equal(
+              getName(index.findFeature(point)),
+              getName(findLinear(features, point)),
+              `point ${point.join(', ')}`
+            );
+          });
+        }
+      });
+    });
+  });
+});
+
+describe('GeoUtils with polygon holes', () => {
+  // Berlin with Mitte cut out: a box around the city whose hole is the
+  // outer ring of Mitte
+  const mitte = features.find((feature) => feature.properties.name === 'Mitte');
+  const [[mitteRing]] = GeoUtils.getPolygons(mitte.geometry);
+  const [minX, minY, maxX, maxY] = berlinBounds;
+  const outside = {
+    type: 'Feature',
+    properties: { name: 'Berlin ohne Mitte' },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [
+        [[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]],
+        mitteRing
+      ]
+    }
+  };
+  const alexanderplatz = LANDMARKS[0].point;
+  const spandau = LANDMARKS[1].point;
+
+  it('does not find points inside the hole', () => {
+    assert.equal(GeoUtils.isPointInGeometry(alexanderplatz, outside.geometry), false);
+    assert.equal(GeoUtils.createFeatureIndex([outside]).findFeature(alexanderplatz), null);
+  });
+
+  it('finds points around the hole', () => {
+    assert.equal(GeoUtils.isPointInGeometry(spandau, outside.geometry), true);
+    assert.equal(getName(GeoUtils.createFeatureIndex([outside]).findFeature(spandau)), 'Berlin ohne Mitte');
+  });
+
+  it('finds the polygon filling the hole', () => {
+    const index = GeoUtils.createFeatureIndex([outside, mitte]);
+    assert.equal(getName(index.findFeature(alexanderplatz)), 'Mitte');
+    assert.equal(getName(index.findFeature(spandau)), 'Berlin ohne Mitte');
+  });
+
+  it('agrees with the plain point-in-polygon test on a grid', () => {
+    const featureList = [outside, mitte];
+    const index = GeoUtils.createFeatureIndex(featureList);
+
+    createGrid(GeoUtils.getBounds(mitteRing), 40).forEach((point) => {
+      assert.equal(
+        getName(index.findFeature(point)),
+        getName(findLinear(featureList, point)),
+        `point ${point.join(', ')}`
+      );
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Inquiry function: validation against the locations of the map, the file
+ * store and the handler (honeypot, junk requests, a stored inquiry)
+ *
+ * The handler reads the Berlin fallback locations: without
+ * GOOGLE_SHEETS_API_KEY the Sheets proxy is not configured.
+ *
+ * Run with: npm test
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const BookingRules = require('../media-maps/js/booking-rules.js');
+const inquiry = require('../netlify/functions/inquiry.js');
+
+const today = '2024-03-01';
+
+const knownLocations = new Map([
+  ['a', { name: 'Litfaßsäule - Richardplatz', category: 'Litfaßsäule', bookingInterval: 'Dekade', leadTime: '2 Wochen' }],
+  ['b', { name: 'Großflächen - Moritzplatz', category: 'Großfläche', bookingInterval: 'Monat', leadTime: '6 Wochen' }]
+]);
+
+const contact = { name: 'Erika Mustermann', email: 'erika@example.com' };
+
+function createPayload(overrides = {}) {
+  return {
+    city: 'berlin',
+    map: 'Berlin',
+    locale: 'de',
+    locations: [{ id: 'a', district: 'Neukölln' }, { id: 'b', district: 'Mitte' }],
+    period: { start: '2024-04-12', end: '2024-05-11' },
+    contact,
+    ...overrides
+  };
+}
+
+const codes = (problems) => problems.map(({ code, field, id }) => [code, field ?? id].join(':')).sort();
+
+describe('validateInquiry', () => {
+  it('takes names and booking rules from the data, not the request', () => {
+    const payload = createPayload({
+      locations: [{ id: 'a', district: 'Neukölln', name: 'Anders', leadTime: '', bookingInterval: 'Tag' }]
+    });
+    const { inquiry: result, problems } = inquiry.validateInquiry(
+      { ...payload, period: { start: '2024-03-15', end: '2024-03-24' } },
+      today,
+      knownLocations
+    );
+
+    assert.deepEqual(problems, []);
+    assert.deepEqual(result.locations, [
+      { id: 'a', district: 'Neukölln', ...knownLocations.get('a') }
+    ]);
+    assert.deepEqual(result.contact, { name: 'Erika Mustermann', company: '', email: 'erika@example.com', phone: '', message: '' });
+    assert.equal(result.city, 'berlin');
+  });
+
+  it('rejects a start before the lead time', () => {
+    const { inquiry: result, problems } = inquiry.validateInquiry(
+      createPayload({ period: { start: '2024-04-01', end: '2024-05-11' } }),
+      today,
+      knownLocations
+    );
+    assert.equal(result, null);
+    assert.deepEqual(problems, [{ code: 'leadTime', id: 'b', earliestStart: '2024-04-12' }]);
+  });
+
+  it('rejects a period shorter than the booking interval', () => {
+    const { problems } = inquiry.validateInquiry(
+      createPayload({ period: { start: '2024-04-12', end: '2024-05-01' } }),
+      today,
+      knownLocations
+    );
+    assert.deepEqual(problems, [{ code: 'interval', id: 'b', minimumEnd: '2024-05-11' }]);
+  });
+
+  it('rejects locations the map does not have', () => {
+    const { problems } = inquiry.validateInquiry(
+      createPayload({ locations: [{ id: 'a' }, { id: 'elsewhere' }] }),
+      today,
+      knownLocations
+    );
+    assert.deepEqual(problems, [{ code: 'unknownLocation', id: 'elsewhere' }]);
+  });
+
+  it('rejects unknown maps', () => {
+    assert.deepEqual(codes(inquiry.validateInquiry(createPayload(), today, null).problems), ['invalid:city']);
+    assert.deepEqual(
+      codes(inquiry.validateInquiry(createPayload({ city: '' }), today, null).problems),
+      ['required:city']
+    );
+  });
+
+  it('reports junk payloads instead of throwing', () => {
+    [null, 'text', 42, [], {}].forEach((payload) => {
+      const { inquiry: result, problems } = inquiry.validateInquiry(payload, today, null);
+      assert.equal(result, null);
+      assert.ok(problems.some(({ field }) => field === 'locations'), JSON.stringify(payload));
+    });
+
+    const { problems } = inquiry.validateInquiry(
+      createPayload({
+        locations: [{ id: 7 }, 'a', null],
+        period: { start: ['2024-04-12'], end: {} },
+        contact: { name: { first: 'Erika' }, email: 'no-address', message: 'x'.repeat(2001) }
+      }),
+      today,
+      knownLocations
+    );
+    assert.deepEqual(codes(problems), [
+      'invalid:email',
+      'invalid:locations[0].id',
+      'invalid:message',
+      'invalid:name',
+      'invalidDate:end',
+      'invalidDate:start',
+      'required:locations[1].id',
+      'required:locations[2].id'
+    ]);
+  });
+
+  it('limits the number of locations', () => {
+    const locations = Array.from({ length: 501 }, () => ({ id: 'a' }));
+    const { problems } = inquiry.validateInquiry(createPayload({ locations }), today, knownLocations);
+    assert.deepEqual(codes(problems), ['invalid:locations']);
+  });
+});
+
+describe('file store', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'inquiries-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    delete process.env.INQUIRY_STORE_PATH;
+  });
+
+  it('appends inquiries, also when saved at the same time', async () => {
+    process.env.INQUIRY_STORE_PATH = path.join(directory, 'nested', 'inquiries.json');
+    const store = inquiry.STORES.file();
+
+    await Promise.all([1, 2, 3, 4, 5].map((id) => store.save({ id })));
+    await store.save({ id: 6 });
+
+    const saved = JSON.parse(fs.readFileSync(process.env.INQUIRY_STORE_PATH, 'utf8'));
+    assert.deepEqual(saved.map(({ id }) => id), [1, 2, 3, 4, 5, 6]);
+  });
+
+  it('fails on a damaged file rather than overwriting it', async () => {
+    process.env.INQUIRY_STORE_PATH = path.join(directory, 'damaged.json');
+    fs.writeFileSync(process.env.INQUIRY_STORE_PATH, '[{"id": 1}');
+
+    await assert.rejects(inquiry.STORES.file().save({ id: 2 }), SyntaxError);
+    assert.equal(fs.readFileSync(process.env.INQUIRY_STORE_PATH, 'utf8'), '[{"id": 1}');
+  });
+});
+
+describe('inquiry handler', () => {
+  const environment = { ...process.env };
+  let directory;
+  let storePath;
+
+  const post = (body) =>
+    inquiry.handler({ httpMethod: 'POST', headers: {}, body: typeof body === 'string' ? body : JSON.stringify(body) });
+  const readStore = () => (fs.existsSync(storePath) ? JSON.parse(fs.readFileSync(storePath, 'utf8')) : []);
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'inquiries-'));
+    storePath = path.join(directory, 'inquiries.json');
+    delete process.env.GOOGLE_SHEETS_API_KEY;
+    process.env.INQUIRY_STORE = 'file';
+    process.env.INQUIRY_STORE_PATH = storePath;
+  });
+
+  beforeEach((t) => {
+    // "Sheet unavailable" warnings of the fallback data
+    t.mock.method(console, 'warn', () => {});
+    fs.rmSync(storePath, { force: true });
+    inquiry.resetStore();
+    inquiry.clearMaps();
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    process.env = environment;
+  });
+
+  it('stores a valid inquiry with the booking rules of the data', async () => {
+    const locations = await inquiry.loadLocations('berlin');
+    const [id, location] = [...locations].find(([, { leadTime }]) => leadTime);
+    const start = BookingRules.getEarliestStart(location, BookingRules.getToday());
+    const period = { start, end: BookingRules.getMinimumEnd(location, start) };
+
+    const response = await post(createPayload({ locations: [{ id, district: 'Mitte' }], period }));
+
+    assert.equal(response.statusCode, 201);
+    const [stored] = readStore();
+    assert.equal(stored.id, JSON.parse(response.body).id);
+    assert.deepEqual(stored.locations, [{ id, district: 'Mitte', ...location }]);
+    assert.deepEqual(stored.period, period);
+  });
+
+  it('answers problems with 422', async () => {
+    const period = { start: '2099-01-01', end: '2099-12-31' };
+    const response = await post(createPayload({ locations: [{ id: 'elsewhere' }], period }));
+
+    assert.equal(response.statusCode, 422);
+    assert.deepEqual(JSON.parse(response.body).problems, [{ code: 'unknownLocation', id: 'elsewhere' }]);
+    assert.deepEqual(readStore(), []);
+  });
+
+  it('accepts but drops inquiries with the honeypot field', async () => {
+    const response = await post(createPayload({ website: 'https://spam.example' }));
+
+    assert.equal(response.statusCode, 201);
+    assert.ok(JSON.parse(response.body).id);
+    assert.deepEqual(readStore(), []);
+  });
+
+  it('rejects junk requests', async () => {
+    assert.equal((await inquiry.handler({ httpMethod: 'GET', headers: {} })).statusCode, 405);
+    assert.equal((await post('{"city":')).statusCode, 400);
+    assert.equal((await post('x'.repeat(100001))).statusCode, 413);
+    assert.equal((await post('null')).statusCode, 422);
+    assert.equal((await post(createPayload({ city: '../config' }))).statusCode, 422);
+    assert.deepEqual(readStore(), []);
+  });
+
+  it('refuses inquiries without a store', async () => {
+    delete process.env.INQUIRY_STORE;
+    delete process.env.NETLIFY_DEV;
+    try {
+      const locations = await inquiry.loadLocations('berlin');
+      const [id, location] = [...locations][0];
+      const start = BookingRules.getEarliestStart(location, BookingRules.getToday());
+      const period = { start, end: BookingRules.getMinimumEnd(location, start) };
+
+      assert.equal((await post(createPayload({ locations: [{ id }], period }))).statusCode, 503);
+    } finally {
+      process.env.INQUIRY_STORE = 'file';
+    }
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * LocationExport: CSV (with spreadsheet formulas neutralized), GeoJSON and
+ * KML output of the shown locations
+ *
+ * Run with: npm test
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const vm = require('vm');
+
+function loadLocationExport() {
+  const context = vm.createContext({});
+  context.window = context;
+  const file = 'media-maps/js/location-export.js';
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  return context.LocationExport;
+}
+
+const LocationExport = loadLocationExport();
+
+const features = [
+  {
+    type: 'Feature',
+    properties: { name: 'Litfaßsäule - Richardplatz', dimensions: '4/1; DIN A0', illuminated: false },
+    geometry: { type: 'Point', coordinates: [13.44596, 52.47439] }
+  },
+  {
+    type: 'Feature',
+    properties: { name: '=HYPERLINK("https://evil.example")', site: 'Ecke "Karl-Marx-Str."', leadTime: null },
+    geometry: { type: 'Point', coordinates: [13.43475, 52.48113] }
+  }
+];
+
+describe('LocationExport CSV', () => {
+  it('neutralizes spreadsheet formulas in text', () => {
+    assert.equal(LocationExport.escapeCsv('=1+1', ','), "'=1+1");
+    assert.equal(LocationExport.escapeCsv('+49 30 123', ','), "'+49 30 123");
+    assert.equal(LocationExport.escapeCsv('-2', ','), "'-2");
+    assert.equal(LocationExport.escapeCsv('@SUM(A1)', ','), "'@SUM(A1)");
+    assert.equal(LocationExport.escapeCsv('\tx', ','), "'\tx");
+    assert.equal(LocationExport.escapeCsv('\rx', ','), '"\'\rx"');
+    assert.equal(LocationExport.escapeCsv('Moritzplatz', ','), 'Moritzplatz');
+  });
+
+  it('keeps numbers and booleans as they are', () => {
+    assert.equal(LocationExport.escapeCsv(-13.4, ','), '-13.4');
+    assert.equal(LocationExport.escapeCsv(false, ','), 'false');
+    assert.equal(LocationExport.escapeCsv(null, ','), '');
+    assert.equal(LocationExport.escapeCsv(undefined, ','), '');
+  });
+
+  it('quotes delimiters, quotes and line breaks', () => {
+    assert.equal(LocationExport.escapeCsv('a;b', ';'), '"a;b"');
+    assert.equal(LocationExport.escapeCsv('a;b', ','), 'a;b');
+    assert.equal(LocationExport.escapeCsv('Ecke "A"', ','), '"Ecke ""A"""');
+    assert.equal(LocationExport.escapeCsv('eins\nzwei', ','), '"eins\nzwei"');
+    assert.equal(LocationExport.escapeCsv('=a;b', ';'), '"\'=a;b"');
+  });
+
+  it('writes every property of any feature plus the coordinates', () => {
+    const csv = LocationExport.toCsv(features, ';');
+    assert.ok(csv.startsWith('\uFEFF'));
+
+    const lines = csv.slice(1).split('\r\n');
+    assert.deepEqual(lines, [
+      'name;dimensions;illuminated;site;leadTime;longitude;latitude',
+      'Litfaßsäule - Richardplatz;"4/1; DIN A0";false;;;13.44596;52.47439',
+      '"\'=HYPERLINK(""https://evil.example"")";;;"Ecke ""Karl-Marx-Str.""";;13.43475;52.48113'
+    ]);
+  });
+});
+
+describe('LocationExport GeoJSON and KML', () => {
+  it('writes a FeatureCollection of the features', () => {
+    const geoJson = JSON.parse(LocationExport.serialize(features, 'geojson'));
+    assert.equal(geoJson.type, 'FeatureCollection');
+    assert.deepEqual(geoJson.features, features);
+  });
+
+  it('escapes names and attributes in KML', () => {
+    const kml = LocationExport.serialize(features, 'kml', { documentName: 'Standorte <Berlin> & mehr' });
+
+    assert.match(kml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<kml /);
+    assert.match(kml, /<name>Standorte &lt;Berlin&gt; &amp; mehr<\/name>/);
+    assert.match(kml, /<name>=HYPERLINK\(&quot;https:\/\/evil.example&quot;\)<\/name>/);
+    assert.match(kml, /<Data name="site"><value>Ecke &quot;Karl-Marx-Str.&quot;<\/value><\/Data>/);
+    assert.match(kml, /<Data name="illuminated"><value>false<\/value><\/Data>/);
+    assert.doesNotMatch(kml, /name="leadTime"/);
+    assert.match(kml, /<Point><coordinates>13.44596,52.47439<\/coordinates><\/Point>/);
+    assert.equal(kml.match(/<Placemark>/g).length, 2);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => LocationExport.serialize(features, 'xlsx'), /Unknown export format: xlsx/);
+  });
+
+  it('builds file names without special characters', () => {
+    const date = new Date().toISOString().slice(0, 10);
+    assert.equal(
+      LocationExport.getFileName('berlin-werbestandorte', 'kml', 'Treptow-Köpenick'),
+      `berlin-werbestandorte-treptow-kopenick-${date}.kml`
+    );
+    assert.equal(LocationExport.getFileName('Straßen', 'csv'), `strassen-${date}.csv`);
+  });
+});
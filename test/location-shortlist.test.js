@@ -0,0 +1,91 @@
+/**
+ * LocationShortlist: link tokens of location ids and the stored list
+ *
+ * Run with: npm test
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const vm = require('vm');
+
+function loadLocationShortlist(localStorage) {
+  const context = vm.createContext({ console, localStorage });
+  context.window = context;
+  const file = 'media-maps/js/location-shortlist.js';
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  return context.LocationShortlist;
+}
+
+function createStorage(entries = {}) {
+  const items = new Map(Object.entries(entries));
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    items
+  };
+}
+
+describe('LocationShortlist tokens', () => {
+  const LocationShortlist = loadLocationShortlist(createStorage());
+
+  it('hashes ids with 32-bit FNV-1a in base 36', () => {
+    assert.equal(LocationShortlist.getToken(''), (0x811c9dc5).toString(36));
+    assert.equal(LocationShortlist.getToken('a'), (0xe40c292c).toString(36));
+    assert.equal(LocationShortlist.getToken('foobar'), (0xbf9cf968).toString(36));
+  });
+
+  it('keeps tokens of existing links stable', () => {
+    const id = 'Litfaßsäule - Richardplatz@52.47439,13.44596';
+    assert.equal(LocationShortlist.getToken(id), LocationShortlist.getToken(id));
+    assert.equal(LocationShortlist.getToken(id), '1ebzch6');
+    assert.notEqual(LocationShortlist.getToken(id), LocationShortlist.getToken(`${id}#2`));
+    assert.equal(LocationShortlist.getToken(42), LocationShortlist.getToken('42'));
+  });
+
+  it('writes tokens to a link parameter and reads them back', () => {
+    const tokens = ['Litfaßsäule', 'Großfläche', 'City Light'].map((id) => LocationShortlist.getToken(id));
+    const value = LocationShortlist.encode(tokens);
+
+    assert.equal(value, tokens.join('.'));
+    assert.deepEqual([...LocationShortlist.decode(value)], tokens);
+  });
+
+  it('drops anything that is not a token', () => {
+    assert.deepEqual([...LocationShortlist.decode('abc..1x2.A-B.<b>.9z')], ['abc', '1x2', '9z']);
+    assert.deepEqual([...LocationShortlist.decode('')], []);
+    assert.deepEqual([...LocationShortlist.decode(null)], []);
+  });
+});
+
+describe('LocationShortlist storage', () => {
+  it('stores ids and loads them as strings', () => {
+    const storage = createStorage();
+    const LocationShortlist = loadLocationShortlist(storage);
+
+    LocationShortlist.save('shortlist:berlin', ['a@52.5,13.4', 7]);
+    assert.equal(storage.items.get('shortlist:berlin'), '["a@52.5,13.4",7]');
+    assert.deepEqual([...LocationShortlist.load('shortlist:berlin')], ['a@52.5,13.4', '7']);
+  });
+
+  it('loads an empty list from missing or damaged entries', () => {
+    const LocationShortlist = loadLocationShortlist(createStorage({ damaged: '["a"', object: '{"a":1}' }));
+
+    assert.deepEqual([...LocationShortlist.load('missing')], []);
+    assert.deepEqual([...LocationShortlist.load('damaged')], []);
+    assert.deepEqual([...LocationShortlist.load('object')], []);
+  });
+
+  it('keeps working when storage is blocked', (t) => {
+    const blocked = () => {
+      throw new Error('SecurityError');
+    };
+    const warn = t.mock.method(console, 'warn', () => {});
+    const LocationShortlist = loadLocationShortlist({ getItem: blocked, setItem: blocked });
+
+    assert.deepEqual([...LocationShortlist.load('shortlist:berlin')], []);
+    LocationShortlist.save('shortlist:berlin', ['a']);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * SheetsDataProcessor: sheet rows to typed GeoJSON by column header, and
+ * the location ids of the shortlist and inquiries
+ *
+ * Run with: npm test
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const vm = require('vm');
+
+function loadSheetsDataProcessor() {
+  const context = vm.createContext({ console });
+  context.window = context;
+  const file = 'media-maps/js/sheets-data-processor.js';
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  return context.SheetsDataProcessor;
+}
+
+const SheetsDataProcessor = loadSheetsDataProcessor();
+
+// Objects of the processor come from its own context
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const headers = ['Name', 'Werbeträger', 'Koordinaten', 'Ort', 'Maße', 'Beleuchtung', 'Bild1'];
+
+describe('SheetsDataProcessor.processSheetData', () => {
+  it('groups typed locations by category', () => {
+    const data = plain(
+      SheetsDataProcessor.processSheetData([
+        headers,
+        ['Litfaßsäule - Richardplatz', 'Litfaßsäule', '13.44596, 52.47439', 'Neukölln', '4/1', 'nein', 'https://example.com/1.jpg'],
+        ['Großflächen - Moritzplatz', 'Großfläche', '13.41055,52.50372', '', '', 'Ja', 'bild.jpg']
+      ])
+    );
+
+    assert.deepEqual(Object.keys(data), ['Litfaßsäule', 'Großfläche']);
+    assert.deepEqual(data['Litfaßsäule'].features, [
+      {
+        type: 'Feature',
+        properties: {
+          id: null,
+          name: 'Litfaßsäule - Richardplatz',
+          location: 'Neukölln',
+          site: null,
+          dimensions: '4/1',
+          lighting: 'nein',
+          illuminated: false,
+          bookingInterval: null,
+          leadTime: null,
+          image1: 'https://example.com/1.jpg',
+          image2: null,
+          category: 'Litfaßsäule'
+        },
+        geometry: { type: 'Point', coordinates: [13.44596, 52.47439] }
+      }
+    ]);
+
+    const { properties } = data['Großfläche'].features[0];
+    assert.equal(properties.location, null);
+    assert.equal(properties.illuminated, true);
+    assert.equal(properties.image1, null);
+  });
+
+  it('finds columns by header, in any order and case', () => {
+    const data = plain(
+      SheetsDataProcessor.processSheetData([
+        [' koordinaten ', 'Bemerkung', 'NAME', 'werbeträger'],
+        ['13.4, 52.5', 'egal', 'Alexanderplatz', 'City Light Säule']
+      ])
+    );
+    const [feature] = data['City Light Säule'].features;
+    assert.equal(feature.properties.name, 'Alexanderplatz');
+    assert.deepEqual(feature.geometry.coordinates, [13.4, 52.5]);
+  });
+
+  it('skips rows without a valid required field', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const data = plain(
+      SheetsDataProcessor.processSheetData([
+        headers,
+        ['Ohne Position', 'Litfaßsäule', '', '', '', '', ''],
+        ['Falsche Position', 'Litfaßsäule', '52.5', '', '', '', ''],
+        ['', '', '', '', '', '', ''],
+        ['Hermannplatz', 'Litfaßsäule', '13.42, 52.48']
+      ])
+    );
+
+    assert.deepEqual(data['Litfaßsäule'].features.map(({ properties }) => properties.name), ['Hermannplatz']);
+    // Empty rows are skipped without a warning
+    assert.deepEqual(warn.mock.calls.map(({ arguments: [message] }) => message.match(/row \d+/)[0]), [
+      'row 2',
+      'row 3'
+    ]);
+  });
+
+  it('fails when a required column is missing', () => {
+    assert.throws(
+      () => SheetsDataProcessor.processSheetData([['Name', 'Ort'], ['Alexanderplatz', 'Mitte']]),
+      /Required sheet columns not found: Werbeträger, Koordinaten/
+    );
+    assert.throws(
+      () => SheetsDataProcessor.processSheetData([headers], { name: { header: 'Name' } }),
+      /Column mapping is missing the "category" field/
+    );
+  });
+
+  it('uses the parsers and options of custom columns', () => {
+    const columns = {
+      name: { header: 'Standort', type: 'string', required: true },
+      category: { header: 'Art', type: 'string', required: true, parser: (value) => value.toUpperCase() },
+      coordinates: { header: 'Lage', type: 'coordinates', order: 'latlng', required: true },
+      faces: { header: 'Seiten', type: 'number' },
+      digital: { header: 'Digital', type: 'boolean', trueValues: ['d'], falseValues: ['a'] }
+    };
+    const data = plain(
+      SheetsDataProcessor.processSheetData(
+        [
+          ['Standort', 'Art', 'Lage', 'Seiten', 'Digital'],
+          ['Kottbusser Tor', 'säule', '52.49907, 13.41804', '1.234,5', 'd']
+        ],
+        columns
+      )
+    );
+    const [feature] = data['SÄULE'].features;
+    assert.deepEqual(feature.geometry.coordinates, [13.41804, 52.49907]);
+    assert.equal(feature.properties.faces, 1234.5);
+    assert.equal(feature.properties.digital, true);
+  });
+});
+
+describe('SheetsDataProcessor.parseValue', () => {
+  const parse = (raw, column) => SheetsDataProcessor.parseValue(raw, column);
+
+  it('reads numbers in German and plain notation', () => {
+    assert.equal(parse('42', { type: 'number' }), 42);
+    assert.equal(parse('3.5', { type: 'number' }), 3.5);
+    assert.equal(parse('1.234,5', { type: 'number' }), 1234.5);
+    assert.equal(parse('', { type: 'number' }), null);
+    assert.equal(parse('zwei', { type: 'number' }), null);
+  });
+
+  it('reads booleans and leaves unknown spellings unset', () => {
+    assert.equal(parse(' JA ', { type: 'boolean' }), true);
+    assert.equal(parse('x', { type: 'boolean' }), true);
+    assert.equal(parse('', { type: 'boolean' }), false);
+    assert.equal(parse('vielleicht', { type: 'boolean' }), null);
+  });
+
+  it('accepts only http(s) links', () => {
+    assert.equal(parse(' https://example.com/a.jpg ', { type: 'url' }), 'https://example.com/a.jpg');
+    assert.equal(parse('javascript:alert(1)', { type: 'url' }), null);
+    assert.equal(parse('example.com', { type: 'url' }), null);
+  });
+
+  it('trims text and turns empty cells into null', () => {
+    assert.equal(parse('  Mitte ', { type: 'string' }), 'Mitte');
+    assert.equal(parse('   ', { type: 'string' }), null);
+    assert.equal(parse(undefined, {}), null);
+  });
+});
+
+describe('SheetsDataProcessor.assignLocationIds', () => {
+  const feature = (properties, coordinates) => ({
+    type: 'Feature',
+    properties,
+    geometry: { type: 'Point', coordinates }
+  });
+
+  it('takes the id column or name and position', () => {
+    const data = {
+      Litfaßsäule: {
+        type: 'FeatureCollection',
+        features: [
+          feature({ id: 'L-17', name: 'Richardplatz' }, [13.44596, 52.47439]),
+          feature({ id: 42, name: 'Hermannplatz' }, [13.42, 52.48]),
+          feature({ id: '', name: 'Moritzplatz' }, [13.410551, 52.503724])
+        ]
+      }
+    };
+
+    assert.deepEqual([...SheetsDataProcessor.assignLocationIds(data)], []);
+    assert.deepEqual(
+      data['Litfaßsäule'].features.map(({ id }) => id),
+      ['L-17', '42', 'Moritzplatz@52.50372,13.41055']
+    );
+  });
+
+  it('tells apart locations sharing an id and reports the id once', () => {
+    const data = {
+      Litfaßsäule: {
+        features: [
+          feature({ name: 'Richardplatz' }, [13.44596, 52.47439]),
+          feature({ name: 'Richardplatz' }, [13.44596, 52.47439]),
+          feature({ id: 'A', name: 'Erste' }, [13.4, 52.5])
+        ]
+      },
+      Großfläche: {
+        features: [
+          feature({ name: 'Richardplatz' }, [13.44596, 52.47439]),
+          feature({ id: 'A', name: 'Zweite' }, [13.3, 52.4]),
+          { type: 'Feature', properties: { name: 'Gebiet' }, geometry: { type: 'Polygon', coordinates: [] } }
+        ]
+      }
+    };
+
+    assert.deepEqual([...SheetsDataProcessor.assignLocationIds(data)], ['Richardplatz@52.47439,13.44596', 'A']);
+    assert.deepEqual(
+      [...data['Litfaßsäule'].features, ...data['Großfläche'].features].map(({ id }) => id),
+      [
+        'Richardplatz@52.47439,13.44596',
+        'Richardplatz@52.47439,13.44596#2',
+        'A',
+        'Richardplatz@52.47439,13.44596#3',
+        'A#2',
+        undefined
+      ]
+    );
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Sheets proxy function against a stub Google Sheets API (through
+ * SHEETS_API_BASE_URL, like scripts/stub-sheets-server.js): allow-list,
+ * ETag/304, the response cache and stale data when the API fails
+ *
+ * Run with: npm test
+ */
+
+const assert = require('node:assert/strict');
+const http = require('http');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const sheets = require('../netlify/functions/sheets.js');
+
+const [sheetId, [range]] = Object.entries(sheets.ALLOWED_SOURCES).find(([, ranges]) => ranges.length);
+
+describe('sheets handler', () => {
+  const environment = { ...process.env };
+  const stub = { status: 200, values: [], requests: [] };
+  let server;
+
+  const get = (query, headers = {}) =>
+    sheets.handler({ httpMethod: 'GET', queryStringParameters: query, headers });
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      stub.requests.push(req.url);
+      res.writeHead(stub.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(stub.status === 200 ? { range, values: stub.values } : { error: { code: stub.status } }));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.SHEETS_API_BASE_URL = `http://127.0.0.1:${server.address().port}/v4/spreadsheets`;
+    process.env.GOOGLE_SHEETS_API_KEY = 'stub key';
+  });
+
+  beforeEach((t) => {
+    // "Sheets proxy error" logs of the failure cases
+    t.mock.method(console, 'error', () => {});
+    Object.assign(stub, { status: 200, values: [['Name'], ['Alexanderplatz']], requests: [] });
+    delete process.env.SHEETS_CACHE_TTL;
+    sheets.clearCache();
+  });
+
+  after(async () => {
+    process.env = environment;
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('lists the sheets of the map configs', () => {
+    const { ALLOWED_SOURCES } = sheets;
+    assert.deepEqual(ALLOWED_SOURCES['1ltHBwFfhnMvTEh1qzpZ6WFvMKBG9Q1v0358kyKSrLcg'], ['Tabellenblatt1!A:K']);
+    assert.deepEqual(ALLOWED_SOURCES['16j8VuT1ziwtkP-M5uuhFg7Z0AWqkxlLDTCwmdTwIEVA'], ['Berlin!A:F']);
+  });
+
+  it('returns the values of an allowed range', async () => {
+    const response = await get({ sheetId, range });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(JSON.parse(response.body), { range, values: stub.values });
+    assert.match(response.headers.ETag, /^"[0-9a-f]{40}"$/);
+    assert.equal(response.headers['Cache-Control'], 'public, max-age=300');
+    assert.deepEqual(stub.requests, [
+      `/v4/spreadsheets/${encodeURIComponent(sheetId)}/values/${encodeURIComponent(range)}?key=stub%20key`
+    ]);
+  });
+
+  it('answers a matching If-None-Match with 304', async () => {
+    const { headers } = await get({ sheetId, range });
+
+    const response = await get({ sheetId, range }, { 'if-none-match': headers.ETag });
+    assert.equal(response.statusCode, 304);
+    assert.equal(response.body, '');
+    assert.equal(response.headers.ETag, headers.ETag);
+
+    assert.equal((await get({ sheetId, range }, { 'If-None-Match': '"other"' })).statusCode, 200);
+  });
+
+  it('serves from the cache until the TTL has passed', async () => {
+    await get({ sheetId, range });
+    stub.values = [['Name'], ['Hermannplatz']];
+    const cached = await get({ sheetId, range });
+    assert.equal(stub.requests.length, 1);
+    assert.match(cached.body, /Alexanderplatz/);
+
+    process.env.SHEETS_CACHE_TTL = '0';
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const fresh = await get({ sheetId, range });
+    assert.equal(stub.requests.length, 2);
+    assert.match(fresh.body, /Hermannplatz/);
+    assert.notEqual(fresh.headers.ETag, cached.headers.ETag);
+    assert.equal(fresh.headers['Cache-Control'], 'public, max-age=0');
+  });
+
+  it('serves stale data when the API fails', async () => {
+    process.env.SHEETS_CACHE_TTL = '0';
+    const { headers } = await get({ sheetId, range });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    stub.status = 500;
+
+    const response = await get({ sheetId, range });
+    assert.equal(stub.requests.length, 2);
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers.ETag, headers.ETag);
+    assert.match(response.body, /Alexanderplatz/);
+  });
+
+  it('answers 502 when the API fails and nothing is cached', async () => {
+    stub.status = 403;
+    const response = await get({ sheetId, range });
+    assert.equal(response.statusCode, 502);
+    assert.equal(JSON.parse(response.body).error, 'Bad gateway');
+  });
+
+  it('refuses ranges that are not allow-listed', async () => {
+    assert.equal((await get({ sheetId, range: 'Geheim!A:Z' })).statusCode, 403);
+    assert.equal((await get({ sheetId: 'other-sheet', range })).statusCode, 403);
+    assert.equal((await get({ sheetId: 'constructor', range })).statusCode, 403);
+    assert.deepEqual(stub.requests, []);
+  });
+
+  it('rejects incomplete and non-GET requests', async () => {
+    assert.equal((await get({ sheetId })).statusCode, 400);
+    assert.equal((await get(undefined)).statusCode, 400);
+    assert.equal((await sheets.handler({ httpMethod: 'POST', headers: {} })).statusCode, 405);
+  });
+
+  it('answers 503 without an API key', async () => {
+    delete process.env.GOOGLE_SHEETS_API_KEY;
+    try {
+      assert.equal((await get({ sheetId, range })).statusCode, 503);
+      assert.deepEqual(stub.requests, []);
+    } finally {
+      process.env.GOOGLE_SHEETS_API_KEY = 'stub key';
+    }
+  });
+});
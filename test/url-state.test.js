@@ -0,0 +1,68 @@
+/**
+ * UrlState: map state to link parameters and back
+ *
+ * Run with: npm test
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const vm = require('vm');
+
+function loadUrlState() {
+  const context = vm.createContext({ URLSearchParams });
+  context.window = context;
+  const file = 'shared/js/url-state.js';
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  return context.UrlState;
+}
+
+const UrlState = loadUrlState();
+
+describe('UrlState', () => {
+  it('writes a state and reads it back', () => {
+    const state = {
+      c: '52.52190,13.41320',
+      z: 14,
+      d: 'Friedrichshain-Kreuzberg',
+      layer: ['Großfläche', 'City Light Säule'],
+      'f.lighting': ['ja'],
+      q: 'Straße & Platz = 100%'
+    };
+    const params = UrlState.parse(`#${UrlState.stringify(state)}`);
+
+    assert.equal(params.get('c'), state.c);
+    assert.equal(params.get('z'), '14');
+    assert.equal(params.get('d'), state.d);
+    assert.deepEqual(params.getAll('layer'), state.layer);
+    assert.deepEqual(params.getAll('f.lighting'), ['ja']);
+    assert.equal(params.get('q'), state.q);
+  });
+
+  it('leaves out unset values and keeps empty lists', () => {
+    const hash = UrlState.stringify({ z: 11, d: null, t: undefined, layer: [] });
+    assert.equal(hash, 'z=11&layer=');
+
+    const params = UrlState.parse(hash);
+    assert.equal(params.has('d'), false);
+    assert.equal(params.has('layer'), true);
+    assert.deepEqual(params.getAll('layer').filter(Boolean), []);
+  });
+
+  it('parses hashes with and without "#"', () => {
+    assert.equal(UrlState.parse('#z=12&d=Mitte').get('d'), 'Mitte');
+    assert.equal(UrlState.parse('z=12').get('z'), '12');
+    assert.equal([...UrlState.parse('')].length, 0);
+  });
+
+  it('reads and writes map centers', () => {
+    const center = UrlState.formatLatLng({ lat: 52.5219184, lng: 13.4132147 });
+    assert.equal(center, '52.52192,13.41321');
+    assert.deepEqual([...UrlState.parseLatLng(center)], [52.52192, 13.41321]);
+
+    ['', null, '52.5', '52.5,13.4,1', 'abc,13.4'].forEach((value) => {
+      assert.equal(UrlState.parseLatLng(value), null, String(value));
+    });
+  });
+});